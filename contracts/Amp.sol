@@ -1,14 +1,14 @@
 // SPDX-License-Identifier: MIT
 
 pragma solidity 0.6.10;
+pragma experimental ABIEncoderV2;
 
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/math/SafeMath.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 
-import "./Ownable.sol";
-
-import "./erc1820/ERC1820Client.sol";
-import "./erc1820/ERC1820Implementer.sol";
+import "./AmpBase.sol";
 
 import "./extensions/IAmpTokensSender.sol";
 import "./extensions/IAmpTokensRecipient.sol";
@@ -16,21 +16,6 @@ import "./extensions/IAmpTokensRecipient.sol";
 import "./partitions/IAmpPartitionStrategyValidator.sol";
 import "./partitions/lib/PartitionUtils.sol";
 
-import "./codes/ErrorCodes.sol";
-
-interface ISwapToken {
-    function allowance(address owner, address spender)
-        external
-        view
-        returns (uint256 remaining);
-
-    function transferFrom(
-        address from,
-        address to,
-        uint256 value
-    ) external returns (bool success);
-}
-
 /**
  * @title Amp
  * @notice Amp is an ERC20 compatible collateral token designed to support
@@ -72,343 +57,25 @@ interface ISwapToken {
  *   entire classes of collateral management systems that would not be possible
  *   without it.
  *
+ * Extension
+ *   To stay within the contract size limit, part of the views and administration
+ *   functions are implemented by AmpExtension, whose address is fixed at
+ *   deployment. Amp executes them with `delegatecall` in its own storage, so they
+ *   are called on the Amp address, using the AmpExtension ABI. A few functions
+ *   of the Amp ABI, such as operator management, are also forwarded to it.
+ *
  * These features give collateral manager implementers flexibility while
  * providing a consistent, "collateral-in-place", interface for interacting
  * with collateral systems directly through the Amp contract.
  */
-contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
+contract Amp is IERC20, AmpBase {
     using SafeMath for uint256;
 
-    /**************************************************************************/
-    /********************** ERC1820 Interface Constants ***********************/
-
-    /**
-     * @dev AmpToken interface label.
-     */
-    string internal constant AMP_INTERFACE_NAME = "AmpToken";
-
-    /**
-     * @dev ERC20Token interface label.
-     */
-    string internal constant ERC20_INTERFACE_NAME = "ERC20Token";
-
-    /**
-     * @dev AmpTokensSender interface label.
-     */
-    string internal constant AMP_TOKENS_SENDER = "AmpTokensSender";
-
-    /**
-     * @dev AmpTokensRecipient interface label.
-     */
-    string internal constant AMP_TOKENS_RECIPIENT = "AmpTokensRecipient";
-
-    /**
-     * @dev AmpTokensChecker interface label.
-     */
-    string internal constant AMP_TOKENS_CHECKER = "AmpTokensChecker";
-
-    /**************************************************************************/
-    /*************************** Token properties *****************************/
-
-    /**
-     * @dev Token name (Amp).
-     */
-    string internal _name;
-
-    /**
-     * @dev Token symbol (Amp).
-     */
-    string internal _symbol;
-
-    /**
-     * @dev Total minted supply of token. This will increase comensurately with
-     * successful swaps of the swap token.
-     */
-    uint256 internal _totalSupply;
-
-    /**
-     * @dev The granularity of the token. Hard coded to 1.
-     */
-    uint256 internal constant _granularity = 1;
-
-    /**************************************************************************/
-    /***************************** Token mappings *****************************/
-
-    /**
-     * @dev Mapping from tokenHolder to balance. This reflects the balance
-     * across all partitions of an address.
-     */
-    mapping(address => uint256) internal _balances;
-
-    /**************************************************************************/
-    /************************** Partition mappings ****************************/
-
-    /**
-     * @dev List of active partitions. This list reflects all partitions that
-     * have tokens assigned to them.
-     */
-    bytes32[] internal _totalPartitions;
-
-    /**
-     * @dev Mapping from partition to their index.
-     */
-    mapping(bytes32 => uint256) internal _indexOfTotalPartitions;
-
-    /**
-     * @dev Mapping from partition to global balance of corresponding partition.
-     */
-    mapping(bytes32 => uint256) public totalSupplyByPartition;
-
-    /**
-     * @dev Mapping from tokenHolder to their partitions.
-     */
-    mapping(address => bytes32[]) internal _partitionsOf;
-
-    /**
-     * @dev Mapping from (tokenHolder, partition) to their index.
-     */
-    mapping(address => mapping(bytes32 => uint256)) internal _indexOfPartitionsOf;
-
-    /**
-     * @dev Mapping from (tokenHolder, partition) to balance of corresponding
-     * partition.
-     */
-    mapping(address => mapping(bytes32 => uint256)) internal _balanceOfByPartition;
-
-    /**
-     * @notice Default partition of the token.
-     * @dev All ERC20 operations operate solely on this partition.
-     */
-    bytes32
-        public constant defaultPartition = 0x0000000000000000000000000000000000000000000000000000000000000000;
-
-    /**
-     * @dev Zero partition prefix. Partitions with this prefix can not have
-     * a strategy assigned, and partitions with a different prefix must have one.
-     */
-    bytes4 internal constant ZERO_PREFIX = 0x00000000;
-
-    /**************************************************************************/
-    /***************************** Operator mappings **************************/
-
-    /**
-     * @dev Mapping from (tokenHolder, operator) to authorized status. This is
-     * specific to the token holder.
-     */
-    mapping(address => mapping(address => bool)) internal _authorizedOperator;
-
-    /**************************************************************************/
-    /********************** Partition operator mappings ***********************/
-
-    /**
-     * @dev Mapping from (partition, tokenHolder, spender) to allowed value.
-     * This is specific to the token holder.
-     */
-    mapping(bytes32 => mapping(address => mapping(address => uint256)))
-        internal _allowedByPartition;
-
-    /**
-     * @dev Mapping from (tokenHolder, partition, operator) to 'approved for
-     * partition' status. This is specific to the token holder.
-     */
-    mapping(address => mapping(bytes32 => mapping(address => bool)))
-        internal _authorizedOperatorByPartition;
-
-    /**************************************************************************/
-    /********************** Collateral Manager mappings ***********************/
-    /**
-     * @notice Collection of registered collateral managers.
-     */
-    address[] public collateralManagers;
-    /**
-     * @dev Mapping of collateral manager addresses to registration status.
-     */
-    mapping(address => bool) internal _isCollateralManager;
-
-    /**************************************************************************/
-    /********************* Partition Strategy mappings ************************/
-
-    /**
-     * @notice Collection of reserved partition strategies.
-     */
-    bytes4[] public partitionStrategies;
-
-    /**
-     * @dev Mapping of partition strategy flag to registration status.
-     */
-    mapping(bytes4 => bool) internal _isPartitionStrategy;
-
-    /**************************************************************************/
-    /***************************** Swap storage *******************************/
-
-    /**
-     * @notice Swap token address. Immutable.
-     */
-    ISwapToken public swapToken;
-
-    /**
-     * @notice Swap token graveyard address.
-     * @dev This is the address that the incoming swapped tokens will be
-     * forwarded to upon successfully minting Amp.
-     */
-    address
-        public constant swapTokenGraveyard = 0x000000000000000000000000000000000000dEaD;
-
-    /**************************************************************************/
-    /** EVENTS ****************************************************************/
-    /**************************************************************************/
-
-    /**************************************************************************/
-    /**************************** Transfer Events *****************************/
-
-    /**
-     * @notice Emitted when a transfer has been successfully completed.
-     * @param fromPartition The partition from which tokens were transferred.
-     * @param operator The address that initiated the transfer.
-     * @param from The address from which the tokens were transferred.
-     * @param to The address to which the tokens were transferred.
-     * @param value The amount of tokens transferred.
-     * @param data Additional metadata included with the transfer. Can include
-     * the partition to which the tokens were transferred, if different than
-     * `fromPartition`.
-     * @param operatorData Additional metadata included with the transfer. Typically used by
-     * partition strategies and collateral managers to authorize transfers.
-     */
-    event TransferByPartition(
-        bytes32 indexed fromPartition,
-        address operator,
-        address indexed from,
-        address indexed to,
-        uint256 value,
-        bytes data,
-        bytes operatorData
-    );
-
-    /**
-     * @notice Emitted when a transfer has been successfully completed and the
-     * tokens that were transferred have changed partitions.
-     * @param fromPartition The partition from which the tokens were transferred.
-     * @param toPartition The partition to which the tokens were transferred.
-     * @param value The amount of tokens transferred.
-     */
-    event ChangedPartition(
-        bytes32 indexed fromPartition,
-        bytes32 indexed toPartition,
-        uint256 value
-    );
-
-    /**************************************************************************/
-    /**************************** Operator Events *****************************/
-
-    /**
-     * @notice Emitted when a token holder authorizes an address to transfer tokens on its behalf
-     * from a particular partition.
-     * @param partition The partition of the tokens from which the holder has authorized the
-     * `spender` to transfer.
-     * @param owner The token holder.
-     * @param spender The operator for which the `owner` has authorized the allowance.
-     * @param value The amount of tokens authorized for transfer.
-     */
-    event ApprovalByPartition(
-        bytes32 indexed partition,
-        address indexed owner,
-        address indexed spender,
-        uint256 value
-    );
-
-    /**
-     * @notice Emitted when a token holder has authorized an operator to transfer tokens on the
-     * behalf of the holder across all partitions.
-     * @param operator The address that was authorized to transfer tokens on
-     * behalf of the `tokenHolder`.
-     * @param tokenHolder The address that authorized the `operator` to transfer
-     * their tokens.
-     */
-    event AuthorizedOperator(address indexed operator, address indexed tokenHolder);
-
-    /**
-     * @notice Emitted when a token holder has deauthorized an operator from
-     * transferring tokens on behalf of the holder.
-     * @dev Note that this applies an account-wide authorization change, and does not reflect any
-     * change in the authorization for a particular partition.
-     * @param operator The address that was deauthorized from transferring tokens
-     * on behalf of the `tokenHolder`.
-     * @param tokenHolder The address that revoked the `operator`'s authorization
-     * to transfer their tokens.
-     */
-    event RevokedOperator(address indexed operator, address indexed tokenHolder);
-
-    /**
-     * @notice Emitted when a token holder has authorized an operator to transfer
-     * tokens on behalf of the holder from a particular partition.
-     * @param partition The partition from which the `operator` is authorized to transfer.
-     * @param operator The address authorized to transfer tokens on
-     * behalf of the `tokenHolder`.
-     * @param tokenHolder The address that authorized the `operator` to transfer
-     * tokens held in partition `partition`.
-     */
-    event AuthorizedOperatorByPartition(
-        bytes32 indexed partition,
-        address indexed operator,
-        address indexed tokenHolder
-    );
-
-    /**
-     * @notice Emitted when a token holder has deauthorized an operator from
-     * transferring held tokens from a specific partition.
-     * @param partition The partition for which the `operator` was deauthorized for token transfer
-     * on behalf of the `tokenHolder`.
-     * @param operator The address that was deauthorized from transferring
-     * tokens on behalf of the `tokenHolder`.
-     * @param tokenHolder The address that revoked the `operator`'s permission
-     * to transfer held tokens from `partition`.
-     */
-    event RevokedOperatorByPartition(
-        bytes32 indexed partition,
-        address indexed operator,
-        address indexed tokenHolder
-    );
-
-    /**************************************************************************/
-    /********************** Collateral Manager Events *************************/
-
-    /**
-     * @notice Emitted when a collateral manager has been registered.
-     * @param collateralManager The address of the collateral manager.
-     */
-    event CollateralManagerRegistered(address collateralManager);
-
-    /**************************************************************************/
-    /*********************** Partition Strategy Events ************************/
-
-    /**
-     * @notice Emitted when a new partition strategy validator is set.
-     * @param flag The 4 byte prefix of the partitions that the strategy affects.
-     * @param name The name of the interface implemented by the partition strategy.
-     * @param implementation The address of the partition strategy hook
-     * implementation.
-     */
-    event PartitionStrategySet(bytes4 flag, string name, address indexed implementation);
-
-    // ************** Mint & Swap **************
-
-    /**
-     * @notice Emitted when tokens are minted, which only occurs as the result of token swap.
-     * @param operator Address that executed the swap, resulting in tokens being minted
-     * @param to Address that received the newly minted tokens.
-     * @param value Amount of tokens minted.
-     * @param data Additional metadata. Unused; required for interface compatibility.
-     */
-    event Minted(address indexed operator, address indexed to, uint256 value, bytes data);
-
     /**
-     * @notice Emitted when tokens are swapped as part of the minting process.
-     * @param operator Address that executed the swap.
-     * @param from Address whose source swap tokens were burned, and for which Amp tokens were
-     * minted.
-     * @param value Amount of tokens swapped into Amp.
+     * @notice AmpExtension contract, executing the functions that Amp does not
+     * implement itself. It is part of the code of Amp, and can not be changed.
      */
-    event Swap(address indexed operator, address indexed from, uint256 value);
+    address public immutable extension;
 
     /**************************************************************************/
     /** CONSTRUCTOR ***********************************************************/
@@ -421,16 +88,21 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
      * swappable for Amp.
      * @param _name_ Name of the token to be initialized.
      * @param _symbol_ Symbol of the token to be initialized.
+     * @param _extension_ The address of the AmpExtension contract.
      */
     constructor(
         address _swapTokenAddress_,
         string memory _name_,
-        string memory _symbol_
+        string memory _symbol_,
+        address _extension_
     ) public {
         // "Swap token cannot be 0 address"
         require(_swapTokenAddress_ != address(0), EC_5A_INVALID_SWAP_TOKEN_ADDRESS);
         swapToken = ISwapToken(_swapTokenAddress_);
 
+        require(_extension_ != address(0), EC_66_EXTENSION_NOT_SET);
+        extension = _extension_;
+
         _name = _name_;
         _symbol = _symbol_;
         _totalSupply = 0;
@@ -482,7 +154,9 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
      * @return bool indicating whether the operation was successful.
      */
     function transfer(address _to, uint256 _value) external override returns (bool) {
-        _transferByDefaultPartition(msg.sender, msg.sender, _to, _value, "");
+        address sender = _msgSender();
+
+        _transferByDefaultPartition(sender, sender, _to, _value, "");
         return true;
     }
 
@@ -500,7 +174,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         address _to,
         uint256 _value
     ) external override returns (bool) {
-        _transferByDefaultPartition(msg.sender, _from, _to, _value, "");
+        _transferByDefaultPartition(_msgSender(), _from, _to, _value, "");
         return true;
     }
 
@@ -540,7 +214,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
      * @return bool indicating if the operation was successful.
      */
     function approve(address _spender, uint256 _value) external override returns (bool) {
-        _approveByPartition(defaultPartition, msg.sender, _spender, _value);
+        _approveByPartition(defaultPartition, _msgSender(), _spender, _value);
         return true;
     }
 
@@ -565,11 +239,13 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         external
         returns (bool)
     {
+        address sender = _msgSender();
+
         _approveByPartition(
             defaultPartition,
-            msg.sender,
+            sender,
             _spender,
-            _allowedByPartition[defaultPartition][msg.sender][_spender].add(_addedValue)
+            _allowedByPartition[defaultPartition][sender][_spender].add(_addedValue)
         );
         return true;
     }
@@ -596,11 +272,13 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         external
         returns (bool)
     {
+        address sender = _msgSender();
+
         _approveByPartition(
             defaultPartition,
-            msg.sender,
+            sender,
             _spender,
-            _allowedByPartition[defaultPartition][msg.sender][_spender].sub(
+            _allowedByPartition[defaultPartition][sender][_spender].sub(
                 _subtractedValue
             )
         );
@@ -624,14 +302,116 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         uint256 amount = swapToken.allowance(_from, address(this));
         require(amount > 0, EC_53_INSUFFICIENT_ALLOWANCE);
 
+        _swap(_msgSender(), _from, amount);
+    }
+
+    /**
+     * @notice Exchanges `_amount` of source swap tokens from the contract defined at
+     * deployment for the equivalent amount of Amp tokens.
+     * @dev Requires the `_from` account to have granted the Amp contract an allowance of swap
+     * tokens of at least `_amount`. The remainder of the allowance is left in place.
+     * @param _from Token holder whose swap tokens will be exchanged for Amp tokens.
+     * @param _amount Amount of swap tokens to exchange.
+     */
+    function swapAmount(address _from, uint256 _amount) public {
+        require(_amount > 0, EC_5B_INVALID_VALUE_0);
         require(
-            swapToken.transferFrom(_from, swapTokenGraveyard, amount),
-            EC_60_SWAP_TRANSFER_FAILURE
+            _amount <= swapToken.allowance(_from, address(this)),
+            EC_53_INSUFFICIENT_ALLOWANCE
+        );
+
+        _swap(_msgSender(), _from, _amount);
+    }
+
+    /**
+     * @notice Exchanges an amount of source swap tokens from the contract defined at deployment
+     * for the equivalent amount of Amp tokens, and moves the minted tokens to `_toPartition`.
+     * @dev The whole swap token allowance `_from` granted to the Amp contract is exchanged,
+     * and all of the resulting Amp tokens end up in `_toPartition`, which must accept
+     * them. The tokens are minted to the default partition, then transferred to
+     * `_toPartition` so that the partition strategy and token holder hooks are called as
+     * for any partition change. As the caller chooses the destination partition, it must
+     * be `_from` or one of its operators for the default partition. The swapped tokens
+     * count against the cap of the operator authorization and the rate limit of the
+     * operator, if any.
+     * @param _from Token holder whose swap tokens will be exchanged for Amp tokens.
+     * @param _toPartition Partition the minted tokens are moved to.
+     * @param _data Information attached to the partition change, appended to the
+     * change partition flag and `_toPartition`.
+     * @param _operatorData Information attached to the partition change by the operator.
+     */
+    function swapToPartition(
+        address _from,
+        bytes32 _toPartition,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    ) external {
+        address sender = _msgSender();
+        uint256 amount = swapToken.allowance(_from, address(this));
+        require(amount > 0, EC_53_INSUFFICIENT_ALLOWANCE);
+        require(
+            _useOperatorAuthorization(defaultPartition, sender, _from, amount),
+            EC_58_INVALID_OPERATOR
+        );
+        if (_from != sender) {
+            _useOperatorRateLimit(defaultPartition, sender, _from, amount);
+        }
+
+        _swap(sender, _from, amount);
+        _executeTransferByPartition(
+            defaultPartition,
+            sender,
+            _from,
+            _from,
+            amount,
+            abi.encodePacked(PartitionUtils.CHANGE_PARTITION_FLAG, _toPartition, _data),
+            _operatorData
         );
+    }
+
+    /**************************************************************************/
+    /******************************** Burn ************************************/
+
+    /**
+     * @notice Burns tokens from the default partition of the caller.
+     * @param _value Number of tokens to burn.
+     * @param _data Information attached to the burn.
+     */
+    function burn(uint256 _value, bytes calldata _data) external {
+        address sender = _msgSender();
+        _burnByPartition(defaultPartition, sender, sender, _value, _data, "");
+    }
 
-        _mint(msg.sender, _from, amount);
+    /**
+     * @notice Burns tokens from a specific partition of `_from`.
+     * @dev The caller must be `_from` or one of its operators for the `_partition`,
+     * including operators granted by the partition strategy. The burned tokens count
+     * against the cap of the operator authorization and the rate limit of the
+     * operator, if any.
+     * @param _partition Partition of the tokens to burn.
+     * @param _from Token holder whose tokens are burned.
+     * @param _value Number of tokens to burn.
+     * @param _data Information attached to the burn, and intended for the token
+     * holder (`_from`).
+     * @param _operatorData Information attached to the burn by the operator.
+     */
+    function burnByPartition(
+        bytes32 _partition,
+        address _from,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    ) external {
+        address sender = _msgSender();
+        require(
+            _useOperatorAuthorization(_partition, sender, _from, _value),
+            EC_58_INVALID_OPERATOR
+        );
+        if (_from != sender) {
+            _useOperatorRateLimit(_partition, sender, _from, _value);
+        }
 
-        emit Swap(msg.sender, _from, amount);
+        _burnByPartition(_partition, sender, _from, _value, _data, _operatorData);
     }
 
     /**************************************************************************/
@@ -653,6 +433,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
 
     /**
      * @notice Retrieves the set of partitions for a particular token holder.
+     * @dev See `getPartitionsOf` for a paginated variant.
      * @param _tokenHolder Address for which the partitions are returned.
      * @return array containing the partitions of `_tokenHolder`.
      */
@@ -694,7 +475,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         return
             _transferByPartition(
                 _partition,
-                msg.sender,
+                _msgSender(),
                 _from,
                 _to,
                 _value,
@@ -703,74 +484,211 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
             );
     }
 
-    /**************************************************************************/
-    /************************** Operator Management ***************************/
-
     /**
-     * @notice Authorizes an address as an operator of `msg.sender` to transfer tokens on its
-     * behalf.
-     * @dev Note that this applies to all partitions.
-     * 
-     * `msg.sender` is always an operator for itself, and does not need to
-     * be explicitly added.
-     * @param _operator Address to set as an operator for `msg.sender`.
+     * @notice Performs several transfers from a token holder atomically, as if by
+     * successive calls to `Amp.transferByPartition`.
+     * @dev Each transfer is subject to the same operator or allowance permissions,
+     * hooks and events as a single call to `Amp.transferByPartition`. If any of the
+     * transfers fails, the whole batch reverts. All arrays must be the same length.
+     * @param _from Address from which the tokens are to be transferred.
+     * @param _partitions The partitions from which the tokens are to be transferred.
+     * @param _to Addresses to which the tokens are to be transferred.
+     * @param _values Amounts of tokens to be transferred.
+     * @param _data Information attached to each transfer. Will contain the
+     * destination partition if changing partitions.
+     * @param _operatorData Additional data attached to each transfer. Used by partition
+     * strategies and collateral managers to authorize the transfer.
+     * @return bytes32[] containing the destination partition of each transfer.
      */
-    function authorizeOperator(address _operator) external {
-        require(_operator != msg.sender, EC_58_INVALID_OPERATOR);
+    function batchTransferByPartition(
+        address _from,
+        bytes32[] memory _partitions,
+        address[] memory _to,
+        uint256[] memory _values,
+        bytes[] memory _data,
+        bytes[] memory _operatorData
+    ) external returns (bytes32[] memory) {
+        require(
+            _to.length == _partitions.length &&
+                _values.length == _partitions.length &&
+                _data.length == _partitions.length &&
+                _operatorData.length == _partitions.length,
+            EC_63_ARRAY_LENGTH_MISMATCH
+        );
+
+        bytes32[] memory toPartitions = new bytes32[](_partitions.length);
+        for (uint256 i = 0; i < _partitions.length; i++) {
+            toPartitions[i] = _transferByPartition(
+                _partitions[i],
+                _msgSender(),
+                _from,
+                _to[i],
+                _values[i],
+                _data[i],
+                _operatorData[i]
+            );
+        }
 
-        _authorizedOperator[msg.sender][_operator] = true;
-        emit AuthorizedOperator(_operator, msg.sender);
+        return toPartitions;
     }
 
     /**
-     * @notice Remove the right of the `_operator` address to be an operator for
-     * `msg.sender` and to transfer tokens on its behalf.
-     * @dev Note that this affects the account-wide authorization granted via function
-     * `Amp.authorizeOperator`, and does not affect authorizations granted via function
-     * `Amp.authorizeOperatorByPartition`.
-     * 
-     * `msg.sender` is always an operator for itself, and cannot be
-     * removed.
-     * @param _operator Address to be deauthorized an operator for `msg.sender`.
+     * @notice Transfers tokens from a specific partition on behalf of a token
+     * holder, as authorized by a signature of the token holder.
+     * @dev The signed message is the EIP-712 typed data
+     * `TransferByPartition(bytes32 partition,address to,uint256 value,bytes data,bytes operatorData,uint256 nonce,uint256 deadline)`,
+     * where `nonce` is the current value of `nonces(_from)`. The signature takes
+     * the place of the operator or allowance permissions: `_from` is the token
+     * holder and `msg.sender` is the operator of the transfer, including for the
+     * purpose of the sender, recipient and partition strategy hooks.
+     * @param _partition The partition from which the tokens are to be transferred.
+     * @param _from Address from which the tokens are to be transferred, and which
+     * signed the message.
+     * @param _to Address to which the tokens are to be transferred.
+     * @param _value Amount of tokens to be transferred.
+     * @param _data Information attached to the transfer. Will contain the
+     * destination partition if changing partitions.
+     * @param _operatorData Additional data attached to the transfer. Used by partition strategies
+     * and collateral managers to authorize the transfer.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @param _v Recovery id of the signature.
+     * @param _r First 32 bytes of the signature.
+     * @param _s Second 32 bytes of the signature.
+     * @return bytes32 containing the destination partition.
      */
-    function revokeOperator(address _operator) external {
-        require(_operator != msg.sender, EC_58_INVALID_OPERATOR);
+    function transferByPartitionWithSignature(
+        bytes32 _partition,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external returns (bytes32) {
+        require(_to != address(0), EC_57_INVALID_RECEIVER);
+
+        _verifySignature(
+            _from,
+            _hashTransferByPartition(
+                _partition,
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData,
+                _deadline
+            ),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
 
-        _authorizedOperator[msg.sender][_operator] = false;
-        emit RevokedOperator(_operator, msg.sender);
+        return
+            _executeTransferByPartition(
+                _partition,
+                _msgSender(),
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            );
     }
 
     /**
-     * @notice Authorizes an account as an operator of a particular partition.
-     * @dev The `msg.sender` is always an operator for itself, and does not need to
-     * be explicitly added to a partition.
-     * @param _partition The partition for which the `_operator` is to be authorized.
-     * @param _operator Address to be authorized as an operator for `msg.sender`.
+     * @notice Reports whether a call to `Amp.transferByPartition` with the same parameters,
+     * made by `msg.sender`, would succeed.
+     * @dev This performs the same checks as `Amp.transferByPartition`, in the same order, but
+     * returns an ERC-1066 status code rather than reverting. The checks include the operator
+     * and allowance permissions, the balance of `_from`, the reserved partition rules, and the
+     * `canTransfer` and `canReceive` methods of the `AmpTokensSender` and
+     * `AmpTokensRecipient` hooks, if registered. A hook that reverts is reported as a refusal.
+     * @param _partition The partition from which the tokens are to be transferred.
+     * @param _from Address from which the tokens are to be transferred.
+     * @param _to Address to which the tokens are to be transferred.
+     * @param _value Amount of tokens to be transferred.
+     * @param _data Information attached to the transfer. Will contain the
+     * destination partition if changing partitions.
+     * @param _operatorData Additional data attached to the transfer. Used by partition strategies
+     * and collateral managers to authorize the transfer.
+     * @return bytes1 containing the ERC-1066 status code (0x51 on success).
+     * @return bytes32 containing the ERC-1820 interface hash of the hook that refused the
+     * transfer, if any.
+     * @return bytes32 containing the destination partition.
      */
-    function authorizeOperatorByPartition(bytes32 _partition, address _operator)
+    function canTransferByPartition(
+        bytes32 _partition,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    )
         external
+        view
+        returns (
+            bytes1,
+            bytes32,
+            bytes32
+        )
     {
-        require(_operator != msg.sender, EC_58_INVALID_OPERATOR);
-
-        _authorizedOperatorByPartition[msg.sender][_partition][_operator] = true;
-        emit AuthorizedOperatorByPartition(_partition, _operator, msg.sender);
+        return
+            _canTransferByPartition(
+                _partition,
+                _msgSender(),
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            );
     }
 
-    /**
-     * @notice Deauthorizes an address as an operator for a particular partition.
-     * @dev Note that this does not override an account-wide authorization granted via function
-     * `Amp.authorizeOperator`.
-     * 
-     * `msg.sender` is always an operator for itself, and cannot be
-     * removed from a partition.
-     * @param _partition The partition for which the `_operator` is deauthorized.
-     * @param _operator Address to deauthorize as an operator for `msg.sender`.
+    /**************************************************************************/
+    /************************** Operator Management ***************************/
+
+    /**
+     * @notice Authorizes an address as an operator of `msg.sender` to transfer tokens on its
+     * behalf.
+     * @dev Executed by the extension, see `AmpExtension.authorizeOperator`.
+     */
+    function authorizeOperator(address /* _operator */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Remove the right of the `_operator` address to be an operator for
+     * `msg.sender` and to transfer tokens on its behalf.
+     * @dev Executed by the extension, see `AmpExtension.revokeOperator`.
+     */
+    function revokeOperator(address /* _operator */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Authorizes an account as an operator of a particular partition.
+     * @dev Executed by the extension, see `AmpExtension.authorizeOperatorByPartition`.
      */
-    function revokeOperatorByPartition(bytes32 _partition, address _operator) external {
-        require(_operator != msg.sender, EC_58_INVALID_OPERATOR);
+    function authorizeOperatorByPartition(
+        bytes32, /* _partition */
+        address /* _operator */
+    ) external {
+        _delegateToExtension();
+    }
 
-        _authorizedOperatorByPartition[msg.sender][_partition][_operator] = false;
-        emit RevokedOperatorByPartition(_partition, _operator, msg.sender);
+    /**
+     * @notice Deauthorizes an address as an operator for a particular partition.
+     * @dev Executed by the extension, see `AmpExtension.revokeOperatorByPartition`.
+     */
+    function revokeOperatorByPartition(
+        bytes32, /* _partition */
+        address /* _operator */
+    ) external {
+        _delegateToExtension();
     }
 
     /**************************************************************************/
@@ -832,7 +750,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         return
             _isCollateralManager[_collateralManager] &&
             (_isOperator(_operator, _collateralManager) ||
-                _authorizedOperatorByPartition[_collateralManager][_partition][_operator]);
+                _isOperatorByPartition(_partition, _operator, _collateralManager));
     }
 
     /**************************************************************************/
@@ -871,6 +789,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
 
     /**
      * @notice Retrieves the set of existing partitions.
+     * @dev See `getTotalPartitions` for a paginated variant.
      * @return array containing all partitions.
      */
     function totalPartitions() external view returns (bytes32[] memory) {
@@ -914,7 +833,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         address _spender,
         uint256 _value
     ) external returns (bool) {
-        _approveByPartition(_partition, msg.sender, _spender, _value);
+        _approveByPartition(_partition, _msgSender(), _spender, _value);
         return true;
     }
 
@@ -937,11 +856,13 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         address _spender,
         uint256 _addedValue
     ) external returns (bool) {
+        address sender = _msgSender();
+
         _approveByPartition(
             _partition,
-            msg.sender,
+            sender,
             _spender,
-            _allowedByPartition[_partition][msg.sender][_spender].add(_addedValue)
+            _allowedByPartition[_partition][sender][_spender].add(_addedValue)
         );
         return true;
     }
@@ -969,29 +890,166 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         address _spender,
         uint256 _subtractedValue
     ) external returns (bool) {
+        address sender = _msgSender();
+
         _approveByPartition(
             _partition,
-            msg.sender,
+            sender,
             _spender,
-            _allowedByPartition[_partition][msg.sender][_spender].sub(_subtractedValue)
+            _allowedByPartition[_partition][sender][_spender].sub(_subtractedValue)
         );
         return true;
     }
 
+    /**************************************************************************/
+    /********************************* Permit *********************************/
+
+    /**
+     * @notice Retrieves the EIP-712 domain separator used to sign permits.
+     * @return bytes32 containing the domain separator for the current chain.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    /**
+     * @notice Approves the `_spender` address to transfer the specified amount of
+     * tokens on behalf of `_owner`, as authorized by a signature of `_owner`.
+     * @dev Implements EIP-2612. The signed message is the EIP-712 typed data
+     * `Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)`,
+     * where `nonce` is the current value of `nonces(_owner)`.
+     * @param _owner The address which owns the tokens, and signed the permit.
+     * @param _spender The address of the account to be authorized to transfer tokens.
+     * @param _value The amount of tokens to be authorized.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @param _v Recovery id of the signature.
+     * @param _r First 32 bytes of the signature.
+     * @param _s Second 32 bytes of the signature.
+     */
+    function permit(
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        _verifySignature(
+            _owner,
+            keccak256(
+                abi.encode(
+                    PERMIT_TYPEHASH,
+                    _owner,
+                    _spender,
+                    _value,
+                    _useNonce(_owner),
+                    _deadline
+                )
+            ),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+
+        _approveByPartition(defaultPartition, _owner, _spender, _value);
+    }
+
+    /**
+     * @notice Approves the `_spender` address to transfer the specified amount of
+     * tokens in `_partition` on behalf of `_owner`, as authorized by a signature
+     * of `_owner`.
+     * @dev The signed message is the EIP-712 typed data
+     * `PermitByPartition(bytes32 partition,address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)`,
+     * where `nonce` is the current value of `nonces(_owner)`.
+     * @param _partition Partition for which the `_spender` is to be authorized to transfer tokens.
+     * @param _owner The address which owns the tokens, and signed the permit.
+     * @param _spender The address of the account to be authorized to transfer tokens.
+     * @param _value The amount of tokens to be authorized.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @param _v Recovery id of the signature.
+     * @param _r First 32 bytes of the signature.
+     * @param _s Second 32 bytes of the signature.
+     */
+    function permitByPartition(
+        bytes32 _partition,
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        _verifySignature(
+            _owner,
+            keccak256(
+                abi.encode(
+                    PERMIT_BY_PARTITION_TYPEHASH,
+                    _partition,
+                    _owner,
+                    _spender,
+                    _value,
+                    _useNonce(_owner),
+                    _deadline
+                )
+            ),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+
+        _approveByPartition(_partition, _owner, _spender, _value);
+    }
+
+    /**************************************************************************/
+    /******************************* Multicall ********************************/
+
+    /**
+     * @notice Calls several functions of this contract atomically, on behalf of the
+     * caller.
+     * @dev Each call is made with `delegatecall`, so it is executed with the same
+     * sender as the call to `multicall`. Calls relayed by the trusted forwarder have
+     * the original sender appended to each of the sub-calls. If any of the calls
+     * reverts, the whole batch reverts with the reason `<index>:<reason>`, where
+     * `index` is the position of the first failing call and `reason` is its revert
+     * reason, if any.
+     * @param _calls The calldata of each of the calls.
+     * @return bytes[] containing the data returned by each call.
+     */
+    function multicall(bytes[] calldata _calls) external returns (bytes[] memory) {
+        bool forwarded = isTrustedForwarder(msg.sender);
+        address sender = _msgSender();
+
+        bytes[] memory results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool success, bytes memory result) = address(this).delegatecall(
+                forwarded ? abi.encodePacked(_calls[i], sender) : _calls[i]
+            );
+            if (!success) {
+                _revertWithIndex(i, result);
+            }
+
+            results[i] = result;
+        }
+
+        return results;
+    }
+
     /**************************************************************************/
     /************************ Collateral Manager Admin ************************/
 
     /**
      * @notice Registers `msg.sender` as a collateral manager.
+     * @dev Reverts while registrations require approval, in which case
+     * `requestCollateralManagerRegistration` must be used instead.
      */
     function registerCollateralManager() external {
-        // Short circuit a double registry
-        require(!_isCollateralManager[msg.sender], EC_5C_ADDRESS_CONFLICT);
-
-        collateralManagers.push(msg.sender);
-        _isCollateralManager[msg.sender] = true;
+        require(!collateralManagerApprovalRequired, EC_67_REGISTRATION_APPROVAL_REQUIRED);
 
-        emit CollateralManagerRegistered(msg.sender);
+        _addCollateralManager(_msgSender());
     }
 
     /**
@@ -1007,37 +1065,230 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         return _isCollateralManager[_collateralManager];
     }
 
+    /**
+     * @notice Retrieves whether the supplied address is a suspended collateral manager.
+     * @dev Partition strategies refuse transfers into the partitions of a suspended
+     * collateral manager.
+     * @param _collateralManager The address of the collateral manager.
+     * @return bool indicating whether `_collateralManager` is suspended.
+     */
+    function isCollateralManagerSuspended(address _collateralManager)
+        external
+        view
+        returns (bool)
+    {
+        return _isCollateralManagerSuspended[_collateralManager];
+    }
+
     /**************************************************************************/
     /************************ Partition Strategy Admin ************************/
     /**
      * @notice Sets an implementation for a partition strategy identified by `_prefix`.
-     * @dev Note: this function can only be called by the contract owner.
-     * @param _prefix The 4 byte partition prefix the strategy applies to.
-     * @param _implementation The address of the implementation of the strategy hooks.
+     * @dev Executed by the extension, see `AmpExtension.setPartitionStrategy`.
      */
-    function setPartitionStrategy(bytes4 _prefix, address _implementation) external {
-        require(msg.sender == owner(), EC_56_INVALID_SENDER);
-        require(!_isPartitionStrategy[_prefix], EC_5E_PARTITION_PREFIX_CONFLICT);
-        require(_prefix != ZERO_PREFIX, EC_5F_INVALID_PARTITION_PREFIX_0);
-
-        string memory iname = PartitionUtils._getPartitionStrategyValidatorIName(_prefix);
+    function setPartitionStrategy(
+        bytes4, /* _prefix */
+        address /* _implementation */
+    ) external {
+        _delegateToExtension();
+    }
 
-        ERC1820Client.setInterfaceImplementation(iname, _implementation);
-        partitionStrategies.push(_prefix);
-        _isPartitionStrategy[_prefix] = true;
+    /**
+     * @notice Updates the implementation of the partition strategy identified by
+     * `_prefix`, enabling it again if it was disabled.
+     * @dev Executed by the extension, see `AmpExtension.updatePartitionStrategy`.
+     */
+    function updatePartitionStrategy(
+        bytes4, /* _prefix */
+        address /* _implementation */
+    ) external {
+        _delegateToExtension();
+    }
 
-        emit PartitionStrategySet(_prefix, iname, _implementation);
+    /**
+     * @notice Disables the partition strategy identified by `_prefix`.
+     * @dev Executed by the extension, see `AmpExtension.disablePartitionStrategy`.
+     */
+    function disablePartitionStrategy(bytes4 /* _prefix */) external {
+        _delegateToExtension();
     }
 
     /**
-     * @notice Return whether the `_prefix` has had a partition strategy registered.
+     * @notice Return whether the `_prefix` has an enabled partition strategy.
+     * @dev A disabled strategy is still listed by `getPartitionStrategies`, but this
+     * function returns false for it.
      * @param _prefix The partition strategy identifier.
-     * @return bool indicating if the strategy has been registered.
+     * @return bool indicating if the strategy is registered and enabled.
      */
     function isPartitionStrategy(bytes4 _prefix) external view returns (bool) {
         return _isPartitionStrategy[_prefix];
     }
 
+    /**
+     * @notice Return the number of registered partition strategies, including the
+     * disabled ones.
+     * @return uint256 containing the number of registered partition strategies.
+     */
+    function partitionStrategyCount() external view returns (uint256) {
+        return partitionStrategies.length;
+    }
+
+    /**
+     * @notice Return a page of the registered partition strategies.
+     * @dev The interface names are returned as bytes, as the 4 byte prefix they end
+     * with is usually not valid UTF-8.
+     * @param _offset Index of the first strategy to return.
+     * @param _limit Maximum number of strategies to return.
+     * @return bytes4[] containing the prefix of each strategy.
+     * @return address[] containing the validator implementation of each strategy,
+     * which is kept when the strategy is disabled.
+     * @return bytes[] containing the ERC1820 interface name of each strategy.
+     * @return bool[] indicating whether each strategy is enabled.
+     */
+    function getPartitionStrategies(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (
+            bytes4[] memory,
+            address[] memory,
+            bytes[] memory,
+            bool[] memory
+        )
+    {
+        uint256 count = _pageLength(partitionStrategies.length, _offset, _limit);
+
+        bytes4[] memory prefixes = new bytes4[](count);
+        address[] memory implementations = new address[](count);
+        bytes[] memory inames = new bytes[](count);
+        bool[] memory enabled = new bool[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            bytes4 prefix = partitionStrategies[_offset + i];
+            string memory iname = PartitionUtils._getPartitionStrategyValidatorIName(prefix);
+
+            prefixes[i] = prefix;
+            implementations[i] = interfaceAddr(address(this), iname);
+            inames[i] = bytes(iname);
+            enabled[i] = _isPartitionStrategy[prefix];
+        }
+
+        return (prefixes, implementations, inames, enabled);
+    }
+
+    /**************************************************************************/
+    /**************************** Forwarder Admin *****************************/
+    /**
+     * @notice Sets the trusted forwarder for meta-transactions.
+     * @dev Note: this function can only be called by the contract owner, through
+     * `queueTimelockedCall`. Setting the zero address disables meta-transactions.
+     * @param _forwarder The address of the trusted forwarder.
+     */
+    function setTrustedForwarder(address _forwarder) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+        _requireTimelock();
+
+        address oldValue = trustedForwarder;
+        trustedForwarder = _forwarder;
+
+        emit TrustedForwarderUpdate(oldValue, _forwarder);
+    }
+
+    /**************************************************************************/
+    /******************************* Extension ********************************/
+    /**
+     * @notice Executes calls to functions not implemented by Amp with the
+     * extension, in the storage of Amp.
+     * @dev The calldata is forwarded as is, so that the extension sees the same
+     * sender as Amp, including for calls relayed by the trusted forwarder.
+     */
+    fallback() external {
+        _delegateToExtension();
+    }
+
+    /**************************************************************************/
+    /****************************** Pause Admin *******************************/
+    /**
+     * @notice Pauses or unpauses all transfers.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `PAUSER_ROLE`.
+     * @param _paused Whether transfers are paused.
+     */
+    function setTransfersPaused(bool _paused) external {
+        require(_hasRole(PAUSER_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+
+        transfersPaused = _paused;
+
+        emit TransfersPauseUpdate(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses swaps.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `PAUSER_ROLE`.
+     * @param _paused Whether swaps are paused.
+     */
+    function setSwapsPaused(bool _paused) external {
+        require(_hasRole(PAUSER_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+
+        swapsPaused = _paused;
+
+        emit SwapsPauseUpdate(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses transfers from or to the default partition.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `PAUSER_ROLE`.
+     * @param _paused Whether transfers of the default partition are paused.
+     */
+    function setDefaultPartitionPaused(bool _paused) external {
+        require(_hasRole(PAUSER_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+
+        defaultPartitionPaused = _paused;
+
+        emit DefaultPartitionPauseUpdate(_paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses transfers from or to the partitions with `_prefix`.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `PAUSER_ROLE`. The default partition is not affected, see
+     * `setDefaultPartitionPaused`.
+     * @param _prefix The 4 byte partition prefix.
+     * @param _paused Whether transfers of the partitions with `_prefix` are paused.
+     */
+    function setPartitionPrefixPaused(bytes4 _prefix, bool _paused) external {
+        require(_hasRole(PAUSER_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+
+        _isPartitionPrefixPaused[_prefix] = _paused;
+
+        emit PartitionPrefixPauseUpdate(_prefix, _paused);
+    }
+
+    /**
+     * @notice Return whether transfers of the partitions with `_prefix` are paused.
+     * @param _prefix The 4 byte partition prefix.
+     * @return bool indicating whether the partitions with `_prefix` are paused.
+     */
+    function isPartitionPrefixPaused(bytes4 _prefix) external view returns (bool) {
+        return _isPartitionPrefixPaused[_prefix];
+    }
+
+    /**
+     * @notice Return whether a transfer from `_fromPartition` to `_toPartition` is
+     * paused by any of the pause scopes.
+     * @param _fromPartition The partition the tokens are transferred from.
+     * @param _toPartition The partition the tokens are transferred to.
+     * @return bool indicating whether the transfer is paused.
+     */
+    function isTransferPaused(bytes32 _fromPartition, bytes32 _toPartition)
+        external
+        view
+        returns (bool)
+    {
+        return _isTransferPaused(_fromPartition, _toPartition);
+    }
+
     /**************************************************************************/
     /*************************** INTERNAL FUNCTIONS ***************************/
     /**************************************************************************/
@@ -1074,23 +1325,61 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         // allowance permissions.
         if (_from != _operator) {
             require(
-                _isOperatorForPartition(_fromPartition, _operator, _from) ||
+                _useOperatorAuthorization(_fromPartition, _operator, _from, _value) ||
                     (_value <= _allowedByPartition[_fromPartition][_from][_operator]),
                 EC_53_INSUFFICIENT_ALLOWANCE
             );
 
             // If the sender has an allowance for the partition, that should
             // be decremented
-            if (_allowedByPartition[_fromPartition][_from][_operator] >= _value) {
-                _allowedByPartition[_fromPartition][_from][msg
-                    .sender] = _allowedByPartition[_fromPartition][_from][_operator].sub(
-                    _value
-                );
-            } else {
-                _allowedByPartition[_fromPartition][_from][_operator] = 0;
-            }
+            uint256 partitionAllowance = _allowedByPartition[_fromPartition][_from][
+                _operator
+            ];
+            _setAllowanceByPartition(
+                _fromPartition,
+                _from,
+                _operator,
+                partitionAllowance >= _value ? partitionAllowance - _value : 0
+            );
+
+            _useOperatorRateLimit(_fromPartition, _operator, _from, _value);
         }
 
+        return
+            _executeTransferByPartition(
+                _fromPartition,
+                _operator,
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            );
+    }
+
+    /**
+     * @dev Transfer tokens from a specific partition, once the `_operator` has
+     * been authorized to transfer on behalf of `_from`.
+     * @param _fromPartition Partition of the tokens to transfer.
+     * @param _operator The address performing the transfer.
+     * @param _from Token holder.
+     * @param _to Token recipient.
+     * @param _value Number of tokens to transfer.
+     * @param _data Information attached to the transfer. Contains the destination
+     * partition if a partition change is requested.
+     * @param _operatorData Information attached to the transfer, by the operator
+     * (if any).
+     * @return bytes32 containing the destination partition.
+     */
+    function _executeTransferByPartition(
+        bytes32 _fromPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal returns (bytes32) {
         _callPreTransferHooks(
             _fromPartition,
             _operator,
@@ -1110,6 +1399,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
             _data,
             _fromPartition
         );
+        require(!_isTransferPaused(_fromPartition, toPartition), EC_54_TRANSFERS_HALTED);
 
         _removeTokenFromPartition(_from, _fromPartition, _value);
         _addTokenToPartition(_to, toPartition, _value);
@@ -1162,6 +1452,99 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         _transferByPartition(defaultPartition, _operator, _from, _to, _value, _data, "");
     }
 
+    /**
+     * @dev Perform the checks of `_transferByPartition` without modifying state.
+     * @param _fromPartition Partition of the tokens to transfer.
+     * @param _operator The address performing the transfer.
+     * @param _from Token holder.
+     * @param _to Token recipient.
+     * @param _value Number of tokens to transfer.
+     * @param _data Information attached to the transfer. Contains the destination
+     * partition if a partition change is requested.
+     * @param _operatorData Information attached to the transfer, by the operator
+     * (if any).
+     * @return bytes1 containing the ERC-1066 status code.
+     * @return bytes32 containing the interface hash of the refusing hook, if any.
+     * @return bytes32 containing the destination partition.
+     */
+    function _canTransferByPartition(
+        bytes32 _fromPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    )
+        internal
+        view
+        returns (
+            bytes1,
+            bytes32,
+            bytes32
+        )
+    {
+        bytes32 toPartition = PartitionUtils._getDestinationPartition(
+            _data,
+            _fromPartition
+        );
+
+        if (_to == address(0)) {
+            return (ESC_57_INVALID_RECEIVER, "", toPartition);
+        }
+
+        if (
+            _from != _operator &&
+            !_isOperatorForValue(_fromPartition, _operator, _from, _value) &&
+            _value > _allowedByPartition[_fromPartition][_from][_operator]
+        ) {
+            return (ESC_53_INSUFFICIENT_ALLOWANCE, "", toPartition);
+        }
+
+        if (
+            _from != _operator &&
+            _value >
+            _remainingOperatorRateLimit(
+                _operatorRateLimit[_from][_fromPartition][_operator]
+            )
+        ) {
+            return (ESC_53_INSUFFICIENT_ALLOWANCE, "", toPartition);
+        }
+
+        (bytes1 code, bytes32 reason) = _checkPreTransferHooks(
+            _fromPartition,
+            _operator,
+            _from,
+            _to,
+            _value,
+            _data,
+            _operatorData
+        );
+        if (code != ESC_51_TRANSFER_SUCCESS) {
+            return (code, reason, toPartition);
+        }
+
+        if (_balanceOfByPartition[_from][_fromPartition] < _value) {
+            return (ESC_52_INSUFFICIENT_BALANCE, "", toPartition);
+        }
+
+        if (_isTransferPaused(_fromPartition, toPartition)) {
+            return (ESC_54_TRANSFERS_HALTED, "", toPartition);
+        }
+
+        (code, reason) = _checkPostTransferHooks(
+            toPartition,
+            _operator,
+            _from,
+            _to,
+            _value,
+            _data,
+            _operatorData
+        );
+
+        return (code, reason, toPartition);
+    }
+
     /**
      * @dev Remove a token from a specific partition.
      * @param _from Token holder.
@@ -1207,6 +1590,8 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
 
             _partitionsOf[_from].pop();
             _indexOfPartitionsOf[_from][_partition] = 0;
+
+            _removeHolderFromPartition(_partition, _from);
         }
     }
 
@@ -1230,6 +1615,8 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         if (_indexOfPartitionsOf[_to][_partition] == 0) {
             _partitionsOf[_to].push(_partition);
             _indexOfPartitionsOf[_to][_partition] = _partitionsOf[_to].length;
+
+            _addHolderToPartition(_partition, _to);
         }
         _balanceOfByPartition[_to][_partition] = _balanceOfByPartition[_to][_partition]
             .add(_value);
@@ -1271,12 +1658,51 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         _indexOfTotalPartitions[_partition] = 0;
     }
 
-    /**************************************************************************/
-    /********************************* Hooks **********************************/
     /**
-     * @notice Check for and call the `AmpTokensSender` hook on the sender address
-     * (`_from`), and, if `_fromPartition` is within the scope of a strategy,
-     * check for and call the `AmpPartitionStrategy.tokensFromPartitionToTransfer`
+     * @dev Add a token holder to the holders of a partition.
+     * @param _partition Name of the partition.
+     * @param _tokenHolder Address of the token holder.
+     */
+    function _addHolderToPartition(bytes32 _partition, address _tokenHolder)
+        internal
+        virtual
+    {
+        address[] storage holders = _holdersOfPartition[_partition];
+        holders.push(_tokenHolder);
+        _indexOfHolderOfPartition[_partition][_tokenHolder] = holders.length;
+    }
+
+    /**
+     * @dev Remove a token holder from the holders of a partition.
+     * @param _partition Name of the partition.
+     * @param _tokenHolder Address of the token holder.
+     */
+    function _removeHolderFromPartition(bytes32 _partition, address _tokenHolder)
+        internal
+        virtual
+    {
+        uint256 index = _indexOfHolderOfPartition[_partition][_tokenHolder];
+
+        if (index == 0) {
+            return;
+        }
+
+        // move the last item into the index being vacated
+        address[] storage holders = _holdersOfPartition[_partition];
+        address lastValue = holders[holders.length - 1];
+        holders[index - 1] = lastValue; // adjust for 1-based indexing
+        _indexOfHolderOfPartition[_partition][lastValue] = index;
+
+        holders.pop();
+        _indexOfHolderOfPartition[_partition][_tokenHolder] = 0;
+    }
+
+    /**************************************************************************/
+    /********************************* Hooks **********************************/
+    /**
+     * @notice Check for and call the `AmpTokensSender` hook on the sender address
+     * (`_from`), and, if `_fromPartition` is within the scope of a strategy,
+     * check for and call the `AmpPartitionStrategy.tokensFromPartitionToTransfer`
      * hook for the strategy.
      * @param _fromPartition Name of the partition to transfer tokens from.
      * @param _operator Address which triggered the balance decrease (through
@@ -1312,9 +1738,10 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         }
 
         // Used to ensure that hooks implemented by a collateral manager to validate
-        // transfers from it's owned partitions are called
+        // transfers from it's owned partitions are called, even once the strategy
+        // is disabled
         bytes4 fromPartitionPrefix = PartitionUtils._getPartitionPrefix(_fromPartition);
-        if (_isPartitionStrategy[fromPartitionPrefix]) {
+        if (_isPartitionStrategyRegistered[fromPartitionPrefix]) {
             address fromPartitionValidatorImplementation;
             fromPartitionValidatorImplementation = interfaceAddr(
                 address(this),
@@ -1397,6 +1824,272 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         }
     }
 
+    /**
+     * @dev Dry run counterpart of `_callPreTransferHooks`. Calls the `canTransfer` method of
+     * the `AmpTokensSender` hook of the sender (`_from`), if registered, and, if
+     * `_fromPartition` is within the scope of a strategy, the `canTransferFromPartition`
+     * method of the strategy validator.
+     * @param _fromPartition Name of the partition to transfer tokens from.
+     * @param _operator Address which would trigger the balance decrease.
+     * @param _from Token holder.
+     * @param _to Token recipient for a transfer.
+     * @param _value Number of tokens the token holder balance would be decreased by.
+     * @param _data Extra information, pertaining to the `_from` address.
+     * @param _operatorData Extra information, attached by the operator (if any).
+     * @return bytes1 containing the ERC-1066 status code.
+     * @return bytes32 containing the interface hash of the refusing hook, if any.
+     */
+    function _checkPreTransferHooks(
+        bytes32 _fromPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal view returns (bytes1, bytes32) {
+        address senderImplementation;
+        senderImplementation = interfaceAddr(_from, AMP_TOKENS_SENDER);
+        if (senderImplementation != address(0)) {
+            bool canTransfer;
+            try
+                IAmpTokensSender(senderImplementation).canTransfer(
+                    this.transferByPartition.selector,
+                    _fromPartition,
+                    _operator,
+                    _from,
+                    _to,
+                    _value,
+                    _data,
+                    _operatorData
+                )
+            returns (bool _canTransfer) {
+                canTransfer = _canTransfer;
+            } catch {}
+
+            if (!canTransfer) {
+                return (
+                    ESC_56_INVALID_SENDER,
+                    keccak256(abi.encodePacked(AMP_TOKENS_SENDER))
+                );
+            }
+        }
+
+        bytes4 fromPartitionPrefix = PartitionUtils._getPartitionPrefix(_fromPartition);
+        if (
+            _isPartitionStrategyRegistered[fromPartitionPrefix] &&
+            !_canTransferFromPartition(
+                _fromPartition,
+                _operator,
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            )
+        ) {
+            return (
+                ESC_50_TRANSFER_FAILURE,
+                keccak256(
+                    abi.encodePacked(
+                        PartitionUtils._getPartitionStrategyValidatorIName(
+                            fromPartitionPrefix
+                        )
+                    )
+                )
+            );
+        }
+
+        return (ESC_51_TRANSFER_SUCCESS, "");
+    }
+
+    /**
+     * @dev Dry run counterpart of `_callPostTransferHooks`. If `_toPartition` is within the
+     * scope of a strategy, calls the `canTransferToPartition` method of the strategy
+     * validator, otherwise checks that `_toPartition` is not reserved. Then calls the
+     * `canReceive` method of the `AmpTokensRecipient` hook of the recipient (`_to`), if
+     * registered.
+     * @param _toPartition Name of the partition the tokens would be transferred to.
+     * @param _operator Address which would trigger the balance increase.
+     * @param _from Token holder.
+     * @param _to Token recipient.
+     * @param _value Number of tokens the recipient balance would be increased by.
+     * @param _data Extra information related to the token holder (`_from`).
+     * @param _operatorData Extra information attached by the operator (if any).
+     * @return bytes1 containing the ERC-1066 status code.
+     * @return bytes32 containing the interface hash of the refusing hook, if any.
+     */
+    function _checkPostTransferHooks(
+        bytes32 _toPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal view returns (bytes1, bytes32) {
+        bytes4 toPartitionPrefix = PartitionUtils._getPartitionPrefix(_toPartition);
+        if (_isPartitionStrategy[toPartitionPrefix]) {
+            if (
+                !_canTransferToPartition(
+                    _toPartition,
+                    _operator,
+                    _from,
+                    _to,
+                    _value,
+                    _data,
+                    _operatorData
+                )
+            ) {
+                return (
+                    ESC_50_TRANSFER_FAILURE,
+                    keccak256(
+                        abi.encodePacked(
+                            PartitionUtils._getPartitionStrategyValidatorIName(
+                                toPartitionPrefix
+                            )
+                        )
+                    )
+                );
+            }
+        } else if (toPartitionPrefix != ZERO_PREFIX) {
+            return (ESC_5D_PARTITION_RESERVED, "");
+        }
+
+        address recipientImplementation;
+        recipientImplementation = interfaceAddr(_to, AMP_TOKENS_RECIPIENT);
+        if (recipientImplementation != address(0)) {
+            bool canReceive;
+            try
+                IAmpTokensRecipient(recipientImplementation).canReceive(
+                    this.transferByPartition.selector,
+                    _toPartition,
+                    _operator,
+                    _from,
+                    _to,
+                    _value,
+                    _data,
+                    _operatorData
+                )
+            returns (bool _canReceive) {
+                canReceive = _canReceive;
+            } catch {}
+
+            if (!canReceive) {
+                return (
+                    ESC_57_INVALID_RECEIVER,
+                    keccak256(abi.encodePacked(AMP_TOKENS_RECIPIENT))
+                );
+            }
+        }
+
+        return (ESC_51_TRANSFER_SUCCESS, "");
+    }
+
+    /**
+     * @dev Call the `canTransferFromPartition` method of the strategy validator for the
+     * prefix of `_fromPartition`, if an implementation is registered. A validator that
+     * reverts is reported as a refusal.
+     * @param _fromPartition Name of the partition to transfer tokens from.
+     * @param _operator Address which would trigger the balance decrease.
+     * @param _from Token holder.
+     * @param _to Token recipient for a transfer.
+     * @param _value Number of tokens the token holder balance would be decreased by.
+     * @param _data Extra information, pertaining to the `_from` address.
+     * @param _operatorData Extra information, attached by the operator (if any).
+     * @return bool indicating whether the strategy validator would allow the transfer.
+     */
+    function _canTransferFromPartition(
+        bytes32 _fromPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal view returns (bool) {
+        address fromPartitionValidatorImplementation;
+        fromPartitionValidatorImplementation = interfaceAddr(
+            address(this),
+            PartitionUtils._getPartitionStrategyValidatorIName(
+                PartitionUtils._getPartitionPrefix(_fromPartition)
+            )
+        );
+        if (fromPartitionValidatorImplementation == address(0)) {
+            return true;
+        }
+
+        try
+            IAmpPartitionStrategyValidator(fromPartitionValidatorImplementation)
+                .canTransferFromPartition(
+                this.transferByPartition.selector,
+                _fromPartition,
+                _operator,
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            )
+        returns (bool canTransfer) {
+            return canTransfer;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Call the `canTransferToPartition` method of the strategy validator for the
+     * prefix of `_toPartition`, if an implementation is registered. A validator that
+     * reverts is reported as a refusal.
+     * @param _toPartition Name of the partition the tokens would be transferred to.
+     * @param _operator Address which would trigger the balance increase.
+     * @param _from Token holder.
+     * @param _to Token recipient.
+     * @param _value Number of tokens the recipient balance would be increased by.
+     * @param _data Extra information related to the token holder (`_from`).
+     * @param _operatorData Extra information attached by the operator (if any).
+     * @return bool indicating whether the strategy validator would allow the transfer.
+     */
+    function _canTransferToPartition(
+        bytes32 _toPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal view returns (bool) {
+        address partitionManagerImplementation;
+        partitionManagerImplementation = interfaceAddr(
+            address(this),
+            PartitionUtils._getPartitionStrategyValidatorIName(
+                PartitionUtils._getPartitionPrefix(_toPartition)
+            )
+        );
+        if (partitionManagerImplementation == address(0)) {
+            return true;
+        }
+
+        try
+            IAmpPartitionStrategyValidator(partitionManagerImplementation)
+                .canTransferToPartition(
+                this.transferByPartition.selector,
+                _toPartition,
+                _operator,
+                _from,
+                _to,
+                _value,
+                _data,
+                _operatorData
+            )
+        returns (bool canTransfer) {
+            return canTransfer;
+        } catch {
+            return false;
+        }
+    }
+
     /**************************************************************************/
     /******************************* Allowance ********************************/
     /**
@@ -1416,7 +2109,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         require(_tokenHolder != address(0), EC_56_INVALID_SENDER);
         require(_spender != address(0), EC_58_INVALID_OPERATOR);
 
-        _allowedByPartition[_partition][_tokenHolder][_spender] = _amount;
+        _setAllowanceByPartition(_partition, _tokenHolder, _spender, _amount);
         emit ApprovalByPartition(_partition, _tokenHolder, _spender, _amount);
 
         if (_partition == defaultPartition) {
@@ -1424,6 +2117,133 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         }
     }
 
+    /**
+     * @dev Set the allowance of `_spender` for the tokens of `_tokenHolder` in
+     * `_partition`, keeping count of the spenders with a non-zero allowance for the
+     * default partition.
+     * @param _partition Name of the partition.
+     * @param _tokenHolder Owner of the tokens.
+     * @param _spender The address which may spend the tokens.
+     * @param _amount The amount of tokens available to be spent.
+     */
+    function _setAllowanceByPartition(
+        bytes32 _partition,
+        address _tokenHolder,
+        address _spender,
+        uint256 _amount
+    ) internal {
+        uint256 current = _allowedByPartition[_partition][_tokenHolder][_spender];
+
+        if (_partition == defaultPartition && (current == 0) != (_amount == 0)) {
+            _allowanceCountOf[_tokenHolder] = _amount == 0
+                ? _allowanceCountOf[_tokenHolder].sub(1)
+                : _allowanceCountOf[_tokenHolder].add(1);
+        }
+
+        _allowedByPartition[_partition][_tokenHolder][_spender] = _amount;
+    }
+
+    /**************************************************************************/
+    /******************************* Signatures *******************************/
+    /**
+     * @dev Compute the EIP-712 domain separator. The chain id is read on every
+     * call so that signatures remain bound to a single chain across forks.
+     * @return bytes32 containing the domain separator.
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
+
+        return
+            keccak256(
+                abi.encode(
+                    EIP712_DOMAIN_TYPEHASH,
+                    keccak256(bytes(_name)),
+                    keccak256(bytes(EIP712_DOMAIN_VERSION)),
+                    chainId,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Consume the current nonce of `_signer`.
+     * @param _signer Address whose nonce is consumed.
+     * @return uint256 containing the nonce prior to being incremented.
+     */
+    function _useNonce(address _signer) internal returns (uint256) {
+        uint256 nonce = nonces[_signer];
+        nonces[_signer] = nonce.add(1);
+        return nonce;
+    }
+
+    /**
+     * @dev Compute the EIP-712 struct hash of a transfer authorized by a signature
+     * of `_from`, consuming the current nonce of `_from`.
+     * @param _partition The partition from which the tokens are to be transferred.
+     * @param _from Address from which the tokens are to be transferred.
+     * @param _to Address to which the tokens are to be transferred.
+     * @param _value Amount of tokens to be transferred.
+     * @param _data Information attached to the transfer.
+     * @param _operatorData Additional data attached to the transfer.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @return bytes32 containing the struct hash.
+     */
+    function _hashTransferByPartition(
+        bytes32 _partition,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData,
+        uint256 _deadline
+    ) internal returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    TRANSFER_BY_PARTITION_TYPEHASH,
+                    _partition,
+                    _to,
+                    _value,
+                    keccak256(_data),
+                    keccak256(_operatorData),
+                    _useNonce(_from),
+                    _deadline
+                )
+            );
+    }
+
+    /**
+     * @dev Verify that the EIP-712 typed data `_structHash` was signed by `_signer`
+     * and that the signature has not expired.
+     * @param _signer Address expected to have signed the message.
+     * @param _structHash EIP-712 hash of the signed struct.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @param _v Recovery id of the signature.
+     * @param _r First 32 bytes of the signature.
+     * @param _s Second 32 bytes of the signature.
+     */
+    function _verifySignature(
+        address _signer,
+        bytes32 _structHash,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) internal view {
+        require(_deadline >= block.timestamp, EC_62_SIGNATURE_EXPIRED);
+
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", _domainSeparator(), _structHash)
+        );
+        require(
+            ECDSA.recover(digest, abi.encodePacked(_r, _s, _v)) == _signer,
+            EC_61_INVALID_SIGNATURE
+        );
+    }
+
     /**************************************************************************/
     /************************** Operator Information **************************/
     /**
@@ -1441,7 +2261,32 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         returns (bool)
     {
         return (_operator == _tokenHolder ||
-            _authorizedOperator[_tokenHolder][_operator]);
+            (_authorizedOperator[_tokenHolder][_operator] &&
+                _isOperatorLimitActive(_operatorLimit[_tokenHolder][_operator])));
+    }
+
+    /**
+     * @dev Indicate whether the operator address has been authorized by the
+     * tokenHolder address for the given partition specifically, and the
+     * authorization has not expired or exhausted its cap.
+     * @param _partition Name of the partition.
+     * @param _operator Address which may be an operator of tokenHolder for the
+     * `_partition`.
+     * @param _tokenHolder Address of a token holder which may have the operator
+     * address as an operator for the `_partition`.
+     * @return bool indicating whether `_operator` is authorized by `_tokenHolder` for
+     * the `_partition`.
+     */
+    function _isOperatorByPartition(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder
+    ) internal view returns (bool) {
+        return
+            _authorizedOperatorByPartition[_tokenHolder][_partition][_operator] &&
+            _isOperatorLimitActive(
+                _operatorLimitByPartition[_tokenHolder][_partition][_operator]
+            );
     }
 
     /**
@@ -1461,10 +2306,194 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         address _tokenHolder
     ) internal view returns (bool) {
         return (_isOperator(_operator, _tokenHolder) ||
-            _authorizedOperatorByPartition[_tokenHolder][_partition][_operator] ||
+            _isOperatorByPartition(_partition, _operator, _tokenHolder) ||
             _callPartitionStrategyOperatorHook(_partition, _operator, _tokenHolder));
     }
 
+    /**
+     * @dev Indicate whether the operator address can transfer `_value` tokens
+     * of the tokenHolder address from the given partition as an operator, within
+     * the expiry and cap of its authorization.
+     * @param _partition Name of the partition.
+     * @param _operator Address which may be an operator of tokenHolder for the
+     * `_partition`.
+     * @param _tokenHolder Address of a token holder which may have the operator
+     * address as an operator for the `_partition`.
+     * @param _value Number of tokens to transfer.
+     * @return bool indicating whether `_operator` can transfer `_value` tokens of
+     * `_tokenHolder` from the `_partition`.
+     */
+    function _isOperatorForValue(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder,
+        uint256 _value
+    ) internal view returns (bool) {
+        if (
+            _operator == _tokenHolder ||
+            _isAuthorizedOperatorForValue(_partition, _operator, _tokenHolder, _value)
+        ) {
+            return true;
+        }
+
+        if (!_callPartitionStrategyOperatorHook(_partition, _operator, _tokenHolder)) {
+            return false;
+        }
+
+        address collateralManager = _collateralManagerLimitingOperator(
+            _partition,
+            _operator
+        );
+        return
+            collateralManager == address(0) ||
+            _isAuthorizedOperatorForValue(
+                _partition,
+                _operator,
+                collateralManager,
+                _value
+            );
+    }
+
+    /**
+     * @dev Use the authorization of the operator address to transfer `_value`
+     * tokens of the tokenHolder address from the given partition, deducting them
+     * from the cap of the authorization, if any. The account-wide authorization is
+     * used before the one for the partition. When the operator rights come from the
+     * partition strategy, the transfer counts against the authorization the
+     * collateral manager owning the partition granted to the operator, if any.
+     * @param _partition Name of the partition.
+     * @param _operator Address which may be an operator of tokenHolder for the
+     * `_partition`.
+     * @param _tokenHolder Address of a token holder which may have the operator
+     * address as an operator for the `_partition`.
+     * @param _value Number of tokens to transfer.
+     * @return bool indicating whether `_operator` could transfer `_value` tokens of
+     * `_tokenHolder` from the `_partition`.
+     */
+    function _useOperatorAuthorization(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder,
+        uint256 _value
+    ) internal returns (bool) {
+        if (
+            _operator == _tokenHolder ||
+            _useAuthorizedOperatorLimit(_partition, _operator, _tokenHolder, _value)
+        ) {
+            return true;
+        }
+
+        if (!_callPartitionStrategyOperatorHook(_partition, _operator, _tokenHolder)) {
+            return false;
+        }
+
+        address collateralManager = _collateralManagerLimitingOperator(
+            _partition,
+            _operator
+        );
+        return
+            collateralManager == address(0) ||
+            _useAuthorizedOperatorLimit(_partition, _operator, collateralManager, _value);
+    }
+
+    /**
+     * @dev Indicate whether the tokenHolder address explicitly authorized the
+     * operator address, account-wide or for the given partition, to transfer
+     * `_value` tokens within the expiry and cap of the authorization.
+     * @param _partition Name of the partition.
+     * @param _operator Address which may be an operator of tokenHolder.
+     * @param _tokenHolder Address of a token holder which may have authorized the
+     * operator address.
+     * @param _value Number of tokens to transfer.
+     * @return bool indicating whether an authorization allows the transfer.
+     */
+    function _isAuthorizedOperatorForValue(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder,
+        uint256 _value
+    ) internal view returns (bool) {
+        return
+            (_authorizedOperator[_tokenHolder][_operator] &&
+                _isWithinOperatorLimit(
+                    _operatorLimit[_tokenHolder][_operator],
+                    _value
+                )) ||
+            (_authorizedOperatorByPartition[_tokenHolder][_partition][_operator] &&
+                _isWithinOperatorLimit(
+                    _operatorLimitByPartition[_tokenHolder][_partition][_operator],
+                    _value
+                ));
+    }
+
+    /**
+     * @dev Use the authorization the tokenHolder address explicitly granted to the
+     * operator address to transfer `_value` tokens, deducting them from its cap, if
+     * any. The account-wide authorization is used before the one for the partition.
+     * @param _partition Name of the partition.
+     * @param _operator Address which may be an operator of tokenHolder.
+     * @param _tokenHolder Address of a token holder which may have authorized the
+     * operator address.
+     * @param _value Number of tokens to transfer.
+     * @return bool indicating whether an authorization allowed the transfer.
+     */
+    function _useAuthorizedOperatorLimit(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder,
+        uint256 _value
+    ) internal returns (bool) {
+        OperatorLimit storage limit = _operatorLimit[_tokenHolder][_operator];
+        if (
+            !_authorizedOperator[_tokenHolder][_operator] ||
+            !_isWithinOperatorLimit(limit, _value)
+        ) {
+            limit = _operatorLimitByPartition[_tokenHolder][_partition][_operator];
+            if (
+                !_authorizedOperatorByPartition[_tokenHolder][_partition][_operator] ||
+                !_isWithinOperatorLimit(limit, _value)
+            ) {
+                return false;
+            }
+        }
+
+        if (limit.capped) {
+            limit.remaining = limit.remaining - _value;
+        }
+
+        return true;
+    }
+
+    /**
+     * @dev Retrieve the collateral manager owning the given partition, if it
+     * explicitly authorized the operator address, account-wide or for the partition.
+     * Transfers a partition strategy lets the operator make from the partition are
+     * then limited by that authorization, like a keeper acting for the collateral
+     * manager.
+     * @param _partition Name of the partition.
+     * @param _operator Address of the operator.
+     * @return address of the collateral manager, or the zero address if the
+     * transfer is not limited by an authorization of the collateral manager.
+     */
+    function _collateralManagerLimitingOperator(bytes32 _partition, address _operator)
+        internal
+        view
+        returns (address)
+    {
+        (, , address partitionOwner) = PartitionUtils._splitPartition(_partition);
+
+        if (
+            _operator != partitionOwner &&
+            _isCollateralManager[partitionOwner] &&
+            (_authorizedOperator[partitionOwner][_operator] ||
+                _authorizedOperatorByPartition[partitionOwner][_partition][_operator])
+        ) {
+            return partitionOwner;
+        }
+
+        return address(0);
+    }
+
     /**
      * @notice Check if the `_partition` is within the scope of a strategy, and
      * call it's isOperatorForPartitionScope hook if so.
@@ -1482,7 +2511,7 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
     ) internal view returns (bool) {
         bytes4 prefix = PartitionUtils._getPartitionPrefix(_partition);
 
-        if (!_isPartitionStrategy[prefix]) {
+        if (!_isPartitionStrategyRegistered[prefix]) {
             return false;
         }
 
@@ -1501,6 +2530,83 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         return false;
     }
 
+    /**************************************************************************/
+    /******************************* Multicall ********************************/
+
+    /**
+     * @dev Revert with the reason `<index>:<reason>`, where `reason` is the revert reason
+     * found in `_result`, if any. The revert data is built explicitly so that it is
+     * preserved when revert strings are stripped at compile time.
+     * @param _index The index of the failed call.
+     * @param _result The data returned by the failed call.
+     */
+    function _revertWithIndex(uint256 _index, bytes memory _result) internal pure {
+        bytes memory revertData = abi.encodeWithSignature(
+            "Error(string)",
+            string(abi.encodePacked(Strings.toString(_index), ":", _getRevertReason(_result)))
+        );
+
+        assembly {
+            revert(add(revertData, 32), mload(revertData))
+        }
+    }
+
+    /**
+     * @dev Extract the revert reason from the data returned by a failed call.
+     * @param _result The data returned by the call.
+     * @return string containing the revert reason, or an empty string if the call
+     * did not revert with an `Error(string)` reason.
+     */
+    function _getRevertReason(bytes memory _result) internal pure returns (string memory) {
+        // Error(string) selector, followed by the offset and length of the reason
+        if (_result.length < 68) {
+            return "";
+        }
+
+        bytes4 selector;
+        assembly {
+            selector := mload(add(_result, 0x20))
+        }
+        if (selector != 0x08c379a0) {
+            return "";
+        }
+
+        assembly {
+            _result := add(_result, 0x04)
+        }
+        return abi.decode(_result, (string));
+    }
+
+    /**************************************************************************/
+    /********************************* Swap ***********************************/
+
+    /**
+     * @dev Burn `_amount` of the swap tokens of `_from` and mint the equivalent amount
+     * of Amp tokens.
+     * @param _operator Address which triggered the swap.
+     * @param _from Token holder whose swap tokens will be exchanged for Amp tokens.
+     * @param _amount Amount of swap tokens to exchange.
+     */
+    function _swap(
+        address _operator,
+        address _from,
+        uint256 _amount
+    ) internal {
+        require(!swapsPaused, EC_54_TRANSFERS_HALTED);
+        require(
+            swapToken.transferFrom(_from, swapTokenGraveyard, _amount),
+            EC_60_SWAP_TRANSFER_FAILURE
+        );
+
+        totalSwapped = totalSwapped.add(_amount);
+        swappedBy[_from] = swappedBy[_from].add(_amount);
+        swapCount = swapCount.add(1);
+
+        _mint(_operator, _from, _amount);
+
+        emit Swap(_operator, _from, _amount);
+    }
+
     /**************************************************************************/
     /******************************** Minting *********************************/
     /**
@@ -1534,4 +2640,83 @@ contract Amp is IERC20, ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
         emit Transfer(address(0), _to, _value);
         emit TransferByPartition(bytes32(0), _operator, address(0), _to, _value, "", "");
     }
+
+    /**************************************************************************/
+    /******************************** Burning *********************************/
+    /**
+     * @notice Perform the burning of tokens.
+     * @dev The sender hook of `_from` and the validator of the partition strategy
+     * of `_partition`, if any, are called before the tokens are destroyed.
+     * @param _partition Partition of the tokens to burn.
+     * @param _operator Address which triggered the burn.
+     * @param _from Token holder whose tokens are burned.
+     * @param _value Number of tokens to burn.
+     * @param _data Information attached to the burn.
+     * @param _operatorData Information attached to the burn by the operator.
+     */
+    function _burnByPartition(
+        bytes32 _partition,
+        address _operator,
+        address _from,
+        uint256 _value,
+        bytes memory _data,
+        bytes memory _operatorData
+    ) internal {
+        require(!_isTransferPaused(_partition, _partition), EC_54_TRANSFERS_HALTED);
+
+        _callPreTransferHooks(
+            _partition,
+            _operator,
+            _from,
+            address(0),
+            _value,
+            _data,
+            _operatorData
+        );
+
+        require(
+            _balanceOfByPartition[_from][_partition] >= _value,
+            EC_52_INSUFFICIENT_BALANCE
+        );
+
+        _removeTokenFromPartition(_from, _partition, _value);
+        _totalSupply = _totalSupply.sub(_value);
+
+        emit Burned(_operator, _from, _value, _data);
+        emit Transfer(_from, address(0), _value);
+        emit TransferByPartition(
+            _partition,
+            _operator,
+            _from,
+            address(0),
+            _value,
+            _data,
+            _operatorData
+        );
+    }
+
+    /**************************************************************************/
+    /******************************* Extension ********************************/
+
+    /**
+     * @dev Execute the current call with the extension, in the storage of Amp, and
+     * return or revert with its result.
+     */
+    function _delegateToExtension() internal {
+        address implementation = extension;
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+
+            switch success
+                case 0 {
+                    revert(0, returndatasize())
+                }
+                default {
+                    return(0, returndatasize())
+                }
+        }
+    }
 }
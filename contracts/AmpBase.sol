@@ -0,0 +1,1336 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.10;
+
+import "./Ownable.sol";
+
+import "./erc1820/ERC1820Client.sol";
+import "./erc1820/ERC1820Implementer.sol";
+
+import "./codes/ErrorCodes.sol";
+
+import "./partitions/lib/PartitionUtils.sol";
+
+interface ISwapToken {
+    function allowance(address owner, address spender)
+        external
+        view
+        returns (uint256 remaining);
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 value
+    ) external returns (bool success);
+}
+
+/**
+ * @title AmpBase
+ * @notice Storage, events and internal functions shared by Amp and AmpExtension.
+ * @dev AmpExtension is executed by Amp through `delegatecall`, in the storage of
+ * Amp, so both contracts must have the same storage layout. All state variables
+ * are declared in this contract and its bases. Amp, AmpExtension and the
+ * contracts deriving from them must not declare state variables of their own,
+ * other than constant and immutable ones, nor inherit other contracts that do.
+ * The Extension tests check this rule.
+ */
+abstract contract AmpBase is ERC1820Client, ERC1820Implementer, ErrorCodes, Ownable {
+    /**************************************************************************/
+    /********************** ERC1820 Interface Constants ***********************/
+
+    /**
+     * @dev AmpToken interface label.
+     */
+    string internal constant AMP_INTERFACE_NAME = "AmpToken";
+
+    /**
+     * @dev ERC20Token interface label.
+     */
+    string internal constant ERC20_INTERFACE_NAME = "ERC20Token";
+
+    /**
+     * @dev AmpTokensSender interface label.
+     */
+    string internal constant AMP_TOKENS_SENDER = "AmpTokensSender";
+
+    /**
+     * @dev AmpTokensRecipient interface label.
+     */
+    string internal constant AMP_TOKENS_RECIPIENT = "AmpTokensRecipient";
+
+    /**
+     * @dev AmpTokensChecker interface label.
+     */
+    string internal constant AMP_TOKENS_CHECKER = "AmpTokensChecker";
+
+    /**************************************************************************/
+    /*************************** Token properties *****************************/
+
+    /**
+     * @dev Token name (Amp).
+     */
+    string internal _name;
+
+    /**
+     * @dev Token symbol (Amp).
+     */
+    string internal _symbol;
+
+    /**
+     * @dev Total minted supply of token. This will increase comensurately with
+     * successful swaps of the swap token.
+     */
+    uint256 internal _totalSupply;
+
+    /**
+     * @dev The granularity of the token. Hard coded to 1.
+     */
+    uint256 internal constant _granularity = 1;
+
+    /**************************************************************************/
+    /***************************** Token mappings *****************************/
+
+    /**
+     * @dev Mapping from tokenHolder to balance. This reflects the balance
+     * across all partitions of an address.
+     */
+    mapping(address => uint256) internal _balances;
+
+    /**************************************************************************/
+    /************************** Partition mappings ****************************/
+
+    /**
+     * @dev List of active partitions. This list reflects all partitions that
+     * have tokens assigned to them.
+     */
+    bytes32[] internal _totalPartitions;
+
+    /**
+     * @dev Mapping from partition to their index.
+     */
+    mapping(bytes32 => uint256) internal _indexOfTotalPartitions;
+
+    /**
+     * @dev Mapping from partition to global balance of corresponding partition.
+     */
+    mapping(bytes32 => uint256) public totalSupplyByPartition;
+
+    /**
+     * @dev Mapping from tokenHolder to their partitions.
+     */
+    mapping(address => bytes32[]) internal _partitionsOf;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition) to their index.
+     */
+    mapping(address => mapping(bytes32 => uint256)) internal _indexOfPartitionsOf;
+
+    /**
+     * @dev Mapping from partition to the token holders with a balance in it.
+     */
+    mapping(bytes32 => address[]) internal _holdersOfPartition;
+
+    /**
+     * @dev Mapping from (partition, tokenHolder) to their index.
+     */
+    mapping(bytes32 => mapping(address => uint256)) internal _indexOfHolderOfPartition;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition) to balance of corresponding
+     * partition.
+     */
+    mapping(address => mapping(bytes32 => uint256)) internal _balanceOfByPartition;
+
+    /**
+     * @notice Default partition of the token.
+     * @dev All ERC20 operations operate solely on this partition.
+     */
+    bytes32
+        public constant defaultPartition = 0x0000000000000000000000000000000000000000000000000000000000000000;
+
+    /**
+     * @dev Zero partition prefix. Partitions with this prefix can not have
+     * a strategy assigned, and partitions with a different prefix must have one.
+     */
+    bytes4 internal constant ZERO_PREFIX = 0x00000000;
+
+    /**************************************************************************/
+    /***************************** Operator mappings **************************/
+
+    /**
+     * @dev Mapping from (tokenHolder, operator) to authorized status. This is
+     * specific to the token holder.
+     */
+    mapping(address => mapping(address => bool)) internal _authorizedOperator;
+
+    /**************************************************************************/
+    /********************** Partition operator mappings ***********************/
+
+    /**
+     * @dev Mapping from (partition, tokenHolder, spender) to allowed value.
+     * This is specific to the token holder.
+     */
+    mapping(bytes32 => mapping(address => mapping(address => uint256)))
+        internal _allowedByPartition;
+
+    /**
+     * @dev Mapping from tokenHolder to the number of spenders with a non-zero
+     * allowance for the default partition.
+     */
+    mapping(address => uint256) internal _allowanceCountOf;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition, operator) to 'approved for
+     * partition' status. This is specific to the token holder.
+     */
+    mapping(address => mapping(bytes32 => mapping(address => bool)))
+        internal _authorizedOperatorByPartition;
+
+    /**************************************************************************/
+    /************************** Operator set mappings *************************/
+
+    /**
+     * @dev Mapping from tokenHolder to the operators it has authorized across all
+     * partitions.
+     */
+    mapping(address => address[]) internal _operators;
+
+    /**
+     * @dev Mapping from (tokenHolder, operator) to the index of the operator in
+     * `_operators`.
+     */
+    mapping(address => mapping(address => uint256)) internal _indexOfOperator;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition) to the operators it has authorized
+     * for the partition.
+     */
+    mapping(address => mapping(bytes32 => address[])) internal _operatorsByPartition;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition, operator) to the index of the
+     * operator in `_operatorsByPartition`.
+     */
+    mapping(address => mapping(bytes32 => mapping(address => uint256)))
+        internal _indexOfOperatorByPartition;
+
+    /**
+     * @dev Mapping from tokenHolder to the partitions it has authorized operators for.
+     */
+    mapping(address => bytes32[]) internal _operatorPartitions;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition) to the index of the partition in
+     * `_operatorPartitions`.
+     */
+    mapping(address => mapping(bytes32 => uint256)) internal _indexOfOperatorPartition;
+
+    /**************************************************************************/
+    /************************ Operator limit mappings *************************/
+
+    /**
+     * @dev Limits of an operator authorization.
+     * @param expiry Time after which the authorization no longer applies, or zero if
+     * it does not expire.
+     * @param capped Whether the amount of tokens the operator can transfer is capped.
+     * @param remaining Amount of tokens the operator can still transfer, if capped.
+     */
+    struct OperatorLimit {
+        uint256 expiry;
+        bool capped;
+        uint256 remaining;
+    }
+
+    /**
+     * @dev Mapping from (tokenHolder, operator) to the limits of the operator's
+     * authorization across all partitions.
+     */
+    mapping(address => mapping(address => OperatorLimit)) internal _operatorLimit;
+
+    /**
+     * @dev Mapping from (tokenHolder, partition, operator) to the limits of the
+     * operator's authorization for the partition.
+     */
+    mapping(address => mapping(bytes32 => mapping(address => OperatorLimit)))
+        internal _operatorLimitByPartition;
+
+    /**************************************************************************/
+    /********************** Operator rate limit mappings **********************/
+
+    /**
+     * @dev Rate limit of the transfers of an operator from a partition, counted over
+     * fixed windows of `period` seconds.
+     * @param amount Amount of tokens the operator can transfer per window.
+     * @param period Length of a window in seconds, or zero if there is no limit.
+     * @param periodStart Time the current window started at.
+     * @param spent Amount of tokens the operator has transferred in the current window.
+     */
+    struct OperatorRateLimit {
+        uint256 amount;
+        uint256 period;
+        uint256 periodStart;
+        uint256 spent;
+    }
+
+    /**
+     * @dev Mapping from (tokenHolder, partition, operator) to the rate limit of the
+     * transfers of the operator from the partition.
+     */
+    mapping(address => mapping(bytes32 => mapping(address => OperatorRateLimit)))
+        internal _operatorRateLimit;
+
+    /**************************************************************************/
+    /********************** Collateral Manager mappings ***********************/
+    /**
+     * @notice Collection of registered collateral managers.
+     * @dev See `getCollateralManagers` for a paginated variant.
+     */
+    address[] public collateralManagers;
+    /**
+     * @dev Mapping of collateral manager addresses to registration status.
+     */
+    mapping(address => bool) internal _isCollateralManager;
+
+    /**
+     * @dev Mapping from collateral manager to its index in `collateralManagers`.
+     */
+    mapping(address => uint256) internal _indexOfCollateralManager;
+
+    /**
+     * @dev Mapping of collateral manager addresses to suspension status.
+     */
+    mapping(address => bool) internal _isCollateralManagerSuspended;
+
+    /**
+     * @dev Mapping from collateral manager to the URI of its metadata.
+     */
+    mapping(address => string) internal _collateralManagerMetadataURI;
+
+    /**
+     * @notice Indicates whether registering as a collateral manager requires the
+     * approval of an account with the `MANAGER_APPROVER_ROLE`.
+     */
+    bool public collateralManagerApprovalRequired;
+
+    /**
+     * @dev Collection of addresses with a pending collateral manager registration
+     * request.
+     */
+    address[] internal _pendingCollateralManagers;
+
+    /**
+     * @dev Mapping from address to its index in `_pendingCollateralManagers`.
+     */
+    mapping(address => uint256) internal _indexOfPendingCollateralManager;
+
+    /**************************************************************************/
+    /******************************* Role storage *****************************/
+
+    /**
+     * @notice Role allowed to set, update and disable partition strategies.
+     */
+    bytes32 public constant STRATEGY_ADMIN_ROLE = keccak256("STRATEGY_ADMIN");
+
+    /**
+     * @notice Role allowed to pause and unpause transfers and swaps.
+     */
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER");
+
+    /**
+     * @notice Role allowed to approve and reject collateral manager registrations.
+     */
+    bytes32 public constant MANAGER_APPROVER_ROLE = keccak256("MANAGER_APPROVER");
+
+    /**
+     * @dev Mapping from role to the accounts it has been granted to.
+     */
+    mapping(bytes32 => address[]) internal _roleMembers;
+
+    /**
+     * @dev Mapping from (role, account) to the index of the account in
+     * `_roleMembers`.
+     */
+    mapping(bytes32 => mapping(address => uint256)) internal _indexOfRoleMember;
+
+    /**************************************************************************/
+    /********************* Partition Strategy mappings ************************/
+
+    /**
+     * @notice Collection of reserved partition strategies.
+     */
+    bytes4[] public partitionStrategies;
+
+    /**
+     * @dev Mapping of partition strategy flag to enabled status.
+     */
+    mapping(bytes4 => bool) internal _isPartitionStrategy;
+
+    /**
+     * @dev Mapping of partition strategy flag to registration status. A disabled
+     * strategy stays registered, so that it keeps validating transfers out of its
+     * partitions and can be updated to a new implementation.
+     */
+    mapping(bytes4 => bool) internal _isPartitionStrategyRegistered;
+
+    /**************************************************************************/
+    /***************************** Swap storage *******************************/
+
+    /**
+     * @notice Swap token address. Immutable.
+     */
+    ISwapToken public swapToken;
+
+    /**
+     * @notice Swap token graveyard address.
+     * @dev This is the address that the incoming swapped tokens will be
+     * forwarded to upon successfully minting Amp.
+     */
+    address
+        public constant swapTokenGraveyard = 0x000000000000000000000000000000000000dEaD;
+
+    /**
+     * @notice Total amount of swap tokens exchanged for Amp tokens.
+     */
+    uint256 public totalSwapped;
+
+    /**
+     * @notice Mapping from token holder to the amount of its swap tokens exchanged
+     * for Amp tokens.
+     */
+    mapping(address => uint256) public swappedBy;
+
+    /**
+     * @notice Number of swaps executed.
+     */
+    uint256 public swapCount;
+
+    /**************************************************************************/
+    /*************************** Forwarder storage ****************************/
+
+    /**
+     * @notice Trusted forwarder for meta-transactions, as defined by EIP-2771.
+     * @dev Calls relayed by this address have the address of the original sender
+     * appended to the calldata.
+     */
+    address public trustedForwarder;
+
+    /**************************************************************************/
+    /**************************** Timelock storage ****************************/
+
+    /**
+     * @dev Lower bound of the timelock delay.
+     */
+    uint256 internal constant MIN_TIMELOCK_DELAY = 48 hours;
+
+    /**
+     * @dev Upper bound of the timelock delay, so that a queued call can always be
+     * executed in a reasonable time.
+     */
+    uint256 internal constant MAX_TIMELOCK_DELAY = 30 days;
+
+    /**
+     * @notice Minimum delay, in seconds, between queueing a timelocked call and
+     * executing it. Never lower than 48 hours, nor higher than 30 days.
+     */
+    uint256 public timelockDelay = MIN_TIMELOCK_DELAY;
+
+    /**
+     * @notice Mapping from the hash of the calldata of a queued timelocked call to
+     * the timestamp from which it can be executed.
+     */
+    mapping(bytes32 => uint256) public timelockedCallEta;
+
+    /**
+     * @dev Indicates whether a queued timelocked call is being executed.
+     */
+    bool internal _executingTimelockedCall;
+
+    /**************************************************************************/
+    /***************************** Pause storage ******************************/
+
+    /**
+     * @notice Indicates whether all transfers are paused.
+     */
+    bool public transfersPaused;
+
+    /**
+     * @notice Indicates whether swaps are paused.
+     */
+    bool public swapsPaused;
+
+    /**
+     * @notice Indicates whether transfers from or to the default partition are paused.
+     * @dev The default partition is paused independently of the partitions sharing its
+     * prefix, so that ERC-20 flows can stay live while other partitions are halted.
+     */
+    bool public defaultPartitionPaused;
+
+    /**
+     * @dev Mapping from partition strategy prefix to its paused state.
+     */
+    mapping(bytes4 => bool) internal _isPartitionPrefixPaused;
+
+    /**************************************************************************/
+    /**************************** EIP-712 storage *****************************/
+
+    /**
+     * @dev EIP-712 domain type hash.
+     */
+    bytes32 internal constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    /**
+     * @dev EIP-712 domain version.
+     */
+    string internal constant EIP712_DOMAIN_VERSION = "1";
+
+    /**
+     * @dev EIP-2612 permit type hash, for approvals of the default partition.
+     */
+    bytes32 internal constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+
+    /**
+     * @dev Permit type hash for approvals of an arbitrary partition.
+     */
+    bytes32 internal constant PERMIT_BY_PARTITION_TYPEHASH = keccak256(
+        "PermitByPartition(bytes32 partition,address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+
+    /**
+     * @dev Type hash for transfers authorized by a signature of the token holder.
+     */
+    bytes32 internal constant TRANSFER_BY_PARTITION_TYPEHASH = keccak256(
+        "TransferByPartition(bytes32 partition,address to,uint256 value,bytes data,bytes operatorData,uint256 nonce,uint256 deadline)"
+    );
+
+    /**
+     * @notice Mapping from token holder to the nonce expected in its next
+     * signed message.
+     */
+    mapping(address => uint256) public nonces;
+
+    /**************************************************************************/
+    /** EVENTS ****************************************************************/
+    /**************************************************************************/
+
+    /**************************************************************************/
+    /**************************** Transfer Events *****************************/
+
+    /**
+     * @notice Emitted when a transfer has been successfully completed.
+     * @param fromPartition The partition from which tokens were transferred.
+     * @param operator The address that initiated the transfer.
+     * @param from The address from which the tokens were transferred.
+     * @param to The address to which the tokens were transferred.
+     * @param value The amount of tokens transferred.
+     * @param data Additional metadata included with the transfer. Can include
+     * the partition to which the tokens were transferred, if different than
+     * `fromPartition`.
+     * @param operatorData Additional metadata included with the transfer. Typically used by
+     * partition strategies and collateral managers to authorize transfers.
+     */
+    event TransferByPartition(
+        bytes32 indexed fromPartition,
+        address operator,
+        address indexed from,
+        address indexed to,
+        uint256 value,
+        bytes data,
+        bytes operatorData
+    );
+
+    /**
+     * @notice Emitted when a transfer has been successfully completed and the
+     * tokens that were transferred have changed partitions.
+     * @param fromPartition The partition from which the tokens were transferred.
+     * @param toPartition The partition to which the tokens were transferred.
+     * @param value The amount of tokens transferred.
+     */
+    event ChangedPartition(
+        bytes32 indexed fromPartition,
+        bytes32 indexed toPartition,
+        uint256 value
+    );
+
+    /**************************************************************************/
+    /**************************** Operator Events *****************************/
+
+    /**
+     * @notice Emitted when a token holder authorizes an address to transfer tokens on its behalf
+     * from a particular partition.
+     * @param partition The partition of the tokens from which the holder has authorized the
+     * `spender` to transfer.
+     * @param owner The token holder.
+     * @param spender The operator for which the `owner` has authorized the allowance.
+     * @param value The amount of tokens authorized for transfer.
+     */
+    event ApprovalByPartition(
+        bytes32 indexed partition,
+        address indexed owner,
+        address indexed spender,
+        uint256 value
+    );
+
+    /**
+     * @notice Emitted when a token holder has authorized an operator to transfer tokens on the
+     * behalf of the holder across all partitions.
+     * @param operator The address that was authorized to transfer tokens on
+     * behalf of the `tokenHolder`.
+     * @param tokenHolder The address that authorized the `operator` to transfer
+     * their tokens.
+     */
+    event AuthorizedOperator(address indexed operator, address indexed tokenHolder);
+
+    /**
+     * @notice Emitted when a token holder has deauthorized an operator from
+     * transferring tokens on behalf of the holder.
+     * @dev Note that this applies an account-wide authorization change, and does not reflect any
+     * change in the authorization for a particular partition.
+     * @param operator The address that was deauthorized from transferring tokens
+     * on behalf of the `tokenHolder`.
+     * @param tokenHolder The address that revoked the `operator`'s authorization
+     * to transfer their tokens.
+     */
+    event RevokedOperator(address indexed operator, address indexed tokenHolder);
+
+    /**
+     * @notice Emitted when a token holder has authorized an operator to transfer
+     * tokens on behalf of the holder from a particular partition.
+     * @param partition The partition from which the `operator` is authorized to transfer.
+     * @param operator The address authorized to transfer tokens on
+     * behalf of the `tokenHolder`.
+     * @param tokenHolder The address that authorized the `operator` to transfer
+     * tokens held in partition `partition`.
+     */
+    event AuthorizedOperatorByPartition(
+        bytes32 indexed partition,
+        address indexed operator,
+        address indexed tokenHolder
+    );
+
+    /**
+     * @notice Emitted when a token holder has deauthorized an operator from
+     * transferring held tokens from a specific partition.
+     * @param partition The partition for which the `operator` was deauthorized for token transfer
+     * on behalf of the `tokenHolder`.
+     * @param operator The address that was deauthorized from transferring
+     * tokens on behalf of the `tokenHolder`.
+     * @param tokenHolder The address that revoked the `operator`'s permission
+     * to transfer held tokens from `partition`.
+     */
+    event RevokedOperatorByPartition(
+        bytes32 indexed partition,
+        address indexed operator,
+        address indexed tokenHolder
+    );
+
+    /**
+     * @notice Emitted when a token holder has limited the authorization of an operator
+     * across all partitions.
+     * @param operator The address authorized to transfer tokens on behalf of the
+     * `tokenHolder`.
+     * @param tokenHolder The address that authorized the `operator`.
+     * @param expiry The time after which the authorization no longer applies, or zero
+     * if it does not expire.
+     * @param cap The amount of tokens the `operator` can transfer, or zero if uncapped.
+     */
+    event OperatorLimitUpdate(
+        address indexed operator,
+        address indexed tokenHolder,
+        uint256 expiry,
+        uint256 cap
+    );
+
+    /**
+     * @notice Emitted when a token holder has limited the authorization of an operator
+     * for a particular partition.
+     * @param partition The partition the `operator` is authorized for.
+     * @param operator The address authorized to transfer tokens on behalf of the
+     * `tokenHolder`.
+     * @param tokenHolder The address that authorized the `operator`.
+     * @param expiry The time after which the authorization no longer applies, or zero
+     * if it does not expire.
+     * @param cap The amount of tokens the `operator` can transfer, or zero if uncapped.
+     */
+    event OperatorLimitByPartitionUpdate(
+        bytes32 indexed partition,
+        address indexed operator,
+        address indexed tokenHolder,
+        uint256 expiry,
+        uint256 cap
+    );
+
+    /**
+     * @notice Emitted when a token holder has set the rate limit of the transfers of
+     * an operator from a partition.
+     * @param partition The partition the limit applies to.
+     * @param operator The address transferring tokens on behalf of the `tokenHolder`.
+     * @param tokenHolder The address that set the limit.
+     * @param amount The amount of tokens the `operator` can transfer per window.
+     * @param period The length of a window in seconds, or zero if there is no limit.
+     */
+    event OperatorRateLimitUpdate(
+        bytes32 indexed partition,
+        address indexed operator,
+        address indexed tokenHolder,
+        uint256 amount,
+        uint256 period
+    );
+
+    /**
+     * @notice Emitted when an operator has transferred the whole amount its rate
+     * limit allows for the current window.
+     * @param partition The partition the limit applies to.
+     * @param operator The address transferring tokens on behalf of the `tokenHolder`.
+     * @param tokenHolder The address that set the limit.
+     * @param periodEnd The time the current window ends at.
+     */
+    event OperatorRateLimitReached(
+        bytes32 indexed partition,
+        address indexed operator,
+        address indexed tokenHolder,
+        uint256 periodEnd
+    );
+
+    /**************************************************************************/
+    /********************** Collateral Manager Events *************************/
+
+    /**
+     * @notice Emitted when a collateral manager has been registered.
+     * @param collateralManager The address of the collateral manager.
+     */
+    event CollateralManagerRegistered(address collateralManager);
+
+    /**
+     * @notice Emitted when a collateral manager has been deregistered.
+     * @param collateralManager The address of the collateral manager.
+     */
+    event CollateralManagerDeregistered(address collateralManager);
+
+    /**
+     * @notice Emitted when a collateral manager has been suspended.
+     * @param collateralManager The address of the collateral manager.
+     */
+    event CollateralManagerSuspended(address collateralManager);
+
+    /**
+     * @notice Emitted when a suspended collateral manager has been reinstated.
+     * @param collateralManager The address of the collateral manager.
+     */
+    event CollateralManagerReinstated(address collateralManager);
+
+    /**
+     * @notice Emitted when a collateral manager has updated its metadata URI.
+     * @param collateralManager The address of the collateral manager.
+     * @param metadataURI The URI of the metadata of the collateral manager.
+     */
+    event CollateralManagerMetadataUpdate(address collateralManager, string metadataURI);
+
+    /**
+     * @notice Emitted when the approval requirement for collateral manager
+     * registrations is enabled or disabled.
+     * @param required Whether registrations require approval.
+     */
+    event CollateralManagerApprovalRequiredUpdate(bool required);
+
+    /**
+     * @notice Emitted when an address has requested to be registered as a
+     * collateral manager.
+     * @param collateralManager The address requesting the registration.
+     */
+    event CollateralManagerRegistrationRequested(address collateralManager);
+
+    /**
+     * @notice Emitted when a collateral manager registration request has been
+     * approved.
+     * @param collateralManager The address of the collateral manager.
+     * @param approver The address that approved the request.
+     */
+    event CollateralManagerRegistrationApproved(
+        address collateralManager,
+        address approver
+    );
+
+    /**
+     * @notice Emitted when a collateral manager registration request has been
+     * rejected.
+     * @param collateralManager The address that requested the registration.
+     * @param approver The address that rejected the request.
+     */
+    event CollateralManagerRegistrationRejected(
+        address collateralManager,
+        address approver
+    );
+
+    /**************************************************************************/
+    /****************************** Role Events *******************************/
+
+    /**
+     * @notice Emitted when a role has been granted to an account.
+     * @param role The role granted.
+     * @param account The account the role was granted to.
+     * @param sender The address that granted the role.
+     */
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    /**
+     * @notice Emitted when a role has been revoked from, or renounced by, an account.
+     * @param role The role revoked.
+     * @param account The account the role was revoked from.
+     * @param sender The address that revoked the role, which is `account` when the
+     * role was renounced.
+     */
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    /**************************************************************************/
+    /*********************** Partition Strategy Events ************************/
+
+    /**
+     * @notice Emitted when a new partition strategy validator is set.
+     * @param flag The 4 byte prefix of the partitions that the strategy affects.
+     * @param name The name of the interface implemented by the partition strategy.
+     * @param implementation The address of the partition strategy hook
+     * implementation.
+     */
+    event PartitionStrategySet(bytes4 flag, string name, address indexed implementation);
+
+    /**
+     * @notice Emitted when the validator of an existing partition strategy is updated.
+     * @param flag The 4 byte prefix of the partitions that the strategy affects.
+     * @param name The name of the interface implemented by the partition strategy.
+     * @param oldImplementation The address of the previous partition strategy hook
+     * implementation.
+     * @param newImplementation The address of the new partition strategy hook
+     * implementation.
+     */
+    event PartitionStrategyUpdate(
+        bytes4 flag,
+        string name,
+        address indexed oldImplementation,
+        address indexed newImplementation
+    );
+
+    /**
+     * @notice Emitted when a partition strategy is disabled.
+     * @param flag The 4 byte prefix of the partitions that the strategy affects.
+     * @param implementation The address of the partition strategy hook
+     * implementation, which stays registered.
+     */
+    event PartitionStrategyDisabled(bytes4 flag, address indexed implementation);
+
+    /**************************************************************************/
+    /*************************** Forwarder Events *****************************/
+
+    /**
+     * @notice Emitted when the trusted forwarder is updated.
+     * @param oldValue The previous trusted forwarder.
+     * @param newValue The new trusted forwarder.
+     */
+    event TrustedForwarderUpdate(address indexed oldValue, address indexed newValue);
+
+    /**************************************************************************/
+    /**************************** Timelock Events *****************************/
+
+    /**
+     * @notice Emitted when the timelock delay is updated.
+     * @param oldValue The previous delay, in seconds.
+     * @param newValue The new delay, in seconds.
+     */
+    event TimelockDelayUpdate(uint256 oldValue, uint256 newValue);
+
+    /**
+     * @notice Emitted when a timelocked call is queued.
+     * @param id The hash of the calldata of the call.
+     * @param data The calldata of the call.
+     * @param eta The timestamp from which the call can be executed.
+     */
+    event TimelockedCallQueued(bytes32 indexed id, bytes data, uint256 eta);
+
+    /**
+     * @notice Emitted when a queued timelocked call is executed.
+     * @param id The hash of the calldata of the call.
+     */
+    event TimelockedCallExecuted(bytes32 indexed id);
+
+    /**
+     * @notice Emitted when a queued timelocked call is cancelled.
+     * @param id The hash of the calldata of the call.
+     */
+    event TimelockedCallCancelled(bytes32 indexed id);
+
+    /**************************************************************************/
+    /****************************** Pause Events ******************************/
+
+    /**
+     * @notice Emitted when all transfers are paused or unpaused.
+     * @param paused Whether transfers are paused.
+     */
+    event TransfersPauseUpdate(bool paused);
+
+    /**
+     * @notice Emitted when swaps are paused or unpaused.
+     * @param paused Whether swaps are paused.
+     */
+    event SwapsPauseUpdate(bool paused);
+
+    /**
+     * @notice Emitted when transfers of the default partition are paused or unpaused.
+     * @param paused Whether transfers of the default partition are paused.
+     */
+    event DefaultPartitionPauseUpdate(bool paused);
+
+    /**
+     * @notice Emitted when transfers of the partitions with a prefix are paused or
+     * unpaused.
+     * @param prefix The 4 byte partition prefix.
+     * @param paused Whether transfers of the partitions with `prefix` are paused.
+     */
+    event PartitionPrefixPauseUpdate(bytes4 indexed prefix, bool paused);
+
+    // ************** Mint & Swap **************
+
+    /**
+     * @notice Emitted when tokens are minted, which only occurs as the result of token swap.
+     * @param operator Address that executed the swap, resulting in tokens being minted
+     * @param to Address that received the newly minted tokens.
+     * @param value Amount of tokens minted.
+     * @param data Additional metadata. Unused; required for interface compatibility.
+     */
+    event Minted(address indexed operator, address indexed to, uint256 value, bytes data);
+
+    /**
+     * @notice Emitted when tokens are swapped as part of the minting process.
+     * @param operator Address that executed the swap.
+     * @param from Address whose source swap tokens were burned, and for which Amp tokens were
+     * minted.
+     * @param value Amount of tokens swapped into Amp.
+     */
+    event Swap(address indexed operator, address indexed from, uint256 value);
+
+    // ***************** Burn ******************
+
+    /**
+     * @notice Emitted when tokens are burned.
+     * @param operator Address that executed the burn.
+     * @param from Address whose tokens were burned.
+     * @param value Amount of tokens burned.
+     * @param data Information attached to the burn by the token holder.
+     */
+    event Burned(address indexed operator, address indexed from, uint256 value, bytes data);
+
+    /**************************************************************************/
+    /** FUNCTIONS *************************************************************/
+    /**************************************************************************/
+
+    /**************************************************************************/
+    /**************************** Meta-transactions ***************************/
+    /**
+     * @notice Return whether `_forwarder` is the trusted forwarder.
+     * @param _forwarder The address to check.
+     * @return bool indicating if `_forwarder` is the trusted forwarder.
+     */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev Retrieve the sender of the call. For calls relayed by the trusted
+     * forwarder, this is the address appended to the calldata by the forwarder,
+     * otherwise it is `msg.sender`.
+     * @return address containing the sender of the call.
+     */
+    function _msgSender() internal override view returns (address payable) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            address payable sender;
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+            return sender;
+        }
+
+        return msg.sender;
+    }
+
+    /**************************************************************************/
+    /********************************** Roles *********************************/
+
+    /**
+     * @dev Return whether `_account` holds `_role`. The contract owner holds every
+     * role, so that admin functions keep working for the owner. The zero address
+     * holds none, including once ownership has been renounced.
+     * @param _role The role to check.
+     * @param _account The account to check.
+     * @return bool indicating whether `_account` holds `_role`.
+     */
+    function _hasRole(bytes32 _role, address _account) internal view returns (bool) {
+        return
+            _account != address(0) &&
+            (_account == owner() || _indexOfRoleMember[_role][_account] != 0);
+    }
+
+    /**************************************************************************/
+    /****************************** Operator sets *****************************/
+
+    /**
+     * @dev Authorize `_operator` as an operator of `_tokenHolder` across all
+     * partitions, without limits.
+     * @param _tokenHolder The token holder.
+     * @param _operator The address to authorize.
+     */
+    function _authorizeOperator(address _tokenHolder, address _operator) internal {
+        _authorizedOperator[_tokenHolder][_operator] = true;
+        delete _operatorLimit[_tokenHolder][_operator];
+
+        if (_indexOfOperator[_tokenHolder][_operator] == 0) {
+            _operators[_tokenHolder].push(_operator);
+            _indexOfOperator[_tokenHolder][_operator] = _operators[_tokenHolder].length;
+        }
+
+        emit AuthorizedOperator(_operator, _tokenHolder);
+    }
+
+    /**
+     * @dev Revoke `_operator` as an operator of `_tokenHolder` across all partitions.
+     * @param _tokenHolder The token holder.
+     * @param _operator The address to revoke.
+     */
+    function _revokeOperator(address _tokenHolder, address _operator) internal {
+        _authorizedOperator[_tokenHolder][_operator] = false;
+        delete _operatorLimit[_tokenHolder][_operator];
+
+        uint256 index = _indexOfOperator[_tokenHolder][_operator];
+        if (index != 0) {
+            address[] storage operators = _operators[_tokenHolder];
+
+            // move the last item into the index being vacated
+            address lastValue = operators[operators.length - 1];
+            operators[index - 1] = lastValue; // adjust for 1-based indexing
+            _indexOfOperator[_tokenHolder][lastValue] = index;
+
+            operators.pop();
+            _indexOfOperator[_tokenHolder][_operator] = 0;
+        }
+
+        emit RevokedOperator(_operator, _tokenHolder);
+    }
+
+    /**
+     * @dev Authorize `_operator` as an operator of `_tokenHolder` for `_partition`,
+     * without limits.
+     * @param _tokenHolder The token holder.
+     * @param _partition The partition.
+     * @param _operator The address to authorize.
+     */
+    function _authorizeOperatorByPartition(
+        address _tokenHolder,
+        bytes32 _partition,
+        address _operator
+    ) internal {
+        _authorizedOperatorByPartition[_tokenHolder][_partition][_operator] = true;
+        delete _operatorLimitByPartition[_tokenHolder][_partition][_operator];
+
+        if (_indexOfOperatorByPartition[_tokenHolder][_partition][_operator] == 0) {
+            address[] storage operators = _operatorsByPartition[_tokenHolder][_partition];
+            if (operators.length == 0) {
+                bytes32[] storage partitions = _operatorPartitions[_tokenHolder];
+                partitions.push(_partition);
+                _indexOfOperatorPartition[_tokenHolder][_partition] = partitions.length;
+            }
+
+            operators.push(_operator);
+            _indexOfOperatorByPartition[_tokenHolder][_partition][_operator] = operators
+                .length;
+        }
+
+        emit AuthorizedOperatorByPartition(_partition, _operator, _tokenHolder);
+    }
+
+    /**
+     * @dev Revoke `_operator` as an operator of `_tokenHolder` for `_partition`.
+     * @param _tokenHolder The token holder.
+     * @param _partition The partition.
+     * @param _operator The address to revoke.
+     */
+    function _revokeOperatorByPartition(
+        address _tokenHolder,
+        bytes32 _partition,
+        address _operator
+    ) internal {
+        _authorizedOperatorByPartition[_tokenHolder][_partition][_operator] = false;
+        delete _operatorLimitByPartition[_tokenHolder][_partition][_operator];
+
+        uint256 index = _indexOfOperatorByPartition[_tokenHolder][_partition][_operator];
+        if (index != 0) {
+            address[] storage operators = _operatorsByPartition[_tokenHolder][_partition];
+
+            // move the last item into the index being vacated
+            address lastValue = operators[operators.length - 1];
+            operators[index - 1] = lastValue; // adjust for 1-based indexing
+            _indexOfOperatorByPartition[_tokenHolder][_partition][lastValue] = index;
+
+            operators.pop();
+            _indexOfOperatorByPartition[_tokenHolder][_partition][_operator] = 0;
+
+            if (operators.length == 0) {
+                _removeOperatorPartition(_tokenHolder, _partition);
+            }
+        }
+
+        emit RevokedOperatorByPartition(_partition, _operator, _tokenHolder);
+    }
+
+    /**
+     * @dev Remove `_partition` from the partitions `_tokenHolder` has authorized
+     * operators for.
+     * @param _tokenHolder The token holder.
+     * @param _partition The partition to remove.
+     */
+    function _removeOperatorPartition(address _tokenHolder, bytes32 _partition)
+        internal
+    {
+        bytes32[] storage partitions = _operatorPartitions[_tokenHolder];
+        uint256 index = _indexOfOperatorPartition[_tokenHolder][_partition];
+
+        // move the last item into the index being vacated
+        bytes32 lastValue = partitions[partitions.length - 1];
+        partitions[index - 1] = lastValue; // adjust for 1-based indexing
+        _indexOfOperatorPartition[_tokenHolder][lastValue] = index;
+
+        partitions.pop();
+        _indexOfOperatorPartition[_tokenHolder][_partition] = 0;
+    }
+
+    /**************************************************************************/
+    /**************************** Operator limits *****************************/
+
+    /**
+     * @dev Indicate whether an operator authorization with the limits `_limit` still
+     * applies, that is if it has not expired and its cap is not exhausted.
+     * @param _limit The limits of the authorization.
+     * @return bool indicating whether the authorization applies.
+     */
+    function _isOperatorLimitActive(OperatorLimit storage _limit)
+        internal
+        view
+        returns (bool)
+    {
+        return
+            (_limit.expiry == 0 || block.timestamp <= _limit.expiry) &&
+            (!_limit.capped || _limit.remaining > 0);
+    }
+
+    /**
+     * @dev Indicate whether an operator authorization with the limits `_limit` allows
+     * the transfer of `_value` tokens.
+     * @param _limit The limits of the authorization.
+     * @param _value The amount of tokens to transfer.
+     * @return bool indicating whether `_value` tokens can be transferred.
+     */
+    function _isWithinOperatorLimit(OperatorLimit storage _limit, uint256 _value)
+        internal
+        view
+        returns (bool)
+    {
+        return
+            (_limit.expiry == 0 || block.timestamp <= _limit.expiry) &&
+            (!_limit.capped || _value <= _limit.remaining);
+    }
+
+    /**************************************************************************/
+    /************************** Operator rate limits **************************/
+
+    /**
+     * @dev Compute the amount of tokens the rate limit `_limit` still allows in the
+     * current window.
+     * @param _limit The rate limit.
+     * @return uint256 containing the remaining amount, or the maximum uint256 value
+     * if there is no limit.
+     */
+    function _remainingOperatorRateLimit(OperatorRateLimit storage _limit)
+        internal
+        view
+        returns (uint256)
+    {
+        if (_limit.period == 0) {
+            return uint256(-1);
+        }
+
+        if (block.timestamp - _limit.periodStart >= _limit.period) {
+            return _limit.amount;
+        }
+
+        return _limit.amount - _limit.spent;
+    }
+
+    /**
+     * @dev Count the transfer or burn of `_value` tokens of `_tokenHolder` from
+     * `_partition` by `_operator` against its rate limit, if any. The limit applies to
+     * fixed windows, not to a rolling one: a new window starts with the first transfer
+     * after the previous window has ended, and the whole amount is available again.
+     * @param _partition The partition the tokens are transferred from.
+     * @param _operator The address transferring the tokens.
+     * @param _tokenHolder The address the tokens are transferred from.
+     * @param _value The amount of tokens transferred.
+     */
+    function _useOperatorRateLimit(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder,
+        uint256 _value
+    ) internal {
+        OperatorRateLimit storage limit = _operatorRateLimit[_tokenHolder][_partition][
+            _operator
+        ];
+        if (limit.period == 0) {
+            return;
+        }
+
+        if (block.timestamp - limit.periodStart >= limit.period) {
+            limit.periodStart = block.timestamp;
+            limit.spent = 0;
+        }
+
+        require(_value <= limit.amount - limit.spent, EC_6C_RATE_LIMIT_EXCEEDED);
+
+        limit.spent = limit.spent + _value;
+
+        if (limit.spent == limit.amount) {
+            emit OperatorRateLimitReached(
+                _partition,
+                _operator,
+                _tokenHolder,
+                limit.periodStart + limit.period
+            );
+        }
+    }
+
+    /**************************************************************************/
+    /********************************* Pause **********************************/
+
+    /**
+     * @dev Indicate whether a transfer from `_fromPartition` to `_toPartition` is
+     * paused, either globally or for one of the partitions.
+     * @param _fromPartition The partition the tokens are transferred from.
+     * @param _toPartition The partition the tokens are transferred to.
+     * @return bool indicating whether the transfer is paused.
+     */
+    function _isTransferPaused(bytes32 _fromPartition, bytes32 _toPartition)
+        internal
+        view
+        returns (bool)
+    {
+        return
+            transfersPaused ||
+            _isPartitionPaused(_fromPartition) ||
+            _isPartitionPaused(_toPartition);
+    }
+
+    /**
+     * @dev Indicate whether transfers from or to `_partition` are paused.
+     * @param _partition The partition to check.
+     * @return bool indicating whether the partition is paused.
+     */
+    function _isPartitionPaused(bytes32 _partition) internal view returns (bool) {
+        if (_partition == defaultPartition) {
+            return defaultPartitionPaused;
+        }
+
+        return _isPartitionPrefixPaused[PartitionUtils._getPartitionPrefix(_partition)];
+    }
+
+    /**************************************************************************/
+    /******************************** Timelock ********************************/
+
+    /**
+     * @dev Revert if the current call is not the execution of a queued timelocked
+     * call.
+     */
+    function _requireTimelock() internal view {
+        require(_executingTimelockedCall, EC_69_TIMELOCK_REQUIRED);
+    }
+
+    /**
+     * @dev Ownership transfers can only be authorized through a timelocked call.
+     */
+    function _beforeOwnershipTransferAuthorization() internal override view {
+        _requireTimelock();
+    }
+
+    /**
+     * @dev Ownership can only be renounced through a timelocked call.
+     */
+    function _beforeOwnershipRenouncement() internal override view {
+        _requireTimelock();
+    }
+
+    /**************************************************************************/
+    /************************** Collateral Managers ***************************/
+
+    /**
+     * @dev Register `_collateralManager` as a collateral manager.
+     * @param _collateralManager The address of the collateral manager.
+     */
+    function _addCollateralManager(address _collateralManager) internal {
+        // Short circuit a double registry
+        require(!_isCollateralManager[_collateralManager], EC_5C_ADDRESS_CONFLICT);
+
+        collateralManagers.push(_collateralManager);
+        _indexOfCollateralManager[_collateralManager] = collateralManagers.length;
+        _isCollateralManager[_collateralManager] = true;
+
+        emit CollateralManagerRegistered(_collateralManager);
+    }
+
+    /**
+     * @dev Deregister the collateral manager `_collateralManager`.
+     * @param _collateralManager The address of the collateral manager.
+     */
+    function _removeCollateralManager(address _collateralManager) internal {
+        uint256 index = _indexOfCollateralManager[_collateralManager];
+
+        // move the last item into the index being vacated
+        address lastValue = collateralManagers[collateralManagers.length - 1];
+        collateralManagers[index - 1] = lastValue; // adjust for 1-based indexing
+        _indexOfCollateralManager[lastValue] = index;
+
+        collateralManagers.pop();
+        _indexOfCollateralManager[_collateralManager] = 0;
+        _isCollateralManager[_collateralManager] = false;
+
+        emit CollateralManagerDeregistered(_collateralManager);
+    }
+
+    /**************************************************************************/
+    /******************************* Pagination *******************************/
+
+    /**
+     * @dev Compute the number of items in a page of a collection.
+     * @param _total Number of items in the collection.
+     * @param _offset Index of the first item of the page.
+     * @param _limit Maximum number of items in the page.
+     * @return uint256 containing the number of items in the page.
+     */
+    function _pageLength(
+        uint256 _total,
+        uint256 _offset,
+        uint256 _limit
+    ) internal pure returns (uint256) {
+        if (_offset >= _total) {
+            return 0;
+        }
+
+        uint256 remaining = _total - _offset;
+        return remaining < _limit ? remaining : _limit;
+    }
+}
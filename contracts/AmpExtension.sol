@@ -0,0 +1,1191 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.10;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+import "./AmpBase.sol";
+
+/**
+ * @title AmpExtension
+ * @notice Functions of Amp that do not fit in the Amp contract itself, due to
+ * the contract size limit.
+ * @dev Amp executes calls to the functions of this contract through
+ * `delegatecall`, in its own storage, from its fallback function or from the Amp
+ * functions that forward to it, such as operator management. This contract is
+ * not meant to be called directly, and its own storage is never used.
+ */
+contract AmpExtension is AmpBase {
+    using SafeMath for uint256;
+
+    /**************************************************************************/
+    /******************************* Constants ********************************/
+
+    /**
+     * @dev Maximum number of balances returned by `balancesOfByPartitions`, and of
+     * partitions returned by `holderSummary`.
+     */
+    uint256 internal constant MAX_BATCH_VIEW_SIZE = 500;
+
+    /**
+     * @dev Selectors of the timelocked functions.
+     */
+    bytes4 internal constant SET_PARTITION_STRATEGY_SELECTOR = bytes4(
+        keccak256("setPartitionStrategy(bytes4,address)")
+    );
+    bytes4 internal constant UPDATE_PARTITION_STRATEGY_SELECTOR = bytes4(
+        keccak256("updatePartitionStrategy(bytes4,address)")
+    );
+    bytes4 internal constant DISABLE_PARTITION_STRATEGY_SELECTOR = bytes4(
+        keccak256("disablePartitionStrategy(bytes4)")
+    );
+    bytes4 internal constant AUTHORIZE_OWNERSHIP_TRANSFER_SELECTOR = bytes4(
+        keccak256("authorizeOwnershipTransfer(address)")
+    );
+    bytes4 internal constant AUTHORIZE_OWNERSHIP_TRANSFER_WITH_DEADLINE_SELECTOR = bytes4(
+        keccak256("authorizeOwnershipTransfer(address,uint256)")
+    );
+    bytes4 internal constant RENOUNCE_OWNERSHIP_SELECTOR = bytes4(
+        keccak256("renounceOwnership()")
+    );
+    bytes4 internal constant SET_TIMELOCK_DELAY_SELECTOR = bytes4(
+        keccak256("setTimelockDelay(uint256)")
+    );
+    bytes4 internal constant SET_TRUSTED_FORWARDER_SELECTOR = bytes4(
+        keccak256("setTrustedForwarder(address)")
+    );
+
+    /**************************************************************************/
+    /******************************* Role Admin *******************************/
+
+    /**
+     * @notice Grants `_role` to `_account`.
+     * @dev Note: this function can only be called by the contract owner.
+     * @param _role The role to grant.
+     * @param _account The account to grant the role to.
+     */
+    function grantRole(bytes32 _role, address _account) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+        require(_indexOfRoleMember[_role][_account] == 0, EC_5C_ADDRESS_CONFLICT);
+
+        _roleMembers[_role].push(_account);
+        _indexOfRoleMember[_role][_account] = _roleMembers[_role].length;
+
+        emit RoleGranted(_role, _account, _msgSender());
+    }
+
+    /**
+     * @notice Revokes `_role` from `_account`.
+     * @dev Note: this function can only be called by the contract owner.
+     * @param _role The role to revoke.
+     * @param _account The account to revoke the role from.
+     */
+    function revokeRole(bytes32 _role, address _account) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+
+        _removeRoleMember(_role, _account);
+    }
+
+    /**
+     * @notice Renounces `_role` for `msg.sender`.
+     * @param _role The role to renounce.
+     */
+    function renounceRole(bytes32 _role) external {
+        _removeRoleMember(_role, _msgSender());
+    }
+
+    /**
+     * @notice Retrieves whether `_account` holds `_role`.
+     * @dev The contract owner holds every role, without being a member of them.
+     * @param _role The role to check.
+     * @param _account The account to check.
+     * @return bool indicating whether `_account` holds `_role`.
+     */
+    function hasRole(bytes32 _role, address _account) external view returns (bool) {
+        return _hasRole(_role, _account);
+    }
+
+    /**
+     * @notice Retrieves the number of accounts `_role` has been granted to.
+     * @param _role The role.
+     * @return uint256 containing the number of members of `_role`.
+     */
+    function roleMemberCount(bytes32 _role) external view returns (uint256) {
+        return _roleMembers[_role].length;
+    }
+
+    /**
+     * @notice Return a page of the accounts `_role` has been granted to.
+     * @param _role The role.
+     * @param _offset Index of the first member to return.
+     * @param _limit Maximum number of members to return.
+     * @return address[] containing the members of `_role`.
+     */
+    function getRoleMembers(
+        bytes32 _role,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory) {
+        address[] storage members = _roleMembers[_role];
+        uint256 count = _pageLength(members.length, _offset, _limit);
+
+        address[] memory page = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = members[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**
+     * @dev Remove `_account` from the members of `_role`.
+     * @param _role The role.
+     * @param _account The account to remove.
+     */
+    function _removeRoleMember(bytes32 _role, address _account) internal {
+        address[] storage members = _roleMembers[_role];
+        uint256 index = _indexOfRoleMember[_role][_account];
+
+        require(index != 0, EC_59_INSUFFICIENT_RIGHTS);
+
+        // move the last item into the index being vacated
+        address lastValue = members[members.length - 1];
+        members[index - 1] = lastValue; // adjust for 1-based indexing
+        _indexOfRoleMember[_role][lastValue] = index;
+
+        members.pop();
+        _indexOfRoleMember[_role][_account] = 0;
+
+        emit RoleRevoked(_role, _account, _msgSender());
+    }
+
+    /**************************************************************************/
+    /************************** Operator Management ***************************/
+    /**
+     * @notice Authorizes an address as an operator of `msg.sender` to transfer tokens on its
+     * behalf.
+     * @dev Note that this applies to all partitions.
+     * 
+     * `msg.sender` is always an operator for itself, and does not need to
+     * be explicitly added. Any expiry or cap previously set on the authorization
+     * is removed.
+     * @param _operator Address to set as an operator for `msg.sender`.
+     */
+    function authorizeOperator(address _operator) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+
+        _authorizeOperator(sender, _operator);
+    }
+
+    /**
+     * @notice Remove the right of the `_operator` address to be an operator for
+     * `msg.sender` and to transfer tokens on its behalf.
+     * @dev Note that this affects the account-wide authorization granted via function
+     * `Amp.authorizeOperator`, and does not affect authorizations granted via function
+     * `Amp.authorizeOperatorByPartition`.
+     * 
+     * `msg.sender` is always an operator for itself, and cannot be
+     * removed.
+     * @param _operator Address to be deauthorized an operator for `msg.sender`.
+     */
+    function revokeOperator(address _operator) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+
+        _revokeOperator(sender, _operator);
+    }
+
+    /**
+     * @notice Authorizes an account as an operator of a particular partition.
+     * @dev The `msg.sender` is always an operator for itself, and does not need to
+     * be explicitly added to a partition. Any expiry or cap previously set on the
+     * authorization is removed.
+     * @param _partition The partition for which the `_operator` is to be authorized.
+     * @param _operator Address to be authorized as an operator for `msg.sender`.
+     */
+    function authorizeOperatorByPartition(bytes32 _partition, address _operator)
+        external
+    {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+
+        _authorizeOperatorByPartition(sender, _partition, _operator);
+    }
+
+    /**
+     * @notice Deauthorizes an address as an operator for a particular partition.
+     * @dev Note that this does not override an account-wide authorization granted via function
+     * `Amp.authorizeOperator`.
+     * 
+     * `msg.sender` is always an operator for itself, and cannot be
+     * removed from a partition.
+     * @param _partition The partition for which the `_operator` is deauthorized.
+     * @param _operator Address to deauthorize as an operator for `msg.sender`.
+     */
+    function revokeOperatorByPartition(bytes32 _partition, address _operator) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+
+        _revokeOperatorByPartition(sender, _partition, _operator);
+    }
+
+    /**************************************************************************/
+    /**************************** Operator Limits *****************************/
+
+    /**
+     * @notice Authorizes an address as an operator of `msg.sender` to transfer tokens on
+     * its behalf, until `_expiry` and up to `_cap` tokens.
+     * @dev Note that this applies to all partitions. Tokens transferred or burned by
+     * the operator count against the cap, across all partitions.
+     * @param _operator Address to set as an operator for `msg.sender`.
+     * @param _expiry Time after which the authorization no longer applies, or zero if
+     * it does not expire.
+     * @param _cap Amount of tokens the operator can transfer, or zero if uncapped.
+     */
+    function authorizeOperatorWithLimits(
+        address _operator,
+        uint256 _expiry,
+        uint256 _cap
+    ) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+        require(_expiry == 0 || _expiry > block.timestamp, EC_6B_INVALID_EXPIRY);
+
+        _authorizeOperator(sender, _operator);
+        _operatorLimit[sender][_operator] = OperatorLimit(_expiry, _cap > 0, _cap);
+
+        emit OperatorLimitUpdate(_operator, sender, _expiry, _cap);
+    }
+
+    /**
+     * @notice Authorizes an account as an operator of the `msg.sender` for a given
+     * partition, until `_expiry` and up to `_cap` tokens.
+     * @param _partition The partition for which the `_operator` is to be authorized.
+     * @param _operator The address to set as an operator for `msg.sender` for the
+     * `_partition`.
+     * @param _expiry Time after which the authorization no longer applies, or zero if
+     * it does not expire.
+     * @param _cap Amount of tokens the operator can transfer, or zero if uncapped.
+     */
+    function authorizeOperatorByPartitionWithLimits(
+        bytes32 _partition,
+        address _operator,
+        uint256 _expiry,
+        uint256 _cap
+    ) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+        require(_expiry == 0 || _expiry > block.timestamp, EC_6B_INVALID_EXPIRY);
+
+        _authorizeOperatorByPartition(sender, _partition, _operator);
+        _operatorLimitByPartition[sender][_partition][_operator] = OperatorLimit(
+            _expiry,
+            _cap > 0,
+            _cap
+        );
+
+        emit OperatorLimitByPartitionUpdate(_partition, _operator, sender, _expiry, _cap);
+    }
+
+    /**
+     * @notice Retrieves the limits of the authorization of an operator across all
+     * partitions.
+     * @param _operator Address of the operator.
+     * @param _tokenHolder Address of the token holder.
+     * @return expiry Time after which the authorization no longer applies, or zero if
+     * it does not expire.
+     * @return capped Whether the amount of tokens the operator can transfer is capped.
+     * @return remaining Amount of tokens the operator can still transfer, if capped.
+     */
+    function operatorLimit(address _operator, address _tokenHolder)
+        external
+        view
+        returns (
+            uint256 expiry,
+            bool capped,
+            uint256 remaining
+        )
+    {
+        OperatorLimit storage limit = _operatorLimit[_tokenHolder][_operator];
+        return (limit.expiry, limit.capped, limit.remaining);
+    }
+
+    /**
+     * @notice Retrieves the limits of the authorization of an operator for a
+     * partition.
+     * @param _partition Name of the partition.
+     * @param _operator Address of the operator.
+     * @param _tokenHolder Address of the token holder.
+     * @return expiry Time after which the authorization no longer applies, or zero if
+     * it does not expire.
+     * @return capped Whether the amount of tokens the operator can transfer is capped.
+     * @return remaining Amount of tokens the operator can still transfer, if capped.
+     */
+    function operatorLimitByPartition(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder
+    )
+        external
+        view
+        returns (
+            uint256 expiry,
+            bool capped,
+            uint256 remaining
+        )
+    {
+        OperatorLimit storage limit = _operatorLimitByPartition[_tokenHolder][_partition][
+            _operator
+        ];
+        return (limit.expiry, limit.capped, limit.remaining);
+    }
+
+    /**************************************************************************/
+    /************************** Operator Rate Limits **************************/
+
+    /**
+     * @notice Limits the amount of tokens `_operator` can transfer from the
+     * `_partition` of `msg.sender` to `_amount` per `_period` seconds.
+     * @dev The limit applies to the transfers made by `_operator` as an operator or
+     * with an allowance, and to the tokens it burns with `burnByPartition`. It does
+     * not authorize `_operator` by itself.
+     *
+     * The limit is counted over fixed windows of `_period` seconds, not over a rolling
+     * window. A window starts with the first transfer after the previous one has
+     * ended, so up to twice `_amount` can be transferred within `_period` seconds
+     * around the end of a window. Setting a limit starts a new window, and setting
+     * `_period` to zero removes the limit.
+     * @param _partition The partition the limit applies to.
+     * @param _operator The address the limit applies to.
+     * @param _amount The amount of tokens `_operator` can transfer per window.
+     * @param _period The length of a window in seconds, or zero to remove the limit.
+     */
+    function setOperatorRateLimit(
+        bytes32 _partition,
+        address _operator,
+        uint256 _amount,
+        uint256 _period
+    ) external {
+        address sender = _msgSender();
+
+        require(_operator != sender, EC_58_INVALID_OPERATOR);
+
+        _operatorRateLimit[sender][_partition][_operator] = OperatorRateLimit(
+            _amount,
+            _period,
+            0,
+            0
+        );
+
+        emit OperatorRateLimitUpdate(_partition, _operator, sender, _amount, _period);
+    }
+
+    /**
+     * @notice Retrieves the rate limit of the transfers of an operator from a
+     * partition of a token holder.
+     * @param _partition Name of the partition.
+     * @param _operator Address of the operator.
+     * @param _tokenHolder Address of the token holder.
+     * @return amount Amount of tokens the operator can transfer per window.
+     * @return period Length of a window in seconds, or zero if there is no limit.
+     */
+    function operatorRateLimit(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder
+    ) external view returns (uint256 amount, uint256 period) {
+        OperatorRateLimit storage limit = _operatorRateLimit[_tokenHolder][_partition][
+            _operator
+        ];
+        return (limit.amount, limit.period);
+    }
+
+    /**
+     * @notice Retrieves the amount of tokens an operator can still transfer from a
+     * partition of a token holder in the current window.
+     * @param _partition Name of the partition.
+     * @param _operator Address of the operator.
+     * @param _tokenHolder Address of the token holder.
+     * @return remaining Amount of tokens the operator can still transfer, or the
+     * maximum uint256 value if there is no limit.
+     * @return periodEnd Time the current window ends at, or zero if no window is
+     * running.
+     */
+    function operatorRateLimitQuota(
+        bytes32 _partition,
+        address _operator,
+        address _tokenHolder
+    ) external view returns (uint256 remaining, uint256 periodEnd) {
+        OperatorRateLimit storage limit = _operatorRateLimit[_tokenHolder][_partition][
+            _operator
+        ];
+
+        remaining = _remainingOperatorRateLimit(limit);
+        if (limit.period != 0 && block.timestamp - limit.periodStart < limit.period) {
+            periodEnd = limit.periodStart + limit.period;
+        }
+    }
+
+    /**************************************************************************/
+    /****************************** Operator Sets *****************************/
+
+    /**
+     * @notice Revokes all the operators of `msg.sender`, across all partitions and
+     * for each partition.
+     * @dev Emits a `RevokedOperator` or `RevokedOperatorByPartition` event for each
+     * revoked authorization. Allowances are not affected.
+     */
+    function revokeAllOperators() external {
+        address sender = _msgSender();
+
+        address[] storage operators = _operators[sender];
+        while (operators.length > 0) {
+            _revokeOperator(sender, operators[operators.length - 1]);
+        }
+
+        bytes32[] storage partitions = _operatorPartitions[sender];
+        while (partitions.length > 0) {
+            bytes32 partition = partitions[partitions.length - 1];
+            operators = _operatorsByPartition[sender][partition];
+
+            // the partition is removed along with its last operator
+            while (operators.length > 0) {
+                _revokeOperatorByPartition(
+                    sender,
+                    partition,
+                    operators[operators.length - 1]
+                );
+            }
+        }
+    }
+
+    /**
+     * @notice Retrieves the number of operators `_tokenHolder` has authorized across
+     * all partitions.
+     * @param _tokenHolder Address of the token holder.
+     * @return uint256 containing the number of operators.
+     */
+    function operatorCountOf(address _tokenHolder) external view returns (uint256) {
+        return _operators[_tokenHolder].length;
+    }
+
+    /**
+     * @notice Return a page of the operators `_tokenHolder` has authorized across all
+     * partitions.
+     * @dev Operators whose authorization has expired or exhausted its cap are listed
+     * until revoked, see `operatorLimit`.
+     * @param _tokenHolder Address of the token holder.
+     * @param _offset Index of the first operator to return.
+     * @param _limit Maximum number of operators to return.
+     * @return address[] containing the operators of `_tokenHolder`.
+     */
+    function operatorsOf(
+        address _tokenHolder,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory) {
+        address[] storage operators = _operators[_tokenHolder];
+        uint256 count = _pageLength(operators.length, _offset, _limit);
+
+        address[] memory page = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = operators[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**
+     * @notice Retrieves the number of operators `_tokenHolder` has authorized for
+     * `_partition`.
+     * @param _tokenHolder Address of the token holder.
+     * @param _partition Name of the partition.
+     * @return uint256 containing the number of operators.
+     */
+    function operatorCountOfByPartition(address _tokenHolder, bytes32 _partition)
+        external
+        view
+        returns (uint256)
+    {
+        return _operatorsByPartition[_tokenHolder][_partition].length;
+    }
+
+    /**
+     * @notice Return a page of the operators `_tokenHolder` has authorized for
+     * `_partition`.
+     * @dev Operators authorized across all partitions are not included, see
+     * `operatorsOf`. Operators whose authorization has expired or exhausted its cap
+     * are listed until revoked, see `operatorLimitByPartition`.
+     * @param _tokenHolder Address of the token holder.
+     * @param _partition Name of the partition.
+     * @param _offset Index of the first operator to return.
+     * @param _limit Maximum number of operators to return.
+     * @return address[] containing the operators of `_tokenHolder` for `_partition`.
+     */
+    function operatorsOfByPartition(
+        address _tokenHolder,
+        bytes32 _partition,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory) {
+        address[] storage operators = _operatorsByPartition[_tokenHolder][_partition];
+        uint256 count = _pageLength(operators.length, _offset, _limit);
+
+        address[] memory page = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = operators[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**************************************************************************/
+    /*********************** Collateral Manager Admin *************************/
+
+    /**
+     * @notice Deregisters `msg.sender` as a collateral manager.
+     * @dev The suspension status and the metadata URI of the collateral manager are
+     * kept, so that registering again does not lift a suspension.
+     */
+    function deregisterCollateralManager() external {
+        address sender = _msgSender();
+
+        require(_isCollateralManager[sender], EC_65_NOT_COLLATERAL_MANAGER);
+
+        _removeCollateralManager(sender);
+    }
+
+    /**
+     * @notice Suspends the collateral manager `_collateralManager`. Partition
+     * strategies refuse transfers into the partitions of a suspended collateral
+     * manager, while transfers out of them stay possible.
+     * @dev Note: this function can only be called by the contract owner.
+     * @param _collateralManager The address of the collateral manager.
+     */
+    function suspendCollateralManager(address _collateralManager) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+        require(_isCollateralManager[_collateralManager], EC_65_NOT_COLLATERAL_MANAGER);
+        require(!_isCollateralManagerSuspended[_collateralManager], EC_5C_ADDRESS_CONFLICT);
+
+        _isCollateralManagerSuspended[_collateralManager] = true;
+
+        emit CollateralManagerSuspended(_collateralManager);
+    }
+
+    /**
+     * @notice Reinstates the suspended collateral manager `_collateralManager`.
+     * @dev Note: this function can only be called by the contract owner.
+     * @param _collateralManager The address of the collateral manager.
+     */
+    function reinstateCollateralManager(address _collateralManager) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+        require(_isCollateralManagerSuspended[_collateralManager], EC_5C_ADDRESS_CONFLICT);
+
+        _isCollateralManagerSuspended[_collateralManager] = false;
+
+        emit CollateralManagerReinstated(_collateralManager);
+    }
+
+    /**
+     * @notice Sets the URI of the metadata describing `msg.sender`, which must be
+     * a registered collateral manager.
+     * @param _metadataURI The URI of the metadata, or an empty string to clear it.
+     */
+    function setCollateralManagerMetadataURI(string calldata _metadataURI) external {
+        address sender = _msgSender();
+
+        require(_isCollateralManager[sender], EC_65_NOT_COLLATERAL_MANAGER);
+
+        _collateralManagerMetadataURI[sender] = _metadataURI;
+
+        emit CollateralManagerMetadataUpdate(sender, _metadataURI);
+    }
+
+    /**
+     * @notice Retrieves the URI of the metadata describing a collateral manager.
+     * @param _collateralManager The address of the collateral manager.
+     * @return string containing the URI of the metadata, or an empty string if not set.
+     */
+    function collateralManagerMetadataURI(address _collateralManager)
+        external
+        view
+        returns (string memory)
+    {
+        return _collateralManagerMetadataURI[_collateralManager];
+    }
+
+    /**
+     * @notice Retrieves the number of registered collateral managers.
+     * @return uint256 containing the number of collateral managers.
+     */
+    function collateralManagerCount() external view returns (uint256) {
+        return collateralManagers.length;
+    }
+
+    /**
+     * @notice Return a page of the registered collateral managers.
+     * @param _offset Index of the first collateral manager to return.
+     * @param _limit Maximum number of collateral managers to return.
+     * @return address[] containing the collateral managers.
+     */
+    function getCollateralManagers(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory)
+    {
+        uint256 count = _pageLength(collateralManagers.length, _offset, _limit);
+
+        address[] memory page = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = collateralManagers[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**************************************************************************/
+    /******************* Collateral Manager Registration **********************/
+
+    /**
+     * @notice Enables or disables the approval requirement for collateral manager
+     * registrations. While enabled, `registerCollateralManager` reverts, and
+     * addresses must request their registration for an account with the
+     * `MANAGER_APPROVER_ROLE` to approve.
+     * @dev Note: this function can only be called by the contract owner. Disabling
+     * the requirement leaves pending requests in place.
+     * @param _required Whether registrations require approval.
+     */
+    function setCollateralManagerApprovalRequired(bool _required) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+
+        collateralManagerApprovalRequired = _required;
+
+        emit CollateralManagerApprovalRequiredUpdate(_required);
+    }
+
+    /**
+     * @notice Requests the registration of `msg.sender` as a collateral manager.
+     */
+    function requestCollateralManagerRegistration() external {
+        address sender = _msgSender();
+
+        require(!_isCollateralManager[sender], EC_5C_ADDRESS_CONFLICT);
+        require(_indexOfPendingCollateralManager[sender] == 0, EC_5C_ADDRESS_CONFLICT);
+
+        _pendingCollateralManagers.push(sender);
+        _indexOfPendingCollateralManager[sender] = _pendingCollateralManagers.length;
+
+        emit CollateralManagerRegistrationRequested(sender);
+    }
+
+    /**
+     * @notice Approves the pending registration request of `_collateralManager`,
+     * registering it as a collateral manager.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `MANAGER_APPROVER_ROLE`.
+     * @param _collateralManager The address that requested the registration.
+     */
+    function approveCollateralManagerRegistration(address _collateralManager) external {
+        address sender = _msgSender();
+
+        require(_hasRole(MANAGER_APPROVER_ROLE, sender), EC_56_INVALID_SENDER);
+
+        _removePendingCollateralManager(_collateralManager);
+        _addCollateralManager(_collateralManager);
+
+        emit CollateralManagerRegistrationApproved(_collateralManager, sender);
+    }
+
+    /**
+     * @notice Rejects the pending registration request of `_collateralManager`.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `MANAGER_APPROVER_ROLE`.
+     * @param _collateralManager The address that requested the registration.
+     */
+    function rejectCollateralManagerRegistration(address _collateralManager) external {
+        address sender = _msgSender();
+
+        require(_hasRole(MANAGER_APPROVER_ROLE, sender), EC_56_INVALID_SENDER);
+
+        _removePendingCollateralManager(_collateralManager);
+
+        emit CollateralManagerRegistrationRejected(_collateralManager, sender);
+    }
+
+    /**
+     * @notice Retrieves whether the supplied address has a pending collateral
+     * manager registration request.
+     * @param _collateralManager The address to check.
+     * @return bool indicating whether the registration of `_collateralManager` is
+     * pending.
+     */
+    function isCollateralManagerRegistrationPending(address _collateralManager)
+        external
+        view
+        returns (bool)
+    {
+        return _indexOfPendingCollateralManager[_collateralManager] != 0;
+    }
+
+    /**
+     * @notice Retrieves the number of pending collateral manager registration
+     * requests.
+     * @return uint256 containing the number of pending requests.
+     */
+    function pendingCollateralManagerCount() external view returns (uint256) {
+        return _pendingCollateralManagers.length;
+    }
+
+    /**
+     * @notice Return a page of the addresses with a pending collateral manager
+     * registration request.
+     * @param _offset Index of the first address to return.
+     * @param _limit Maximum number of addresses to return.
+     * @return address[] containing the addresses with a pending request.
+     */
+    function getPendingCollateralManagers(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory)
+    {
+        uint256 count = _pageLength(_pendingCollateralManagers.length, _offset, _limit);
+
+        address[] memory pending = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            pending[i] = _pendingCollateralManagers[_offset + i];
+        }
+
+        return pending;
+    }
+
+    /**
+     * @dev Remove the pending registration request of `_collateralManager`.
+     * @param _collateralManager The address that requested the registration.
+     */
+    function _removePendingCollateralManager(address _collateralManager) internal {
+        uint256 index = _indexOfPendingCollateralManager[_collateralManager];
+
+        require(index != 0, EC_68_REGISTRATION_NOT_REQUESTED);
+
+        // move the last item into the index being vacated
+        uint256 lastIndex = _pendingCollateralManagers.length - 1;
+        address lastValue = _pendingCollateralManagers[lastIndex];
+        _pendingCollateralManagers[index - 1] = lastValue; // adjust for 1-based indexing
+        _indexOfPendingCollateralManager[lastValue] = index;
+
+        _pendingCollateralManagers.pop();
+        _indexOfPendingCollateralManager[_collateralManager] = 0;
+    }
+
+    /**************************************************************************/
+    /************************ Partition Strategy Admin ************************/
+    /**
+     * @notice Sets an implementation for a partition strategy identified by `_prefix`.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `STRATEGY_ADMIN_ROLE`, through `queueTimelockedCall`.
+     * @param _prefix The 4 byte partition prefix the strategy applies to.
+     * @param _implementation The address of the implementation of the strategy hooks.
+     */
+    function setPartitionStrategy(bytes4 _prefix, address _implementation) external {
+        require(_hasRole(STRATEGY_ADMIN_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+        _requireTimelock();
+        require(
+            !_isPartitionStrategyRegistered[_prefix],
+            EC_5E_PARTITION_PREFIX_CONFLICT
+        );
+        require(_prefix != ZERO_PREFIX, EC_5F_INVALID_PARTITION_PREFIX_0);
+
+        string memory iname = PartitionUtils._getPartitionStrategyValidatorIName(_prefix);
+
+        ERC1820Client.setInterfaceImplementation(iname, _implementation);
+        partitionStrategies.push(_prefix);
+        _isPartitionStrategy[_prefix] = true;
+        _isPartitionStrategyRegistered[_prefix] = true;
+
+        emit PartitionStrategySet(_prefix, iname, _implementation);
+    }
+
+    /**
+     * @notice Updates the implementation of the partition strategy identified by
+     * `_prefix`, enabling it again if it was disabled.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `STRATEGY_ADMIN_ROLE`, through `queueTimelockedCall`.
+     * @param _prefix The 4 byte partition prefix the strategy applies to.
+     * @param _implementation The address of the new implementation of the strategy hooks.
+     */
+    function updatePartitionStrategy(bytes4 _prefix, address _implementation) external {
+        require(_hasRole(STRATEGY_ADMIN_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+        _requireTimelock();
+        require(_isPartitionStrategyRegistered[_prefix], EC_64_PARTITION_STRATEGY_NOT_SET);
+
+        _setPartitionStrategyImplementation(_prefix, _implementation);
+        _isPartitionStrategy[_prefix] = true;
+    }
+
+    /**
+     * @notice Disables the partition strategy identified by `_prefix`.
+     * @dev Note: this function can only be called by the contract owner or an account
+     * with the `STRATEGY_ADMIN_ROLE`, through `queueTimelockedCall`. Tokens can no
+     * longer be transferred into the partitions of a disabled strategy. The strategy
+     * validator stays registered, so transfers out of its partitions are still
+     * validated and the operator rights it grants are kept.
+     * @param _prefix The 4 byte partition prefix the strategy applies to.
+     */
+    function disablePartitionStrategy(bytes4 _prefix) external {
+        require(_hasRole(STRATEGY_ADMIN_ROLE, _msgSender()), EC_56_INVALID_SENDER);
+        _requireTimelock();
+        require(_isPartitionStrategy[_prefix], EC_64_PARTITION_STRATEGY_NOT_SET);
+
+        _isPartitionStrategy[_prefix] = false;
+
+        emit PartitionStrategyDisabled(
+            _prefix,
+            interfaceAddr(
+                address(this),
+                PartitionUtils._getPartitionStrategyValidatorIName(_prefix)
+            )
+        );
+    }
+
+    /**
+     * @dev Register `_implementation` in the ERC1820 registry as the validator of the
+     * partition strategy identified by `_prefix`, replacing the current one.
+     * @param _prefix The 4 byte partition prefix the strategy applies to.
+     * @param _implementation The address of the implementation of the strategy hooks.
+     */
+    function _setPartitionStrategyImplementation(bytes4 _prefix, address _implementation)
+        internal
+    {
+        string memory iname = PartitionUtils._getPartitionStrategyValidatorIName(_prefix);
+        address oldImplementation = interfaceAddr(address(this), iname);
+
+        ERC1820Client.setInterfaceImplementation(iname, _implementation);
+
+        emit PartitionStrategyUpdate(_prefix, iname, oldImplementation, _implementation);
+    }
+
+    /**************************************************************************/
+    /************************* Partition Information **************************/
+
+    /**
+     * @notice Retrieves the number of partitions of a token holder.
+     * @param _tokenHolder Address of the token holder.
+     * @return uint256 containing the number of partitions of `_tokenHolder`.
+     */
+    function partitionCountOf(address _tokenHolder) external view returns (uint256) {
+        return _partitionsOf[_tokenHolder].length;
+    }
+
+    /**
+     * @notice Return a page of the partitions of a token holder.
+     * @param _tokenHolder Address of the token holder.
+     * @param _offset Index of the first partition to return.
+     * @param _limit Maximum number of partitions to return.
+     * @return bytes32[] containing the partitions of `_tokenHolder`.
+     */
+    function getPartitionsOf(
+        address _tokenHolder,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (bytes32[] memory) {
+        bytes32[] storage partitions = _partitionsOf[_tokenHolder];
+        uint256 count = _pageLength(partitions.length, _offset, _limit);
+
+        bytes32[] memory page = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = partitions[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**
+     * @notice Retrieves the number of existing partitions.
+     * @return uint256 containing the number of partitions.
+     */
+    function totalPartitionCount() external view returns (uint256) {
+        return _totalPartitions.length;
+    }
+
+    /**
+     * @notice Return a page of the existing partitions.
+     * @param _offset Index of the first partition to return.
+     * @param _limit Maximum number of partitions to return.
+     * @return bytes32[] containing the partitions.
+     */
+    function getTotalPartitions(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (bytes32[] memory)
+    {
+        uint256 count = _pageLength(_totalPartitions.length, _offset, _limit);
+
+        bytes32[] memory page = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = _totalPartitions[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**
+     * @notice Retrieves the number of token holders with a balance in a partition.
+     * @param _partition Name of the partition.
+     * @return uint256 containing the number of holders of `_partition`.
+     */
+    function holderCountOfPartition(bytes32 _partition) external view returns (uint256) {
+        return _holdersOfPartition[_partition].length;
+    }
+
+    /**
+     * @notice Return a page of the token holders with a balance in a partition.
+     * @dev The order of the holders changes as holders leave the partition.
+     * @param _partition Name of the partition.
+     * @param _offset Index of the first holder to return.
+     * @param _limit Maximum number of holders to return.
+     * @return address[] containing the holders of `_partition`.
+     */
+    function holdersOfPartition(
+        bytes32 _partition,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory) {
+        address[] storage holders = _holdersOfPartition[_partition];
+        uint256 count = _pageLength(holders.length, _offset, _limit);
+
+        address[] memory page = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = holders[_offset + i];
+        }
+
+        return page;
+    }
+
+    /**************************************************************************/
+    /*************************** Holder Information ***************************/
+
+    /**
+     * @notice Retrieves the balances of several token holders in several partitions.
+     * @dev The number of holders multiplied by the number of partitions can not be
+     * greater than `MAX_BATCH_VIEW_SIZE`.
+     * @param _tokenHolders Addresses of the token holders.
+     * @param _partitions Names of the partitions.
+     * @return uint256[][] containing, for each holder, its balance in each of the
+     * partitions.
+     */
+    function balancesOfByPartitions(
+        address[] calldata _tokenHolders,
+        bytes32[] calldata _partitions
+    ) external view returns (uint256[][] memory) {
+        require(
+            _tokenHolders.length * _partitions.length <= MAX_BATCH_VIEW_SIZE,
+            EC_6D_BATCH_TOO_LARGE
+        );
+
+        uint256[][] memory balances = new uint256[][](_tokenHolders.length);
+        for (uint256 i = 0; i < _tokenHolders.length; i++) {
+            balances[i] = new uint256[](_partitions.length);
+            for (uint256 j = 0; j < _partitions.length; j++) {
+                balances[i][j] = _balanceOfByPartition[_tokenHolders[i]][_partitions[j]];
+            }
+        }
+
+        return balances;
+    }
+
+    /**
+     * @notice Retrieves the partitions, balances, allowances and operators of a token
+     * holder.
+     * @dev Only the first `MAX_BATCH_VIEW_SIZE` partitions of the holder are
+     * returned. See `AmpExtension.getPartitionsOf` for the others.
+     * @param _tokenHolder Address of the token holder.
+     * @return partitions The partitions of `_tokenHolder`.
+     * @return balances The balance of `_tokenHolder` in each of `partitions`.
+     * @return hasOperatorsByPartition Whether `_tokenHolder` has authorized operators
+     * for each of `partitions`.
+     * @return partitionCount The total number of partitions of `_tokenHolder`.
+     * @return allowanceCount The number of spenders with a non-zero allowance for the
+     * default partition of `_tokenHolder`.
+     * @return hasOperators Whether `_tokenHolder` has authorized operators for all of
+     * its partitions.
+     */
+    function holderSummary(address _tokenHolder)
+        external
+        view
+        returns (
+            bytes32[] memory partitions,
+            uint256[] memory balances,
+            bool[] memory hasOperatorsByPartition,
+            uint256 partitionCount,
+            uint256 allowanceCount,
+            bool hasOperators
+        )
+    {
+        partitionCount = _partitionsOf[_tokenHolder].length;
+        uint256 count = _pageLength(partitionCount, 0, MAX_BATCH_VIEW_SIZE);
+
+        partitions = new bytes32[](count);
+        balances = new uint256[](count);
+        hasOperatorsByPartition = new bool[](count);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 partition = _partitionsOf[_tokenHolder][i];
+            partitions[i] = partition;
+            balances[i] = _balanceOfByPartition[_tokenHolder][partition];
+            hasOperatorsByPartition[i] =
+                _operatorsByPartition[_tokenHolder][partition].length != 0;
+        }
+
+        allowanceCount = _allowanceCountOf[_tokenHolder];
+        hasOperators = _operators[_tokenHolder].length != 0;
+    }
+
+    /**************************************************************************/
+    /******************************** Timelock ********************************/
+
+    /**
+     * @notice Sets the minimum delay between queueing a timelocked call and
+     * executing it, which can not be lower than 48 hours, nor higher than 30 days.
+     * @dev Note: this function can only be called by the contract owner, through
+     * `queueTimelockedCall`.
+     * @param _delay The delay, in seconds.
+     */
+    function setTimelockDelay(uint256 _delay) external {
+        require(_msgSender() == owner(), EC_56_INVALID_SENDER);
+        _requireTimelock();
+        require(
+            _delay >= MIN_TIMELOCK_DELAY && _delay <= MAX_TIMELOCK_DELAY,
+            EC_6E_INVALID_TIMELOCK_DELAY
+        );
+
+        uint256 oldValue = timelockDelay;
+        timelockDelay = _delay;
+
+        emit TimelockDelayUpdate(oldValue, _delay);
+    }
+
+    /**
+     * @notice Queues a call to a timelocked function, which can be executed with
+     * `executeTimelockedCall` once the timelock delay has elapsed.
+     * @dev The timelocked functions are `setPartitionStrategy`,
+     * `updatePartitionStrategy` and `disablePartitionStrategy`, which can be queued
+     * by an account with the `STRATEGY_ADMIN_ROLE`, and `authorizeOwnershipTransfer`,
+     * `renounceOwnership`, `setTimelockDelay` and `setTrustedForwarder`, which can be
+     * queued by the contract owner.
+     * @param _data The calldata of the call.
+     * @return bytes32 containing the id of the call, the hash of `_data`.
+     */
+    function queueTimelockedCall(bytes calldata _data) external returns (bytes32) {
+        require(_canCallTimelocked(_data, _msgSender()), EC_56_INVALID_SENDER);
+
+        bytes32 id = keccak256(_data);
+        require(timelockedCallEta[id] == 0, EC_5C_ADDRESS_CONFLICT);
+
+        uint256 eta = block.timestamp.add(timelockDelay);
+        timelockedCallEta[id] = eta;
+
+        emit TimelockedCallQueued(id, _data, eta);
+
+        return id;
+    }
+
+    /**
+     * @notice Executes a queued timelocked call, once its timelock delay has elapsed.
+     * @dev The call is made with `delegatecall`, so it is executed with the same
+     * sender as the call to this function, which must still be allowed to make it.
+     * @param _data The calldata of the call.
+     * @return bytes containing the data returned by the call.
+     */
+    function executeTimelockedCall(bytes calldata _data) external returns (bytes memory) {
+        address sender = _msgSender();
+        require(_canCallTimelocked(_data, sender), EC_56_INVALID_SENDER);
+
+        bytes32 id = keccak256(_data);
+        uint256 eta = timelockedCallEta[id];
+        require(eta != 0 && block.timestamp >= eta, EC_6A_TIMELOCKED_CALL_NOT_READY);
+
+        timelockedCallEta[id] = 0;
+
+        _executingTimelockedCall = true;
+        (bool success, bytes memory result) = address(this).delegatecall(
+            isTrustedForwarder(msg.sender) ? abi.encodePacked(_data, sender) : _data
+        );
+        _executingTimelockedCall = false;
+
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit TimelockedCallExecuted(id);
+
+        return result;
+    }
+
+    /**
+     * @notice Cancels a queued timelocked call.
+     * @param _data The calldata of the call.
+     */
+    function cancelTimelockedCall(bytes calldata _data) external {
+        require(_canCallTimelocked(_data, _msgSender()), EC_56_INVALID_SENDER);
+
+        bytes32 id = keccak256(_data);
+        require(timelockedCallEta[id] != 0, EC_6A_TIMELOCKED_CALL_NOT_READY);
+
+        timelockedCallEta[id] = 0;
+
+        emit TimelockedCallCancelled(id);
+    }
+
+    /**
+     * @dev Return whether `_sender` can queue, execute and cancel the timelocked
+     * call `_data`.
+     * @param _data The calldata of the call.
+     * @param _sender The address to check.
+     * @return bool indicating whether `_data` is a call to a timelocked function
+     * that `_sender` is allowed to call.
+     */
+    function _canCallTimelocked(bytes memory _data, address _sender)
+        internal
+        view
+        returns (bool)
+    {
+        if (_data.length < 4) {
+            return false;
+        }
+
+        bytes4 selector;
+        assembly {
+            selector := mload(add(_data, 32))
+        }
+
+        if (
+            selector == SET_PARTITION_STRATEGY_SELECTOR ||
+            selector == UPDATE_PARTITION_STRATEGY_SELECTOR ||
+            selector == DISABLE_PARTITION_STRATEGY_SELECTOR
+        ) {
+            return _hasRole(STRATEGY_ADMIN_ROLE, _sender);
+        }
+
+        if (
+            selector == AUTHORIZE_OWNERSHIP_TRANSFER_SELECTOR ||
+            selector == AUTHORIZE_OWNERSHIP_TRANSFER_WITH_DEADLINE_SELECTOR ||
+            selector == RENOUNCE_OWNERSHIP_SELECTOR ||
+            selector == SET_TIMELOCK_DELAY_SELECTOR ||
+            selector == SET_TRUSTED_FORWARDER_SELECTOR
+        ) {
+            return _sender == owner();
+        }
+
+        return false;
+    }
+
+}
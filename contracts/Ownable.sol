@@ -2,13 +2,22 @@
 
 pragma solidity 0.6.10;
 
+import "@openzeppelin/contracts/GSN/Context.sol";
+
 /**
  * @title Ownable is a contract the provides contract ownership functionality, including a two-
  * phase transfer.
  */
-contract Ownable {
+contract Ownable is Context {
     address private _owner;
     address private _authorizedNewOwner;
+    uint256 private _authorizedNewOwnerDeadline;
+
+    /**
+     * @notice Period during which an ownership transfer authorization made with
+     * `authorizeOwnershipTransfer(address)` can be assumed.
+     */
+    uint256 public constant OWNERSHIP_TRANSFER_AUTHORIZATION_PERIOD = 7 days;
 
     /**
      * @notice Emitted when the owner authorizes ownership transfer to a new address
@@ -23,6 +32,12 @@ contract Ownable {
      */
     event OwnerUpdate(address indexed oldValue, address indexed newValue);
 
+    /**
+     * @notice Emitted when the owner cancels the authorization of an ownership transfer
+     * @param authorizedAddress Address that was authorized to become the new owner
+     */
+    event OwnershipTransferCancellation(address indexed authorizedAddress);
+
     /**
      * @notice Sets the owner to the sender / contract creator
      */
@@ -46,33 +61,122 @@ contract Ownable {
         return _authorizedNewOwner;
     }
 
+    /**
+     * @notice Retrieves the time until which the authorized new owner can assume
+     * ownership
+     * @return uint256 containing the deadline of the ownership transfer authorization.
+     */
+    function authorizedNewOwnerDeadline() public view returns (uint256) {
+        return _authorizedNewOwnerDeadline;
+    }
+
     /**
      * @notice Authorizes the transfer of ownership from owner to the provided address.
      * @dev Note that the transfer will not occur until `_authorizedAddress` calls function
-     * `Amp.assumeOwnership`.
-     * 
-     * This authorization may be removed by another call to this function authorizing the zero
-     * address.
+     * `Amp.assumeOwnership`, which it must do within
+     * `OWNERSHIP_TRANSFER_AUTHORIZATION_PERIOD`.
+     *
+     * This authorization may be removed with `cancelOwnershipTransfer`, or replaced by
+     * another call to this function.
      * @param _authorizedAddress The address authorized to become the new owner
      */
     function authorizeOwnershipTransfer(address _authorizedAddress) external {
-        require(msg.sender == _owner, "Invalid sender");
+        _authorizeOwnershipTransfer(
+            _authorizedAddress,
+            block.timestamp + OWNERSHIP_TRANSFER_AUTHORIZATION_PERIOD
+        );
+    }
 
-        _authorizedNewOwner = _authorizedAddress;
+    /**
+     * @notice Authorizes the transfer of ownership from owner to the provided address,
+     * until the given deadline.
+     * @dev Note that the transfer will not occur until `_authorizedAddress` calls function
+     * `Amp.assumeOwnership`, which it must do no later than `_deadline`.
+     *
+     * This authorization may be removed with `cancelOwnershipTransfer`, or replaced by
+     * another call to this function.
+     * @param _authorizedAddress The address authorized to become the new owner
+     * @param _deadline Timestamp until which `_authorizedAddress` can assume ownership
+     */
+    function authorizeOwnershipTransfer(address _authorizedAddress, uint256 _deadline)
+        external
+    {
+        require(_deadline >= block.timestamp, "Invalid deadline");
+        _authorizeOwnershipTransfer(_authorizedAddress, _deadline);
+    }
 
-        emit OwnershipTransferAuthorization(_authorizedNewOwner);
+    /**
+     * @notice Cancels the authorization of the pending ownership transfer.
+     */
+    function cancelOwnershipTransfer() external {
+        require(_msgSender() == _owner, "Invalid sender");
+        require(_authorizedNewOwner != address(0), "No authorized new owner");
+
+        address authorizedAddress = _authorizedNewOwner;
+        _authorizedNewOwner = address(0);
+        _authorizedNewOwnerDeadline = 0;
+
+        emit OwnershipTransferCancellation(authorizedAddress);
     }
 
     /**
      * @notice Transfers ownership of this contract to the authorized new owner.
      */
     function assumeOwnership() external {
-        require(msg.sender == _authorizedNewOwner, "Invalid sender");
+        require(_msgSender() == _authorizedNewOwner, "Invalid sender");
+        require(block.timestamp <= _authorizedNewOwnerDeadline, "Authorization expired");
 
         address oldValue = _owner;
         _owner = _authorizedNewOwner;
         _authorizedNewOwner = address(0);
+        _authorizedNewOwnerDeadline = 0;
 
         emit OwnerUpdate(oldValue, _owner);
     }
+
+    /**
+     * @notice Renounces ownership of this contract, leaving it without an owner.
+     * @dev Note that this is irreversible: the functions that can only be called by the
+     * owner can no longer be called. Any pending ownership transfer authorization is
+     * removed.
+     */
+    function renounceOwnership() external {
+        require(_msgSender() == _owner, "Invalid sender");
+        _beforeOwnershipRenouncement();
+
+        address oldValue = _owner;
+        _owner = address(0);
+        _authorizedNewOwner = address(0);
+        _authorizedNewOwnerDeadline = 0;
+
+        emit OwnerUpdate(oldValue, address(0));
+    }
+
+    /**
+     * @dev Authorizes the transfer of ownership from owner to `_authorizedAddress`,
+     * until `_deadline`.
+     */
+    function _authorizeOwnershipTransfer(address _authorizedAddress, uint256 _deadline)
+        internal
+    {
+        require(_msgSender() == _owner, "Invalid sender");
+        _beforeOwnershipTransferAuthorization();
+
+        _authorizedNewOwner = _authorizedAddress;
+        _authorizedNewOwnerDeadline = _deadline;
+
+        emit OwnershipTransferAuthorization(_authorizedNewOwner);
+    }
+
+    /**
+     * @dev Hook called before an ownership transfer is authorized, which can revert
+     * to prevent the authorization.
+     */
+    function _beforeOwnershipTransferAuthorization() internal virtual view {}
+
+    /**
+     * @dev Hook called before the ownership is renounced, which can revert to
+     * prevent the renouncement.
+     */
+    function _beforeOwnershipRenouncement() internal virtual view {}
 }
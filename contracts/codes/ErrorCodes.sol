@@ -11,6 +11,7 @@ contract ErrorCodes {
     string internal EC_51_TRANSFER_SUCCESS = "51";
     string internal EC_52_INSUFFICIENT_BALANCE = "52";
     string internal EC_53_INSUFFICIENT_ALLOWANCE = "53";
+    string internal EC_54_TRANSFERS_HALTED = "54";
 
     string internal EC_56_INVALID_SENDER = "56";
     string internal EC_57_INVALID_RECEIVER = "57";
@@ -25,4 +26,32 @@ contract ErrorCodes {
     string internal EC_5E_PARTITION_PREFIX_CONFLICT = "5E";
     string internal EC_5F_INVALID_PARTITION_PREFIX_0 = "5F";
     string internal EC_60_SWAP_TRANSFER_FAILURE = "60";
+    string internal EC_61_INVALID_SIGNATURE = "61";
+    string internal EC_62_SIGNATURE_EXPIRED = "62";
+    string internal EC_63_ARRAY_LENGTH_MISMATCH = "63";
+    string internal EC_64_PARTITION_STRATEGY_NOT_SET = "64";
+    string internal EC_65_NOT_COLLATERAL_MANAGER = "65";
+    string internal EC_66_EXTENSION_NOT_SET = "66";
+    string internal EC_67_REGISTRATION_APPROVAL_REQUIRED = "67";
+    string internal EC_68_REGISTRATION_NOT_REQUESTED = "68";
+    string internal EC_69_TIMELOCK_REQUIRED = "69";
+    string internal EC_6A_TIMELOCKED_CALL_NOT_READY = "6A";
+    string internal EC_6B_INVALID_EXPIRY = "6B";
+    string internal EC_6C_RATE_LIMIT_EXCEEDED = "6C";
+    string internal EC_6D_BATCH_TOO_LARGE = "6D";
+    string internal EC_6E_INVALID_TIMELOCK_DELAY = "6E";
+
+    /**
+     * @dev ERC-1066 status codes, as reported by `Amp.canTransferByPartition`.
+     */
+    bytes1 internal constant ESC_50_TRANSFER_FAILURE = 0x50;
+    bytes1 internal constant ESC_51_TRANSFER_SUCCESS = 0x51;
+    bytes1 internal constant ESC_52_INSUFFICIENT_BALANCE = 0x52;
+    bytes1 internal constant ESC_53_INSUFFICIENT_ALLOWANCE = 0x53;
+    bytes1 internal constant ESC_54_TRANSFERS_HALTED = 0x54;
+
+    bytes1 internal constant ESC_56_INVALID_SENDER = 0x56;
+    bytes1 internal constant ESC_57_INVALID_RECEIVER = 0x57;
+
+    bytes1 internal constant ESC_5D_PARTITION_RESERVED = 0x5D;
 }
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.10;
+
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+/**
+ * @title MinimalForwarder
+ * @notice Minimal EIP-2771 forwarder. Relays calls signed by `from` to the
+ * target contract, appending the address of `from` to the calldata.
+ * @dev The signed message is the EIP-191 "Ethereum Signed Message" of the hash
+ * returned by `hashRequest`.
+ */
+contract MinimalForwarder {
+    using ECDSA for bytes32;
+    using SafeMath for uint256;
+
+    /**
+     * @notice Mapping from signer to the nonce expected in its next request.
+     */
+    mapping(address => uint256) public nonces;
+
+    /**
+     * @notice Compute the hash of a request, to be signed by `_from`.
+     * @param _from The signer of the request.
+     * @param _to The target contract of the request.
+     * @param _value Amount of ether to forward with the request.
+     * @param _gas Amount of gas to forward with the request.
+     * @param _data Calldata of the request, without the appended signer.
+     * @return bytes32 containing the hash of the request for the current nonce.
+     */
+    function hashRequest(
+        address _from,
+        address _to,
+        uint256 _value,
+        uint256 _gas,
+        bytes memory _data
+    ) public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    _chainId(),
+                    address(this),
+                    _from,
+                    _to,
+                    _value,
+                    _gas,
+                    nonces[_from],
+                    keccak256(_data)
+                )
+            );
+    }
+
+    /**
+     * @notice Report if a request was signed by `_from`.
+     * @param _from The signer of the request.
+     * @param _to The target contract of the request.
+     * @param _value Amount of ether to forward with the request.
+     * @param _gas Amount of gas to forward with the request.
+     * @param _data Calldata of the request, without the appended signer.
+     * @param _signature Signature of the request by `_from`.
+     * @return bool indicating whether the signature is valid for the current nonce.
+     */
+    function verify(
+        address _from,
+        address _to,
+        uint256 _value,
+        uint256 _gas,
+        bytes memory _data,
+        bytes memory _signature
+    ) public view returns (bool) {
+        bytes32 hash = hashRequest(_from, _to, _value, _gas, _data);
+
+        return hash.toEthSignedMessageHash().recover(_signature) == _from;
+    }
+
+    /**
+     * @notice Relay a request signed by `_from`.
+     * @dev Reverts if the signature is invalid, and bubbles up the revert of the
+     * target contract.
+     * @param _from The signer of the request.
+     * @param _to The target contract of the request.
+     * @param _value Amount of ether to forward with the request.
+     * @param _gas Amount of gas to forward with the request.
+     * @param _data Calldata of the request, without the appended signer.
+     * @param _signature Signature of the request by `_from`.
+     * @return bytes containing the data returned by the target contract.
+     */
+    function execute(
+        address _from,
+        address _to,
+        uint256 _value,
+        uint256 _gas,
+        bytes calldata _data,
+        bytes calldata _signature
+    ) external payable returns (bytes memory) {
+        require(
+            verify(_from, _to, _value, _gas, _data, _signature),
+            "Signature does not match request"
+        );
+        nonces[_from] = nonces[_from].add(1);
+
+        (bool success, bytes memory result) = _to.call{gas: _gas, value: _value}(
+            abi.encodePacked(_data, _from)
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Retrieve the id of the current chain.
+     * @return uint256 containing the chain id.
+     */
+    function _chainId() internal pure returns (uint256) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
+        return chainId;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.10;
+pragma experimental ABIEncoderV2;
+
+import "../Amp.sol";
+
+/**
+ * @dev Amp without the index of the holders of each partition, used to measure
+ * the gas the index adds to transfers.
+ */
+contract MockAmpWithoutHolderIndex is Amp {
+    constructor(
+        address _swapTokenAddress_,
+        string memory _name_,
+        string memory _symbol_,
+        address _extension_
+    ) public Amp(_swapTokenAddress_, _name_, _symbol_, _extension_) {}
+
+    function _addHolderToPartition(
+        bytes32, /* _partition */
+        address /* _tokenHolder */
+    ) internal override {}
+
+    function _removeHolderFromPartition(
+        bytes32, /* _partition */
+        address /* _tokenHolder */
+    ) internal override {}
+}
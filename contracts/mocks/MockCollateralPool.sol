@@ -84,6 +84,25 @@ contract MockCollateralPool is ERC1820Implementer, ERC1820Client {
         emit SimplePoolSupply(_data);
     }
 
+    function canTransfer(
+        bytes4, /* functionSig */
+        bytes32, /* partition */
+        address _operator,
+        address, /* from */
+        address, /* to */
+        uint256, /* value */
+        bytes calldata, /* data */
+        bytes calldata _operatorData
+    ) external view returns (bool) {
+        if (_operator == owner) {
+            return true;
+        }
+
+        bytes2 proof = abi.decode(_operatorData, (bytes2));
+
+        return proof == VALID_DATA;
+    }
+
     function tokensToTransfer(
         bytes4, /* functionSig */
         bytes32, /* partition */
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.10;
+
+import "../erc1820/ERC1820Client.sol";
+import "../erc1820/ERC1820Implementer.sol";
+import "../extensions/IAmpTokensRecipient.sol";
+
+/**
+ * @dev Token recipient whose hook reverts with data that is not an `Error(string)`
+ * revert reason.
+ */
+contract MockRevertingAmpTokensRecipient is
+    IAmpTokensRecipient,
+    ERC1820Implementer,
+    ERC1820Client
+{
+    string internal constant AMP_TOKENS_RECIPIENT = "AmpTokensRecipient";
+
+    constructor() public {
+        ERC1820Client.setInterfaceImplementation(AMP_TOKENS_RECIPIENT, address(this));
+        ERC1820Implementer._setInterface(AMP_TOKENS_RECIPIENT);
+    }
+
+    function canReceive(
+        bytes4, /* functionSig */
+        bytes32, /* partition */
+        address, /* operator */
+        address, /* from */
+        address, /* to */
+        uint256, /* value */
+        bytes calldata, /* data */
+        bytes calldata /* operatorData */
+    ) external override view returns (bool) {
+        return false;
+    }
+
+    function tokensReceived(
+        bytes4, /* functionSig */
+        bytes32, /* partition */
+        address, /* operator */
+        address, /* from */
+        address, /* to */
+        uint256, /* value */
+        bytes calldata, /* data */
+        bytes calldata /* operatorData */
+    ) external override {
+        bytes memory revertData = abi.encodeWithSignature(
+            "CustomError(uint256,uint256)",
+            32,
+            1
+        );
+
+        assembly {
+            revert(add(revertData, 32), mload(revertData))
+        }
+    }
+}
@@ -76,6 +76,42 @@ contract AmpPartitionStrategyValidatorBase is
         bytes calldata /* operatorData */
     ) external virtual override {}
 
+    /**
+     * @notice Report if a transfer from a partition under the purview of the
+     * strategy would be allowed.
+     * @dev Placeholder that can be overridden by parent.
+     */
+    function canTransferFromPartition(
+        bytes4, /* functionSig */
+        bytes32, /* fromPartition */
+        address, /* operator */
+        address, /* from */
+        address, /* to */
+        uint256, /* value */
+        bytes calldata, /* data */
+        bytes calldata /* operatorData */
+    ) external virtual override view returns (bool) {
+        return true;
+    }
+
+    /**
+     * @notice Report if a transfer to a partition under the purview of the
+     * strategy would be allowed.
+     * @dev Placeholder that can be overridden by parent.
+     */
+    function canTransferToPartition(
+        bytes4, /* functionSig */
+        bytes32, /* toPartition */
+        address, /* operator */
+        address, /* from */
+        address, /* to */
+        uint256, /* value */
+        bytes calldata, /* data */
+        bytes calldata /* operatorData */
+    ) external virtual override view returns (bool) {
+        return true;
+    }
+
     /**
      * @notice Report if address is an operator for a partition based on the
      * partition's strategy.
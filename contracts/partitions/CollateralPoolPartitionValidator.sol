@@ -6,6 +6,8 @@ import "./AmpPartitionStrategyValidatorBase.sol";
 
 interface IAmp {
     function isCollateralManager(address) external view returns (bool);
+
+    function isCollateralManagerSuspended(address) external view returns (bool);
 }
 
 /**
@@ -83,5 +85,35 @@ contract CollateralPoolPartitionValidator is AmpPartitionStrategyValidatorBase {
             IAmp(amp).isCollateralManager(toPartitionOwner),
             "Partition owner is not a registered collateral manager"
         );
+        require(
+            !IAmp(amp).isCollateralManagerSuspended(toPartitionOwner),
+            "Partition owner is a suspended collateral manager"
+        );
+    }
+
+    /**
+     * @notice Report if a transfer to a partition under the purview of the
+     * strategy would be allowed, using the same rules as
+     * `tokensToPartitionToValidate`.
+     * @param _toPartition The partition the tokens would be transferred to.
+     * @param _to The address of the collateral manager.
+     * @return bool indicating whether the transfer would be allowed.
+     */
+    function canTransferToPartition(
+        bytes4, /* functionSig */
+        bytes32 _toPartition,
+        address, /* operator */
+        address, /* from */
+        address _to,
+        uint256, /* value */
+        bytes calldata, /* _data */
+        bytes calldata /* operatorData */
+    ) external override view returns (bool) {
+        (, , address toPartitionOwner) = PartitionUtils._splitPartition(_toPartition);
+
+        return
+            _to == toPartitionOwner &&
+            IAmp(amp).isCollateralManager(toPartitionOwner) &&
+            !IAmp(amp).isCollateralManagerSuspended(toPartitionOwner);
     }
 }
@@ -9,6 +9,8 @@ import "./AmpPartitionStrategyValidatorBase.sol";
 interface IAmp {
     function isCollateralManager(address) external view returns (bool);
 
+    function isCollateralManagerSuspended(address) external view returns (bool);
+
     function isOperatorForCollateralManager(
         bytes32,
         address,
@@ -140,12 +142,75 @@ contract HolderCollateralPartitionValidator is AmpPartitionStrategyValidatorBase
         }
     }
 
+    /**
+     * @notice Report if a transfer from a partition under the purview of this
+     * strategy would be allowed, using the same rules as
+     * `tokensFromPartitionToValidate`.
+     * @dev Calls the `canTransfer` method of the partition owner's
+     * "AmpTokensSender" hook, if registered, unless the transfer is made by
+     * the collateral manager or one of its operators.
+     * @param _functionSig The function sig of the calling function.
+     * @param _fromPartition The partition the transfer is from.
+     * @param _operator The operator of the transfer.
+     * @param _from The owner of the tokens being transferred.
+     * @param _to The address the tokens are being transferred to.
+     * @param _value The amount of tokens being transferred.
+     * @param _data Additional metadata attached to the transfer.
+     * @param _operatorData Addtitional metadata attached to the transfer on
+     * behalf of the operator.
+     * @return bool indicating whether the transfer would be allowed.
+     */
+    function canTransferFromPartition(
+        bytes4 _functionSig,
+        bytes32 _fromPartition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    ) external override view returns (bool) {
+        (, , address fromPartitionOwner) = PartitionUtils._splitPartition(_fromPartition);
+
+        if (
+            IAmp(amp).isOperatorForCollateralManager(
+                _fromPartition,
+                _operator,
+                fromPartitionOwner
+            )
+        ) {
+            return true;
+        }
+
+        address senderImplementation;
+        senderImplementation = ERC1820Client.interfaceAddr(
+            fromPartitionOwner,
+            AMP_TOKENS_SENDER
+        );
+        if (senderImplementation != address(0)) {
+            return
+                IAmpTokensSender(senderImplementation).canTransfer(
+                    _functionSig,
+                    _fromPartition,
+                    _operator,
+                    _from,
+                    _to,
+                    _value,
+                    _data,
+                    _operatorData
+                );
+        }
+
+        return true;
+    }
+
     /**
      * @notice Validate the rules of the strategy when tokens are being sent
      * to a partition under the purview of this strategy.
      * @dev Revert if the partition owner of the partition is not a collateral
-     * manager, or if the `_to` address is the partition owner, as this strategy
-     * is for collateral managers that store the tokens at the holder address.
+     * manager, if it is a suspended collateral manager, or if the `_to` address
+     * is the partition owner, as this strategy is for collateral managers that
+     * store the tokens at the holder address.
      * @param _toPartition The partition the transfer is to.
      * @param _to The address the tokens are being transferred to.
      * behalf of the operator.
@@ -168,9 +233,39 @@ contract HolderCollateralPartitionValidator is AmpPartitionStrategyValidatorBase
             IAmp(amp).isCollateralManager(toPartitionOwner),
             "Partition owner is not a registered collateral manager"
         );
+        require(
+            !IAmp(amp).isCollateralManagerSuspended(toPartitionOwner),
+            "Partition owner is a suspended collateral manager"
+        );
         require(
             _to != toPartitionOwner,
             "Transfers to this partitoin must not be to the partition owner address"
         );
     }
+
+    /**
+     * @notice Report if a transfer to a partition under the purview of this
+     * strategy would be allowed, using the same rules as
+     * `tokensToPartitionToValidate`.
+     * @param _toPartition The partition the transfer is to.
+     * @param _to The address the tokens are being transferred to.
+     * @return bool indicating whether the transfer would be allowed.
+     */
+    function canTransferToPartition(
+        bytes4, /* functionSig */
+        bytes32 _toPartition,
+        address, /* operator */
+        address, /* from */
+        address _to,
+        uint256, /* value */
+        bytes calldata, /* _data */
+        bytes calldata /* _operatorData */
+    ) external override view returns (bool) {
+        (, , address toPartitionOwner) = PartitionUtils._splitPartition(_toPartition);
+
+        return
+            IAmp(amp).isCollateralManager(toPartitionOwner) &&
+            !IAmp(amp).isCollateralManagerSuspended(toPartitionOwner) &&
+            _to != toPartitionOwner;
+    }
 }
@@ -28,6 +28,28 @@ interface IAmpPartitionStrategyValidator {
         bytes calldata _operatorData
     ) external;
 
+    function canTransferFromPartition(
+        bytes4 _functionSig,
+        bytes32 _partition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    ) external view returns (bool);
+
+    function canTransferToPartition(
+        bytes4 _functionSig,
+        bytes32 _partition,
+        address _operator,
+        address _from,
+        address _to,
+        uint256 _value,
+        bytes calldata _data,
+        bytes calldata _operatorData
+    ) external view returns (bool);
+
     function isOperatorForPartitionScope(
         bytes32 _partition,
         address _operator,
@@ -1,4 +1,5 @@
 const AmpToken = artifacts.require('Amp.sol')
+const AmpExtension = artifacts.require('AmpExtension.sol')
 const MockFXC = artifacts.require('MockFXC.sol')
 const CollateralPoolPartitionValidator = artifacts.require('CollateralPoolPartitionValidator.sol')
 const HolderCollateralPartitionValidator = artifacts.require('HolderCollateralPartitionValidator.sol')
@@ -16,24 +17,34 @@ module.exports = async function (deployer, network, accounts) {
     swapTokenAddress = '0x4a57e687b9126435a9b19e4a802113e266adebde'
   }
 
-  await deployer.deploy(AmpToken, swapTokenAddress, name, symbol)
+  await deployer.deploy(AmpExtension)
+  console.log('\n   > AmpExtension deployment: Success -->', AmpExtension.address)
+
+  await deployer.deploy(AmpToken, swapTokenAddress, name, symbol, AmpExtension.address)
   console.log('\n   > Amp token deployment: Success -->', AmpToken.address)
 
   let amp = await AmpToken.deployed()
+  let ampExtension = await AmpExtension.at(amp.address)
 
   await deployer.deploy(HolderCollateralPartitionValidator, AmpToken.address)
   console.log('\n   > HolderCollateralPartitionValidator deployment: Success -->', HolderCollateralPartitionValidator.address)
 
-  await amp.setPartitionStrategy(
-    '0xAAAAAAAA',
-    HolderCollateralPartitionValidator.address,
+  // Partition strategies are timelocked: the call is queued here, and executed
+  // by the next migration once the timelock delay has elapsed.
+  await ampExtension.queueTimelockedCall(
+    amp.contract.methods.setPartitionStrategy(
+      '0xAAAAAAAA',
+      HolderCollateralPartitionValidator.address,
+    ).encodeABI(),
   )
 
   await deployer.deploy(CollateralPoolPartitionValidator, AmpToken.address)
   console.log('\n   > CollateralPoolPartitionValidator deployment: Success -->', CollateralPoolPartitionValidator.address)
 
-  await amp.setPartitionStrategy(
-    '0xCCCCCCCC',
-    CollateralPoolPartitionValidator.address,
+  await ampExtension.queueTimelockedCall(
+    amp.contract.methods.setPartitionStrategy(
+      '0xCCCCCCCC',
+      CollateralPoolPartitionValidator.address,
+    ).encodeABI(),
   )
 }
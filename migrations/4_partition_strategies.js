@@ -0,0 +1,53 @@
+const AmpToken = artifacts.require('Amp.sol')
+const AmpExtension = artifacts.require('AmpExtension.sol')
+const CollateralPoolPartitionValidator = artifacts.require('CollateralPoolPartitionValidator.sol')
+const HolderCollateralPartitionValidator = artifacts.require('HolderCollateralPartitionValidator.sol')
+
+const send = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send({
+    jsonrpc: '2.0', method, params, id: Date.now(),
+  }, (err) => (err ? reject(err) : resolve()))
+})
+
+// Executes the partition strategy registrations queued by the previous
+// migration. On development networks, the time of the chain is moved past the
+// timelock delay. On other networks, this migration fails until the delay has
+// elapsed: run `truffle migrate` again after the reported time.
+module.exports = async function (deployer, network, accounts) {
+  let amp = await AmpToken.deployed()
+  let ampExtension = await AmpExtension.at(amp.address)
+
+  const calls = [
+    amp.contract.methods.setPartitionStrategy(
+      '0xAAAAAAAA',
+      HolderCollateralPartitionValidator.address,
+    ).encodeABI(),
+    amp.contract.methods.setPartitionStrategy(
+      '0xCCCCCCCC',
+      CollateralPoolPartitionValidator.address,
+    ).encodeABI(),
+  ]
+
+  if (network === 'development' || network === 'test') {
+    await send('evm_increaseTime', [(await amp.timelockDelay()).toNumber()])
+    await send('evm_mine')
+  }
+
+  for (const data of calls) {
+    const eta = (await amp.timelockedCallEta(web3.utils.keccak256(data))).toNumber()
+    if (eta === 0) {
+      console.log('\n   > Timelocked call not queued, skipping:', data)
+      continue
+    }
+
+    const { timestamp } = await web3.eth.getBlock('latest')
+    if (eta > timestamp) {
+      throw new Error(
+        `Timelocked call ${data} can be executed from ${new Date(eta * 1000).toISOString()}, run the migration again then`,
+      )
+    }
+
+    await ampExtension.executeTimelockedCall(data)
+    console.log('\n   > Timelocked call executed:', data)
+  }
+}
@@ -22,6 +22,7 @@ import {
 } from './utils/events'
 
 const Amp = artifacts.require('Amp')
+const AmpExtension = artifacts.require('AmpExtension')
 const MockFXC = artifacts.require('MockFXC')
 const ERC1820Registry = artifacts.require('ERC1820Registry')
 
@@ -37,6 +38,11 @@ const {
   RESERVED_PARTITION,
   FLAG_OTHER_UKNOWNN,
   FLAG_CHANGE_PARTITION,
+  ESC_51_TRANSFER_SUCCESS,
+  ESC_52_INSUFFICIENT_BALANCE,
+  ESC_53_INSUFFICIENT_ALLOWANCE,
+  ESC_57_INVALID_RECEIVER,
+  ESC_5D_PARTITION_RESERVED,
 } = Constants
 
 const {
@@ -49,6 +55,7 @@ const {
   assertTransferEvent,
   assertBalance,
   assertChangePartitionEvent,
+  assertEscResponse,
 
   concatHexData,
 } = Helpers
@@ -76,13 +83,17 @@ contract('Amp', function ([
     describe('when a valid swap token address is used', function () {
       it('succeeds', async function () {
         const fxc = await MockFXC.new()
-        const amp = await Amp.new(fxc.address, 'Amp', 'AMP')
+        const extension = await AmpExtension.new()
+        const amp = await Amp.new(fxc.address, 'Amp', 'AMP', extension.address)
         await should.exist(amp.address)
       })
     })
     describe('when the swap token address of 0 is used', function () {
       it('reverts', async function () {
-        await shouldFail.reverting(Amp.new(ZERO_ADDRESS, 'Amp', 'AMP'))
+        const extension = await AmpExtension.new()
+        await shouldFail.reverting(
+          Amp.new(ZERO_ADDRESS, 'Amp', 'AMP', extension.address)
+        )
       })
     })
   })
@@ -1339,6 +1350,230 @@ contract('Amp', function ([
     })
   })
 
+  describe('canTransferByPartition', function () {
+    const transferAmount = 300
+
+    beforeEach(async function () {
+      this.amp = await this.harness.init()
+      await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    })
+
+    describe('when the sender is transferring from itself', function () {
+      describe('when the sender has enough balance for this partition', function () {
+        describe('when the sender does not change the partition', function () {
+          it('returns the success code and the same partition', async function () {
+            const response = await this.amp.canTransferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              transferAmount,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+            await assertEscResponse(
+              response,
+              ESC_51_TRANSFER_SUCCESS,
+              ZERO_BYTES32,
+              DEFAULT_PARTITION
+            )
+          })
+        })
+
+        describe('when the sender changes the partition', function () {
+          it('returns the success code and the destination partition', async function () {
+            const response = await this.amp.canTransferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              transferAmount,
+              concatHexData(FLAG_CHANGE_PARTITION, ALT_PARTITION_1),
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+            await assertEscResponse(
+              response,
+              ESC_51_TRANSFER_SUCCESS,
+              ZERO_BYTES32,
+              ALT_PARTITION_1
+            )
+          })
+        })
+
+        describe('when the destination partition is in the reserved space', function () {
+          it('returns the partition reserved code', async function () {
+            const response = await this.amp.canTransferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              transferAmount,
+              concatHexData(FLAG_CHANGE_PARTITION, RESERVED_PARTITION),
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+            await assertEscResponse(
+              response,
+              ESC_5D_PARTITION_RESERVED,
+              ZERO_BYTES32,
+              RESERVED_PARTITION.toLowerCase()
+            )
+          })
+        })
+      })
+
+      describe('when the sender does not have enough balance for this partition', function () {
+        it('returns the insufficient balance code', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            issuanceAmount + 1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_52_INSUFFICIENT_BALANCE,
+            ZERO_BYTES32,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+
+      describe('when the recipient is the zero address', function () {
+        it('returns the invalid receiver code', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            ZERO_ADDRESS,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_57_INVALID_RECEIVER,
+            ZERO_BYTES32,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+    })
+
+    describe('when the sender is approved for this partition', function () {
+      beforeEach(async function () {
+        await this.amp.approveByPartition(
+          DEFAULT_PARTITION,
+          operator,
+          transferAmount,
+          { from: tokenHolder }
+        )
+      })
+
+      describe('when approved amount is sufficient', function () {
+        it('returns the success code', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+          await assertEscResponse(
+            response,
+            ESC_51_TRANSFER_SUCCESS,
+            ZERO_BYTES32,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+
+      describe('when approved amount is not sufficient', function () {
+        it('returns the insufficient allowance code', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            transferAmount + 1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+          await assertEscResponse(
+            response,
+            ESC_53_INSUFFICIENT_ALLOWANCE,
+            ZERO_BYTES32,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+    })
+
+    describe('when the sender is an operator for this partition', function () {
+      it('returns the success code', async function () {
+        await this.amp.authorizeOperatorByPartition(
+          DEFAULT_PARTITION,
+          operator,
+          { from: tokenHolder }
+        )
+
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await assertEscResponse(
+          response,
+          ESC_51_TRANSFER_SUCCESS,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+    })
+
+    describe('when the sender is neither an operator, nor approved', function () {
+      it('returns the insufficient allowance code', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await assertEscResponse(
+          response,
+          ESC_53_INSUFFICIENT_ALLOWANCE,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+    })
+
+    it('does not modify balances', async function () {
+      await this.amp.canTransferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        recipient,
+        transferAmount,
+        ZERO_BYTE,
+        ZERO_BYTE,
+        { from: tokenHolder }
+      )
+      await assertBalance(this.amp, tokenHolder, issuanceAmount)
+      await assertBalance(this.amp, recipient, 0)
+    })
+  })
+
   describe('authorizeOperator', function () {
     beforeEach(async function () {
       this.amp = await this.harness.init()
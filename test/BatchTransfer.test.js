@@ -0,0 +1,251 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Events } from './utils'
+
+const {
+  ALT_PARTITION_1,
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+} = Constants
+
+const issuanceAmount = 1000
+
+contract('Amp: Batch transfers', function ([
+  owner,
+  tokenHolder,
+  operator,
+  recipient1,
+  recipient2,
+  recipient3,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+  })
+
+  const changeToAltPartition = web3.eth.abi.encodeParameters(
+    ['bytes32', 'bytes32'],
+    [FLAG_CHANGE_PARTITION, ALT_PARTITION_1]
+  )
+
+  describe('batchTransferByPartition', function () {
+    describe('when the holder transfers to several recipients', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.batchTransferByPartition(
+          tokenHolder,
+          [DEFAULT_PARTITION, DEFAULT_PARTITION, DEFAULT_PARTITION],
+          [recipient1, recipient2, recipient3],
+          [100, 200, 300],
+          [ZERO_BYTE, ZERO_BYTE, changeToAltPartition],
+          [ZERO_BYTE, ZERO_BYTE, ZERO_BYTE],
+          { from: tokenHolder }
+        )
+        this.logs = logs
+      })
+
+      it('transfers the tokens to each recipient', async function () {
+        await this.harness.assertBalanceOf(tokenHolder, issuanceAmount - 600)
+        await this.harness.assertBalanceOfByPartition(
+          DEFAULT_PARTITION,
+          recipient1,
+          100
+        )
+        await this.harness.assertBalanceOfByPartition(
+          DEFAULT_PARTITION,
+          recipient2,
+          200
+        )
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          recipient3,
+          300
+        )
+      })
+
+      it('emits the events of each transfer', async function () {
+        const events = this.logs.map((l) => l.event)
+        assert.deepEqual(events, [
+          Events.Transfer,
+          Events.TransferByPartition,
+          Events.Transfer,
+          Events.TransferByPartition,
+          Events.Transfer,
+          Events.TransferByPartition,
+          Events.ChangedPartition,
+        ])
+        assert.equal(this.logs[6].args.fromPartition, DEFAULT_PARTITION)
+        assert.equal(this.logs[6].args.toPartition, ALT_PARTITION_1)
+        assert.equal(this.logs[6].args.value, 300)
+      })
+    })
+
+    describe('when it returns the destination partitions', function () {
+      it('returns the destination partition of each transfer', async function () {
+        const toPartitions = await this.amp.batchTransferByPartition.call(
+          tokenHolder,
+          [DEFAULT_PARTITION, DEFAULT_PARTITION],
+          [recipient1, recipient2],
+          [100, 200],
+          [ZERO_BYTE, changeToAltPartition],
+          [ZERO_BYTE, ZERO_BYTE],
+          { from: tokenHolder }
+        )
+        assert.deepEqual(toPartitions, [DEFAULT_PARTITION, ALT_PARTITION_1])
+      })
+    })
+
+    describe('when one of the transfers fails', function () {
+      it('reverts the whole batch', async function () {
+        await shouldFail.reverting(
+          this.amp.batchTransferByPartition(
+            tokenHolder,
+            [DEFAULT_PARTITION, DEFAULT_PARTITION],
+            [recipient1, recipient2],
+            [issuanceAmount, 1],
+            [ZERO_BYTE, ZERO_BYTE],
+            [ZERO_BYTE, ZERO_BYTE],
+            { from: tokenHolder }
+          )
+        )
+
+        await this.harness.assertBalanceOf(tokenHolder, issuanceAmount)
+        await this.harness.assertBalanceOf(recipient1, 0)
+      })
+    })
+
+    describe('when the arrays have different lengths', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.batchTransferByPartition(
+            tokenHolder,
+            [DEFAULT_PARTITION, DEFAULT_PARTITION],
+            [recipient1],
+            [100, 200],
+            [ZERO_BYTE, ZERO_BYTE],
+            [ZERO_BYTE, ZERO_BYTE],
+            { from: tokenHolder }
+          )
+        )
+      })
+    })
+
+    describe('when the caller is an operator of the holder', function () {
+      it('transfers the tokens', async function () {
+        await this.amp.authorizeOperator(operator, { from: tokenHolder })
+        await this.amp.batchTransferByPartition(
+          tokenHolder,
+          [DEFAULT_PARTITION, DEFAULT_PARTITION],
+          [recipient1, recipient2],
+          [100, 200],
+          [ZERO_BYTE, ZERO_BYTE],
+          [ZERO_BYTE, ZERO_BYTE],
+          { from: operator }
+        )
+
+        await this.harness.assertBalanceOf(recipient1, 100)
+        await this.harness.assertBalanceOf(recipient2, 200)
+      })
+    })
+
+    describe('when the caller has an allowance', function () {
+      beforeEach(async function () {
+        await this.amp.approveByPartition(DEFAULT_PARTITION, operator, 250, {
+          from: tokenHolder,
+        })
+      })
+
+      it('spends the allowance across the transfers', async function () {
+        await this.amp.batchTransferByPartition(
+          tokenHolder,
+          [DEFAULT_PARTITION, DEFAULT_PARTITION],
+          [recipient1, recipient2],
+          [100, 100],
+          [ZERO_BYTE, ZERO_BYTE],
+          [ZERO_BYTE, ZERO_BYTE],
+          { from: operator }
+        )
+
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            operator
+          ),
+          50
+        )
+      })
+
+      it('reverts when the transfers exceed the allowance', async function () {
+        await shouldFail.reverting(
+          this.amp.batchTransferByPartition(
+            tokenHolder,
+            [DEFAULT_PARTITION, DEFAULT_PARTITION],
+            [recipient1, recipient2],
+            [200, 100],
+            [ZERO_BYTE, ZERO_BYTE],
+            [ZERO_BYTE, ZERO_BYTE],
+            { from: operator }
+          )
+        )
+      })
+    })
+
+    describe('when the caller is neither operator nor approved', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.batchTransferByPartition(
+            tokenHolder,
+            [DEFAULT_PARTITION],
+            [recipient1],
+            [100],
+            [ZERO_BYTE],
+            [ZERO_BYTE],
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('gas usage', function () {
+      const legs = 5
+      const freshAddresses = () =>
+        Array.from({ length: legs }, () => web3.eth.accounts.create().address)
+
+      it(`is lower than ${legs} single transfers`, async function () {
+        let singleGasUsed = 0
+        for (const to of freshAddresses()) {
+          const {
+            receipt,
+          } = await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            to,
+            10,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+          singleGasUsed += receipt.gasUsed
+        }
+
+        const { receipt } = await this.amp.batchTransferByPartition(
+          tokenHolder,
+          Array(legs).fill(DEFAULT_PARTITION),
+          freshAddresses(),
+          Array(legs).fill(10),
+          Array(legs).fill(ZERO_BYTE),
+          Array(legs).fill(ZERO_BYTE),
+          { from: tokenHolder }
+        )
+
+        assert.isBelow(receipt.gasUsed, singleGasUsed)
+      })
+    })
+  })
+})
@@ -0,0 +1,261 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+import { soliditySha3 } from 'web3-utils'
+
+import { TestHarness, Constants, Helpers, INames, Events } from './utils'
+
+const {
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_ADDRESS,
+  ZERO_BYTE,
+} = Constants
+const { assertTotalSupply, concatHexData, formatCollateralPartition } = Helpers
+const { AMP_TOKENS_SENDER } = INames
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+const MockAmpTokensSender = artifacts.require('MockAmpTokensSender')
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+
+const VALID_DATA =
+  '0x1000000000000000000000000000000000000000000000000000000000000000'
+const INVALID_DATA_SENDER =
+  '0x1100000000000000000000000000000000000000000000000000000000000000'
+
+const issuanceAmount = 1000
+const burnAmount = 400
+
+contract('Amp: Burning', function ([
+  owner,
+  tokenHolder,
+  operator,
+  cmanager,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+  })
+
+  describe('burn', function () {
+    describe('when the holder has enough balance', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.burn(burnAmount, ZERO_BYTE, {
+          from: tokenHolder,
+        })
+        this.logs = logs
+      })
+
+      it('burns the tokens of the holder', async function () {
+        await this.harness.assertBalanceOf(
+          tokenHolder,
+          issuanceAmount - burnAmount
+        )
+        await this.harness.assertBalanceOfByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          issuanceAmount - burnAmount
+        )
+      })
+
+      it('reduces the total supply', async function () {
+        await assertTotalSupply(this.amp, issuanceAmount - burnAmount)
+        assert.equal(
+          await this.amp.totalSupplyByPartition(DEFAULT_PARTITION),
+          issuanceAmount - burnAmount
+        )
+      })
+
+      it('emits a Burned event and a Transfer to the zero address', async function () {
+        assert.equal(this.logs.length, 3)
+
+        assert.equal(this.logs[0].event, Events.Burned)
+        assert.equal(this.logs[0].args.operator, tokenHolder)
+        assert.equal(this.logs[0].args.from, tokenHolder)
+        assert.equal(this.logs[0].args.value, burnAmount)
+
+        assert.equal(this.logs[1].event, Events.Transfer)
+        assert.equal(this.logs[1].args.from, tokenHolder)
+        assert.equal(this.logs[1].args.to, ZERO_ADDRESS)
+        assert.equal(this.logs[1].args.value, burnAmount)
+
+        assert.equal(this.logs[2].event, Events.TransferByPartition)
+        assert.equal(this.logs[2].args.fromPartition, DEFAULT_PARTITION)
+        assert.equal(this.logs[2].args.to, ZERO_ADDRESS)
+      })
+    })
+
+    describe('when the holder does not have enough balance', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.burn(issuanceAmount + 1, ZERO_BYTE, { from: tokenHolder })
+        )
+      })
+    })
+
+    describe('when the holder has a sender hook registered', function () {
+      beforeEach(async function () {
+        this.registry = this.harness.registry
+        this.senderContract = await MockAmpTokensSender.new({
+          from: tokenHolder,
+        })
+        await this.registry.setInterfaceImplementer(
+          tokenHolder,
+          soliditySha3(AMP_TOKENS_SENDER),
+          this.senderContract.address,
+          { from: tokenHolder }
+        )
+      })
+
+      afterEach(async function () {
+        await this.registry.setInterfaceImplementer(
+          tokenHolder,
+          soliditySha3(AMP_TOKENS_SENDER),
+          ZERO_ADDRESS,
+          { from: tokenHolder }
+        )
+      })
+
+      it('burns the tokens when the hook accepts the burn', async function () {
+        await this.amp.burn(burnAmount, VALID_DATA, { from: tokenHolder })
+        await assertTotalSupply(this.amp, issuanceAmount - burnAmount)
+      })
+
+      it('reverts when the hook refuses the burn', async function () {
+        await shouldFail.reverting(
+          this.amp.burn(burnAmount, INVALID_DATA_SENDER, {
+            from: tokenHolder,
+          })
+        )
+      })
+    })
+  })
+
+  describe('burnByPartition', function () {
+    describe('when the caller is an operator of the holder', function () {
+      beforeEach(async function () {
+        await this.amp.authorizeOperatorByPartition(
+          DEFAULT_PARTITION,
+          operator,
+          { from: tokenHolder }
+        )
+        const { logs } = await this.amp.burnByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          burnAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        this.logs = logs
+      })
+
+      it('burns the tokens of the holder', async function () {
+        await this.harness.assertBalanceOf(
+          tokenHolder,
+          issuanceAmount - burnAmount
+        )
+        await assertTotalSupply(this.amp, issuanceAmount - burnAmount)
+      })
+
+      it('reports the operator in the Burned event', async function () {
+        assert.equal(this.logs[0].event, Events.Burned)
+        assert.equal(this.logs[0].args.operator, operator)
+        assert.equal(this.logs[0].args.from, tokenHolder)
+      })
+    })
+
+    describe('when the caller is not an operator of the holder', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.burnByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            burnAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the caller only has an allowance', function () {
+      it('reverts', async function () {
+        await this.amp.approveByPartition(
+          DEFAULT_PARTITION,
+          unknown,
+          burnAmount,
+          { from: tokenHolder }
+        )
+        await shouldFail.reverting(
+          this.amp.burnByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            burnAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the tokens are in a collateral partition', function () {
+      beforeEach(async function () {
+        const validator = await HolderCollateralPartitionValidator.new(
+          this.amp.address
+        )
+        await this.harness.setPartitionStrategy(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          validator.address,
+          { from: owner }
+        )
+        await this.amp.registerCollateralManager({ from: cmanager })
+
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          cmanager,
+          ''
+        )
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          burnAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+      })
+
+      it('lets the collateral manager burn the collateral', async function () {
+        await this.amp.burnByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          burnAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: cmanager }
+        )
+
+        await this.harness.assertBalanceOfByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          0
+        )
+        assert.equal(
+          await this.amp.totalSupplyByPartition(this.collateralPartition),
+          0
+        )
+        await assertTotalSupply(this.amp, issuanceAmount - burnAmount)
+      })
+    })
+  })
+})
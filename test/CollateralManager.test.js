@@ -0,0 +1,638 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const { DEFAULT_PARTITION, FLAG_CHANGE_PARTITION, ZERO_BYTE } = Constants
+const { concatHexData, formatCollateralPartition } = Helpers
+
+const CollateralPoolPartitionValidator = artifacts.require(
+  'CollateralPoolPartitionValidator'
+)
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+const PARTITION_FLAG_COLLATERAL_POOL = '0xCCCCCCCC'
+
+const METADATA_URI = 'ipfs://QmManagerMetadata'
+
+const issuanceAmount = 1000
+const supplyAmount = 400
+
+contract('Amp: Collateral managers', function ([
+  owner,
+  tokenHolder,
+  cmanager,
+  cmanager2,
+  cmanager3,
+  approver,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+  })
+
+  describe('registerCollateralManager', function () {
+    describe('when the caller is not registered', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.registerCollateralManager({
+          from: cmanager,
+        })
+        this.logs = logs
+      })
+
+      it('registers the caller', async function () {
+        assert.isTrue(await this.amp.isCollateralManager(cmanager))
+        assert.equal(await this.amp.collateralManagers(0), cmanager)
+      })
+
+      it('emits a CollateralManagerRegistered event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.CollateralManagerRegistered)
+        assert.equal(this.logs[0].args.collateralManager, cmanager)
+      })
+    })
+
+    describe('when the caller is already registered', function () {
+      it('reverts', async function () {
+        await this.amp.registerCollateralManager({ from: cmanager })
+
+        await shouldFail.reverting(
+          this.amp.registerCollateralManager({ from: cmanager })
+        )
+      })
+    })
+  })
+
+  describe('deregisterCollateralManager', function () {
+    describe('when the caller is registered', function () {
+      beforeEach(async function () {
+        await this.amp.registerCollateralManager({ from: cmanager })
+        await this.amp.registerCollateralManager({ from: cmanager2 })
+        await this.amp.registerCollateralManager({ from: cmanager3 })
+
+        const { logs } = await this.ampExtension.deregisterCollateralManager({
+          from: cmanager,
+        })
+        this.logs = logs
+      })
+
+      it('deregisters the caller', async function () {
+        assert.isFalse(await this.amp.isCollateralManager(cmanager))
+        assert.isTrue(await this.amp.isCollateralManager(cmanager2))
+        assert.isTrue(await this.amp.isCollateralManager(cmanager3))
+      })
+
+      it('removes the caller from the collateral managers', async function () {
+        assert.equal(await this.amp.collateralManagers(0), cmanager3)
+        assert.equal(await this.amp.collateralManagers(1), cmanager2)
+        await shouldFail(this.amp.collateralManagers(2))
+      })
+
+      it('emits a CollateralManagerDeregistered event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.CollateralManagerDeregistered)
+        assert.equal(this.logs[0].args.collateralManager, cmanager)
+      })
+
+      it('allows the caller to register again', async function () {
+        await this.amp.registerCollateralManager({ from: cmanager })
+
+        assert.isTrue(await this.amp.isCollateralManager(cmanager))
+        assert.equal(await this.amp.collateralManagers(2), cmanager)
+      })
+    })
+
+    describe('when the caller is not registered', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.deregisterCollateralManager({ from: unknown })
+        )
+      })
+    })
+  })
+
+  describe('suspendCollateralManager', function () {
+    beforeEach(async function () {
+      await this.amp.registerCollateralManager({ from: cmanager })
+    })
+
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.ampExtension.suspendCollateralManager(
+          cmanager,
+          {
+            from: owner,
+          }
+        )
+        this.logs = logs
+      })
+
+      it('suspends the collateral manager', async function () {
+        assert.isTrue(await this.amp.isCollateralManagerSuspended(cmanager))
+        assert.isTrue(await this.amp.isCollateralManager(cmanager))
+      })
+
+      it('emits a CollateralManagerSuspended event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.CollateralManagerSuspended)
+        assert.equal(this.logs[0].args.collateralManager, cmanager)
+      })
+
+      describe('when the collateral manager is already suspended', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.suspendCollateralManager(cmanager, {
+              from: owner,
+            })
+          )
+        })
+      })
+
+      describe('when the collateral manager deregisters', function () {
+        it('stays suspended when registering again', async function () {
+          await this.ampExtension.deregisterCollateralManager({
+            from: cmanager,
+          })
+          await this.amp.registerCollateralManager({ from: cmanager })
+
+          assert.isTrue(await this.amp.isCollateralManagerSuspended(cmanager))
+        })
+      })
+    })
+
+    describe('when the address is not a collateral manager', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.suspendCollateralManager(unknown, { from: owner })
+        )
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.suspendCollateralManager(cmanager, {
+            from: unknown,
+          })
+        )
+      })
+    })
+  })
+
+  describe('reinstateCollateralManager', function () {
+    beforeEach(async function () {
+      await this.amp.registerCollateralManager({ from: cmanager })
+    })
+
+    describe('when the collateral manager is suspended', function () {
+      beforeEach(async function () {
+        await this.ampExtension.suspendCollateralManager(cmanager, {
+          from: owner,
+        })
+      })
+
+      describe('when the caller is the contract owner', function () {
+        beforeEach(async function () {
+          const { logs } = await this.ampExtension.reinstateCollateralManager(
+            cmanager,
+            {
+              from: owner,
+            }
+          )
+          this.logs = logs
+        })
+
+        it('reinstates the collateral manager', async function () {
+          assert.isFalse(await this.amp.isCollateralManagerSuspended(cmanager))
+        })
+
+        it('emits a CollateralManagerReinstated event', async function () {
+          assert.equal(this.logs.length, 1)
+          assert.equal(this.logs[0].event, Events.CollateralManagerReinstated)
+          assert.equal(this.logs[0].args.collateralManager, cmanager)
+        })
+      })
+
+      describe('when the caller is not the contract owner', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.reinstateCollateralManager(cmanager, {
+              from: unknown,
+            })
+          )
+        })
+      })
+    })
+
+    describe('when the collateral manager is not suspended', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.reinstateCollateralManager(cmanager, {
+            from: owner,
+          })
+        )
+      })
+    })
+  })
+
+  describe('setCollateralManagerMetadataURI', function () {
+    describe('when the caller is a collateral manager', function () {
+      beforeEach(async function () {
+        await this.amp.registerCollateralManager({ from: cmanager })
+
+        const {
+          logs,
+        } = await this.ampExtension.setCollateralManagerMetadataURI(
+          METADATA_URI,
+          { from: cmanager }
+        )
+        this.logs = logs
+      })
+
+      it('sets the metadata URI of the caller', async function () {
+        assert.equal(
+          await this.ampExtension.collateralManagerMetadataURI(cmanager),
+          METADATA_URI
+        )
+        assert.equal(
+          await this.ampExtension.collateralManagerMetadataURI(cmanager2),
+          ''
+        )
+      })
+
+      it('emits a CollateralManagerMetadataUpdate event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.CollateralManagerMetadataUpdate)
+        assert.equal(this.logs[0].args.collateralManager, cmanager)
+        assert.equal(this.logs[0].args.metadataURI, METADATA_URI)
+      })
+    })
+
+    describe('when the caller is not a collateral manager', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.setCollateralManagerMetadataURI(METADATA_URI, {
+            from: unknown,
+          })
+        )
+      })
+    })
+  })
+
+  describe('when a collateral manager is suspended', function () {
+    beforeEach(async function () {
+      const holderValidator = await HolderCollateralPartitionValidator.new(
+        this.amp.address
+      )
+      await this.harness.setPartitionStrategy(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        holderValidator.address,
+        { from: owner }
+      )
+      const poolValidator = await CollateralPoolPartitionValidator.new(
+        this.amp.address
+      )
+      await this.harness.setPartitionStrategy(
+        PARTITION_FLAG_COLLATERAL_POOL,
+        poolValidator.address,
+        { from: owner }
+      )
+
+      await this.harness.mockSwap(tokenHolder, issuanceAmount)
+      await this.amp.registerCollateralManager({ from: cmanager })
+
+      this.holderPartition = formatCollateralPartition(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        cmanager
+      )
+      this.poolPartition = formatCollateralPartition(
+        PARTITION_FLAG_COLLATERAL_POOL,
+        cmanager
+      )
+
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        tokenHolder,
+        supplyAmount,
+        concatHexData(FLAG_CHANGE_PARTITION, this.holderPartition),
+        ZERO_BYTE,
+        { from: tokenHolder }
+      )
+
+      await this.ampExtension.suspendCollateralManager(cmanager, {
+        from: owner,
+      })
+    })
+
+    it('refuses transfers into its holder collateral partitions', async function () {
+      await shouldFail.reverting(
+        this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.holderPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+      )
+    })
+
+    it('refuses transfers into its collateral pool partitions', async function () {
+      await shouldFail.reverting(
+        this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          cmanager,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.poolPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+      )
+    })
+
+    it('allows transfers out of its partitions', async function () {
+      await this.amp.transferByPartition(
+        this.holderPartition,
+        tokenHolder,
+        tokenHolder,
+        supplyAmount,
+        concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+        ZERO_BYTE,
+        { from: cmanager }
+      )
+
+      await this.harness.assertBalanceOfByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        issuanceAmount
+      )
+    })
+
+    describe('when the collateral manager is reinstated', function () {
+      it('accepts transfers into its partitions', async function () {
+        await this.ampExtension.reinstateCollateralManager(cmanager, {
+          from: owner,
+        })
+
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          cmanager,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.poolPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+
+        await this.harness.assertBalanceOfByPartition(
+          this.poolPartition,
+          cmanager,
+          supplyAmount
+        )
+      })
+    })
+  })
+
+  describe('when registrations require approval', function () {
+    beforeEach(async function () {
+      const {
+        logs,
+      } = await this.ampExtension.setCollateralManagerApprovalRequired(true, {
+        from: owner,
+      })
+      this.logs = logs
+
+      const role = await this.amp.MANAGER_APPROVER_ROLE()
+      await this.ampExtension.grantRole(role, approver, { from: owner })
+    })
+
+    it('emits a CollateralManagerApprovalRequiredUpdate event', async function () {
+      assert.isTrue(await this.amp.collateralManagerApprovalRequired())
+      assert.equal(this.logs.length, 1)
+      assert.equal(
+        this.logs[0].event,
+        Events.CollateralManagerApprovalRequiredUpdate
+      )
+      assert.isTrue(this.logs[0].args.required)
+    })
+
+    it('reverts direct registrations', async function () {
+      await shouldFail.reverting(
+        this.amp.registerCollateralManager({ from: cmanager })
+      )
+    })
+
+    describe('requestCollateralManagerRegistration', function () {
+      beforeEach(async function () {
+        const {
+          logs,
+        } = await this.ampExtension.requestCollateralManagerRegistration({
+          from: cmanager,
+        })
+        this.logs = logs
+        await this.ampExtension.requestCollateralManagerRegistration({
+          from: cmanager2,
+        })
+      })
+
+      it('records the pending request', async function () {
+        assert.isFalse(await this.amp.isCollateralManager(cmanager))
+        assert.isTrue(
+          await this.ampExtension.isCollateralManagerRegistrationPending(
+            cmanager
+          )
+        )
+        assert.equal(await this.ampExtension.pendingCollateralManagerCount(), 2)
+        assert.deepEqual(
+          await this.ampExtension.getPendingCollateralManagers(0, 10),
+          [cmanager, cmanager2]
+        )
+        assert.deepEqual(
+          await this.ampExtension.getPendingCollateralManagers(1, 1),
+          [cmanager2]
+        )
+      })
+
+      it('emits a CollateralManagerRegistrationRequested event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(
+          this.logs[0].event,
+          Events.CollateralManagerRegistrationRequested
+        )
+        assert.equal(this.logs[0].args.collateralManager, cmanager)
+      })
+
+      describe('when the request is already pending', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.requestCollateralManagerRegistration({
+              from: cmanager,
+            })
+          )
+        })
+      })
+
+      describe('approveCollateralManagerRegistration', function () {
+        describe('when the caller is an approver', function () {
+          beforeEach(async function () {
+            const {
+              logs,
+            } = await this.ampExtension.approveCollateralManagerRegistration(
+              cmanager,
+              { from: approver }
+            )
+            this.logs = logs
+          })
+
+          it('registers the collateral manager', async function () {
+            assert.isTrue(await this.amp.isCollateralManager(cmanager))
+            assert.isFalse(
+              await this.ampExtension.isCollateralManagerRegistrationPending(
+                cmanager
+              )
+            )
+            assert.deepEqual(
+              await this.ampExtension.getPendingCollateralManagers(0, 10),
+              [cmanager2]
+            )
+          })
+
+          it('emits CollateralManagerRegistered and CollateralManagerRegistrationApproved events', async function () {
+            assert.equal(this.logs.length, 2)
+            assert.equal(this.logs[0].event, Events.CollateralManagerRegistered)
+            assert.equal(this.logs[0].args.collateralManager, cmanager)
+            assert.equal(
+              this.logs[1].event,
+              Events.CollateralManagerRegistrationApproved
+            )
+            assert.equal(this.logs[1].args.collateralManager, cmanager)
+            assert.equal(this.logs[1].args.approver, approver)
+          })
+        })
+
+        describe('when the caller is the contract owner', function () {
+          it('registers the collateral manager', async function () {
+            await this.ampExtension.approveCollateralManagerRegistration(
+              cmanager2,
+              { from: owner }
+            )
+
+            assert.isTrue(await this.amp.isCollateralManager(cmanager2))
+          })
+        })
+
+        describe('when the caller is not an approver', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.ampExtension.approveCollateralManagerRegistration(cmanager, {
+                from: unknown,
+              })
+            )
+          })
+        })
+
+        describe('when the approver role has been revoked', function () {
+          it('reverts', async function () {
+            const role = await this.amp.MANAGER_APPROVER_ROLE()
+            await this.ampExtension.revokeRole(role, approver, { from: owner })
+
+            await shouldFail.reverting(
+              this.ampExtension.approveCollateralManagerRegistration(cmanager, {
+                from: approver,
+              })
+            )
+          })
+        })
+
+        describe('when the registration was not requested', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.ampExtension.approveCollateralManagerRegistration(
+                cmanager3,
+                { from: approver }
+              )
+            )
+          })
+        })
+      })
+
+      describe('rejectCollateralManagerRegistration', function () {
+        describe('when the caller is an approver', function () {
+          beforeEach(async function () {
+            const {
+              logs,
+            } = await this.ampExtension.rejectCollateralManagerRegistration(
+              cmanager,
+              { from: approver }
+            )
+            this.logs = logs
+          })
+
+          it('removes the pending request', async function () {
+            assert.isFalse(await this.amp.isCollateralManager(cmanager))
+            assert.isFalse(
+              await this.ampExtension.isCollateralManagerRegistrationPending(
+                cmanager
+              )
+            )
+            assert.equal(
+              await this.ampExtension.pendingCollateralManagerCount(),
+              1
+            )
+          })
+
+          it('emits a CollateralManagerRegistrationRejected event', async function () {
+            assert.equal(this.logs.length, 1)
+            assert.equal(
+              this.logs[0].event,
+              Events.CollateralManagerRegistrationRejected
+            )
+            assert.equal(this.logs[0].args.collateralManager, cmanager)
+            assert.equal(this.logs[0].args.approver, approver)
+          })
+        })
+
+        describe('when the caller is not an approver', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.ampExtension.rejectCollateralManagerRegistration(cmanager, {
+                from: unknown,
+              })
+            )
+          })
+        })
+      })
+    })
+
+    describe('when the requirement is disabled', function () {
+      it('allows direct registrations', async function () {
+        await this.ampExtension.setCollateralManagerApprovalRequired(false, {
+          from: owner,
+        })
+        await this.amp.registerCollateralManager({ from: cmanager })
+
+        assert.isTrue(await this.amp.isCollateralManager(cmanager))
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.setCollateralManagerApprovalRequired(false, {
+            from: unknown,
+          })
+        )
+      })
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { Constants } from './utils'
+
+const { ZERO_ADDRESS } = Constants
+
+const Amp = artifacts.require('Amp')
+const AmpExtension = artifacts.require('AmpExtension')
+const MockFXC = artifacts.require('MockFXC')
+
+const METADATA_URI = 'ipfs://QmManagerMetadata'
+
+// State variables declared by `contractName` and its bases, other than AmpBase
+// and its own bases, which hold the storage shared by Amp and AmpExtension.
+const storageOutsideAmpBase = (contractName) => {
+  const definition = artifacts
+    .require(contractName)
+    .ast.nodes.find(
+      (node) =>
+        node.nodeType === 'ContractDefinition' && node.name === contractName
+    )
+  const variables = definition.nodes
+    .filter(
+      (node) =>
+        node.nodeType === 'VariableDeclaration' && node.mutability === 'mutable'
+    )
+    .map((node) => `${contractName}.${node.name}`)
+
+  return definition.baseContracts
+    .map((base) => base.baseName.name)
+    .filter((name) => name !== 'AmpBase')
+    .reduce((all, name) => all.concat(storageOutsideAmpBase(name)), variables)
+}
+
+contract('Amp: Extension', function ([owner, cmanager]) {
+  beforeEach(async function () {
+    this.fxc = await MockFXC.new()
+    this.extension = await AmpExtension.new()
+    this.amp = await Amp.new(
+      this.fxc.address,
+      'Amp',
+      'AMP',
+      this.extension.address
+    )
+    this.ampExtension = await AmpExtension.at(this.amp.address)
+  })
+
+  describe('extension', function () {
+    it('returns the extension set at deployment', async function () {
+      assert.equal(await this.amp.extension(), this.extension.address)
+    })
+
+    it('executes the functions of the extension in the storage of Amp', async function () {
+      await this.amp.registerCollateralManager({ from: cmanager })
+      await this.ampExtension.setCollateralManagerMetadataURI(METADATA_URI, {
+        from: cmanager,
+      })
+
+      assert.equal(
+        await this.ampExtension.collateralManagerMetadataURI(cmanager),
+        METADATA_URI
+      )
+      assert.equal(
+        await this.extension.collateralManagerMetadataURI(cmanager),
+        ''
+      )
+    })
+
+    it('executes the functions of the extension from a multicall', async function () {
+      await this.amp.multicall(
+        [
+          this.amp.contract.methods.registerCollateralManager().encodeABI(),
+          this.ampExtension.contract.methods
+            .setCollateralManagerMetadataURI(METADATA_URI)
+            .encodeABI(),
+        ],
+        { from: cmanager }
+      )
+
+      assert.equal(
+        await this.ampExtension.collateralManagerMetadataURI(cmanager),
+        METADATA_URI
+      )
+    })
+
+    describe('when the extension address is zero', function () {
+      it('reverts the deployment', async function () {
+        await shouldFail.reverting(
+          Amp.new(this.fxc.address, 'Amp', 'AMP', ZERO_ADDRESS)
+        )
+      })
+    })
+  })
+
+  describe('storage layout', function () {
+    for (const contractName of [
+      'Amp',
+      'AmpExtension',
+      'MockAmpWithoutHolderIndex',
+    ]) {
+      it(`keeps the storage of ${contractName} in AmpBase`, async function () {
+        assert.deepEqual(storageOutsideAmpBase(contractName), [])
+      })
+    }
+  })
+})
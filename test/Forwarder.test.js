@@ -0,0 +1,421 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const {
+  ALT_PARTITION_1,
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_ADDRESS,
+  ZERO_BYTE,
+} = Constants
+const { concatHexData, formatCollateralPartition } = Helpers
+
+const MinimalForwarder = artifacts.require('MinimalForwarder')
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+
+const GAS = 1000000
+const issuanceAmount = 1000
+const transferAmount = 400
+
+contract('Amp: Trusted forwarder', function ([
+  owner,
+  tokenHolder,
+  relayer,
+  recipient,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.forwarder = await MinimalForwarder.new()
+    this.signer = web3.eth.accounts.create()
+  })
+
+  const forward = async function (context, signer, data) {
+    const hash = await context.forwarder.hashRequest(
+      signer.address,
+      context.amp.address,
+      0,
+      GAS,
+      data
+    )
+    const { signature } = web3.eth.accounts.sign(hash, signer.privateKey)
+    return context.forwarder.execute(
+      signer.address,
+      context.amp.address,
+      0,
+      GAS,
+      data,
+      signature,
+      { from: relayer }
+    )
+  }
+
+  describe('setTrustedForwarder', function () {
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.harness.setTrustedForwarder(
+          this.forwarder.address,
+          { from: owner }
+        )
+        this.logs = logs
+      })
+
+      it('sets the trusted forwarder', async function () {
+        assert.equal(await this.amp.trustedForwarder(), this.forwarder.address)
+        assert.isTrue(await this.amp.isTrustedForwarder(this.forwarder.address))
+        assert.isFalse(await this.amp.isTrustedForwarder(unknown))
+      })
+
+      it('emits a TrustedForwarderUpdate event', async function () {
+        const event = this.logs.find(
+          (log) => log.event === Events.TrustedForwarderUpdate
+        )
+        assert.equal(event.args.oldValue, ZERO_ADDRESS)
+        assert.equal(event.args.newValue, this.forwarder.address)
+      })
+
+      describe('when the forwarder is reset to the zero address', function () {
+        it('disables the forwarder', async function () {
+          await this.harness.setTrustedForwarder(ZERO_ADDRESS, { from: owner })
+
+          assert.isFalse(
+            await this.amp.isTrustedForwarder(this.forwarder.address)
+          )
+          assert.isFalse(await this.amp.isTrustedForwarder(ZERO_ADDRESS))
+        })
+      })
+    })
+
+    describe('when the call is not timelocked', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.setTrustedForwarder(this.forwarder.address, {
+            from: owner,
+          })
+        )
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.harness.setTrustedForwarder(this.forwarder.address, {
+            from: unknown,
+          })
+        )
+      })
+    })
+  })
+
+  describe('when calls are relayed by the trusted forwarder', function () {
+    beforeEach(async function () {
+      await this.harness.setTrustedForwarder(this.forwarder.address, {
+        from: owner,
+      })
+
+      await this.harness.mockSwap(tokenHolder, issuanceAmount)
+      await this.amp.transfer(this.signer.address, issuanceAmount, {
+        from: tokenHolder,
+      })
+    })
+
+    describe('transferByPartition', function () {
+      beforeEach(async function () {
+        const data = this.amp.contract.methods
+          .transferByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE
+          )
+          .encodeABI()
+        const { receipt } = await forward(this, this.signer, data)
+        this.receipt = receipt
+      })
+
+      it('transfers the tokens of the signer', async function () {
+        await this.harness.assertBalanceOf(
+          this.signer.address,
+          issuanceAmount - transferAmount
+        )
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+      })
+
+      it('reports the signer as the operator', async function () {
+        const events = await this.amp.getPastEvents(
+          Events.TransferByPartition,
+          { fromBlock: this.receipt.blockNumber }
+        )
+        assert.equal(events.length, 1)
+        assert.equal(events[0].args.operator, this.signer.address)
+        assert.equal(events[0].args.from, this.signer.address)
+      })
+
+      it('increments the forwarder nonce of the signer', async function () {
+        assert.equal(await this.forwarder.nonces(this.signer.address), 1)
+      })
+    })
+
+    describe('when the signer spends an allowance', function () {
+      beforeEach(async function () {
+        await this.harness.mockSwap(recipient, issuanceAmount)
+        await this.amp.approveByPartition(
+          DEFAULT_PARTITION,
+          this.signer.address,
+          transferAmount,
+          { from: recipient }
+        )
+
+        const data = this.amp.contract.methods
+          .transferByPartition(
+            DEFAULT_PARTITION,
+            recipient,
+            unknown,
+            transferAmount - 1,
+            ZERO_BYTE,
+            ZERO_BYTE
+          )
+          .encodeABI()
+        await forward(this, this.signer, data)
+      })
+
+      it('transfers the tokens', async function () {
+        await this.harness.assertBalanceOf(unknown, transferAmount - 1)
+      })
+
+      it('decreases the allowance of the signer', async function () {
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            recipient,
+            this.signer.address
+          ),
+          1
+        )
+      })
+    })
+
+    describe('authorizeOperator', function () {
+      it('authorizes the operator for the signer', async function () {
+        const data = this.amp.contract.methods
+          .authorizeOperator(unknown)
+          .encodeABI()
+        await forward(this, this.signer, data)
+
+        assert.isTrue(await this.amp.isOperator(unknown, this.signer.address))
+        assert.isFalse(
+          await this.amp.isOperator(unknown, this.forwarder.address)
+        )
+      })
+    })
+
+    describe('approveByPartition', function () {
+      beforeEach(async function () {
+        const data = this.amp.contract.methods
+          .approveByPartition(DEFAULT_PARTITION, unknown, transferAmount)
+          .encodeABI()
+        await forward(this, this.signer, data)
+      })
+
+      it('sets the allowance of the signer', async function () {
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            unknown
+          ),
+          transferAmount
+        )
+      })
+
+      it('lets the spender transfer from the signer', async function () {
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          this.signer.address,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: unknown }
+        )
+
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            unknown
+          ),
+          0
+        )
+      })
+    })
+
+    describe('swap', function () {
+      it('reports the signer as the operator', async function () {
+        await this.harness.fxc.mint(tokenHolder, issuanceAmount, {
+          from: owner,
+        })
+        await this.harness.fxc.approve(this.amp.address, issuanceAmount, {
+          from: tokenHolder,
+        })
+
+        const data = this.amp.contract.methods.swap(tokenHolder).encodeABI()
+        const { receipt } = await forward(this, this.signer, data)
+
+        const events = await this.amp.getPastEvents(Events.Swap, {
+          fromBlock: receipt.blockNumber,
+        })
+        assert.equal(events.length, 1)
+        assert.equal(events[0].args.operator, this.signer.address)
+        assert.equal(events[0].args.from, tokenHolder)
+      })
+    })
+
+    describe('registerCollateralManager', function () {
+      beforeEach(async function () {
+        const data = this.amp.contract.methods
+          .registerCollateralManager()
+          .encodeABI()
+        await forward(this, this.signer, data)
+      })
+
+      it('registers the signer', async function () {
+        assert.isTrue(await this.amp.isCollateralManager(this.signer.address))
+        assert.isFalse(
+          await this.amp.isCollateralManager(this.forwarder.address)
+        )
+      })
+
+      describe('when the signer transfers from its holder collateral partition', function () {
+        beforeEach(async function () {
+          const validator = await HolderCollateralPartitionValidator.new(
+            this.amp.address
+          )
+          await this.harness.setPartitionStrategy(
+            PARTITION_FLAG_HOLDER_COLLATERAL,
+            validator.address,
+            { from: owner }
+          )
+
+          this.collateralPartition = formatCollateralPartition(
+            PARTITION_FLAG_HOLDER_COLLATERAL,
+            this.signer.address,
+            ''
+          )
+
+          await this.harness.mockSwap(recipient, issuanceAmount)
+          await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            recipient,
+            recipient,
+            transferAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+            ZERO_BYTE,
+            { from: recipient }
+          )
+        })
+
+        it('is treated as the operator by the partition strategy', async function () {
+          const data = this.amp.contract.methods
+            .transferByPartition(
+              this.collateralPartition,
+              recipient,
+              recipient,
+              transferAmount,
+              concatHexData(FLAG_CHANGE_PARTITION, ALT_PARTITION_1),
+              ZERO_BYTE
+            )
+            .encodeABI()
+          await forward(this, this.signer, data)
+
+          await this.harness.assertBalanceOfByPartition(
+            this.collateralPartition,
+            recipient,
+            0
+          )
+          await this.harness.assertBalanceOfByPartition(
+            ALT_PARTITION_1,
+            recipient,
+            transferAmount
+          )
+        })
+      })
+    })
+
+    describe('when the signature does not match the request', function () {
+      it('reverts', async function () {
+        const other = web3.eth.accounts.create()
+        const data = this.amp.contract.methods
+          .authorizeOperator(unknown)
+          .encodeABI()
+        const hash = await this.forwarder.hashRequest(
+          this.signer.address,
+          this.amp.address,
+          0,
+          GAS,
+          data
+        )
+        const { signature } = web3.eth.accounts.sign(hash, other.privateKey)
+
+        await shouldFail.reverting(
+          this.forwarder.execute(
+            this.signer.address,
+            this.amp.address,
+            0,
+            GAS,
+            data,
+            signature,
+            { from: relayer }
+          )
+        )
+      })
+    })
+  })
+
+  describe('when calls are relayed by an untrusted forwarder', function () {
+    beforeEach(async function () {
+      await this.harness.mockSwap(tokenHolder, issuanceAmount)
+      await this.amp.transfer(this.signer.address, issuanceAmount, {
+        from: tokenHolder,
+      })
+    })
+
+    it('treats the forwarder as the sender', async function () {
+      const data = this.amp.contract.methods
+        .authorizeOperator(unknown)
+        .encodeABI()
+      await forward(this, this.signer, data)
+
+      assert.isFalse(await this.amp.isOperator(unknown, this.signer.address))
+      assert.isTrue(await this.amp.isOperator(unknown, this.forwarder.address))
+    })
+
+    it('does not transfer the tokens of the signer', async function () {
+      const data = this.amp.contract.methods
+        .transferByPartition(
+          DEFAULT_PARTITION,
+          this.signer.address,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE
+        )
+        .encodeABI()
+
+      await shouldFail.reverting(forward(this, this.signer, data))
+      await this.harness.assertBalanceOf(this.signer.address, issuanceAmount)
+    })
+  })
+})
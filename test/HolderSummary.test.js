@@ -0,0 +1,139 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers } from './utils'
+
+const {
+  DEFAULT_PARTITION,
+  ALT_PARTITION_1,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+} = Constants
+const { concatHexData } = Helpers
+
+const issuanceAmount = 1000
+const transferAmount = 100
+
+contract('Amp: Holder Summary', function ([
+  owner,
+  tokenHolder,
+  tokenHolder2,
+  operator,
+  spender,
+  spender2,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    await this.harness.mockSwap(tokenHolder2, issuanceAmount)
+
+    await this.amp.transferByPartition(
+      DEFAULT_PARTITION,
+      tokenHolder,
+      tokenHolder,
+      transferAmount,
+      concatHexData(FLAG_CHANGE_PARTITION, ALT_PARTITION_1),
+      ZERO_BYTE,
+      { from: tokenHolder }
+    )
+  })
+
+  describe('balancesOfByPartitions', function () {
+    it('returns the balance of each holder in each partition', async function () {
+      const balances = await this.ampExtension.balancesOfByPartitions(
+        [tokenHolder, tokenHolder2],
+        [DEFAULT_PARTITION, ALT_PARTITION_1]
+      )
+
+      assert.deepEqual(
+        balances.map((row) => row.map((balance) => balance.toString())),
+        [
+          [`${issuanceAmount - transferAmount}`, `${transferAmount}`],
+          [`${issuanceAmount}`, '0'],
+        ]
+      )
+    })
+
+    describe('when too many balances are requested', function () {
+      it('reverts', async function () {
+        const holders = Array.from(
+          { length: 26 },
+          () => web3.eth.accounts.create().address
+        )
+        const partitions = Array(20).fill(DEFAULT_PARTITION)
+
+        await shouldFail.reverting(
+          this.ampExtension.balancesOfByPartitions(holders, partitions)
+        )
+      })
+    })
+  })
+
+  describe('holderSummary', function () {
+    describe('when the holder has no allowances nor operators', function () {
+      it('returns the partitions and balances of the holder', async function () {
+        const summary = await this.ampExtension.holderSummary(tokenHolder)
+
+        assert.deepEqual(summary.partitions, [
+          DEFAULT_PARTITION,
+          ALT_PARTITION_1,
+        ])
+        assert.deepEqual(
+          summary.balances.map((balance) => balance.toString()),
+          [`${issuanceAmount - transferAmount}`, `${transferAmount}`]
+        )
+        assert.deepEqual(summary.hasOperatorsByPartition, [false, false])
+        assert.equal(summary.partitionCount, 2)
+        assert.equal(summary.allowanceCount, 0)
+        assert.isFalse(summary.hasOperators)
+      })
+    })
+
+    describe('when the holder has allowances and operators', function () {
+      beforeEach(async function () {
+        await this.amp.approve(spender, 100, { from: tokenHolder })
+        await this.amp.approve(spender2, 100, { from: tokenHolder })
+        await this.amp.approveByPartition(ALT_PARTITION_1, spender, 100, {
+          from: tokenHolder,
+        })
+        await this.amp.authorizeOperator(operator, { from: tokenHolder })
+        await this.amp.authorizeOperatorByPartition(ALT_PARTITION_1, operator, {
+          from: tokenHolder,
+        })
+      })
+
+      it('returns the default partition allowance count and operator flags', async function () {
+        const summary = await this.ampExtension.holderSummary(tokenHolder)
+
+        assert.deepEqual(summary.hasOperatorsByPartition, [false, true])
+        assert.equal(summary.allowanceCount, 2)
+        assert.isTrue(summary.hasOperators)
+      })
+
+      describe('when an allowance is reset', function () {
+        it('decreases the allowance count', async function () {
+          await this.amp.decreaseAllowance(spender2, 100, { from: tokenHolder })
+
+          const summary = await this.ampExtension.holderSummary(tokenHolder)
+          assert.equal(summary.allowanceCount, 1)
+        })
+      })
+
+      describe('when an allowance is spent', function () {
+        it('decreases the allowance count', async function () {
+          await this.amp.transferFrom(tokenHolder, spender, 100, {
+            from: spender,
+          })
+
+          const summary = await this.ampExtension.holderSummary(tokenHolder)
+          assert.equal(summary.allowanceCount, 1)
+        })
+      })
+    })
+  })
+})
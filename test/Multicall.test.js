@@ -0,0 +1,220 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers } from './utils'
+
+const {
+  ALT_PARTITION_1,
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+} = Constants
+const { assertRevertErrCode, concatHexData } = Helpers
+
+const MinimalForwarder = artifacts.require('MinimalForwarder')
+const MockRevertingAmpTokensRecipient = artifacts.require(
+  'MockRevertingAmpTokensRecipient'
+)
+
+const issuanceAmount = 1000
+const GAS = 1000000
+
+contract('Amp: Multicall', function ([
+  owner,
+  tokenHolder,
+  operator,
+  spender,
+  relayer,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+  })
+
+  describe('multicall', function () {
+    describe('when all of the calls succeed', function () {
+      beforeEach(async function () {
+        this.calls = [
+          this.amp.contract.methods
+            .transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              tokenHolder,
+              400,
+              concatHexData(FLAG_CHANGE_PARTITION, ALT_PARTITION_1),
+              ZERO_BYTE
+            )
+            .encodeABI(),
+          this.amp.contract.methods
+            .authorizeOperatorByPartition(ALT_PARTITION_1, operator)
+            .encodeABI(),
+          this.amp.contract.methods
+            .approveByPartition(ALT_PARTITION_1, spender, 100)
+            .encodeABI(),
+        ]
+      })
+
+      it('executes each call on behalf of the caller', async function () {
+        await this.amp.multicall(this.calls, { from: tokenHolder })
+
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          400
+        )
+        assert.isTrue(
+          await this.amp.isOperatorForPartition(
+            ALT_PARTITION_1,
+            operator,
+            tokenHolder
+          )
+        )
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            ALT_PARTITION_1,
+            tokenHolder,
+            spender
+          ),
+          100
+        )
+      })
+
+      it('returns the data returned by each call', async function () {
+        const results = await this.amp.multicall.call(this.calls, {
+          from: tokenHolder,
+        })
+
+        assert.equal(results.length, 3)
+        assert.equal(
+          web3.eth.abi.decodeParameter('bytes32', results[0]),
+          ALT_PARTITION_1
+        )
+        assert.equal(results[1], ZERO_BYTE)
+        assert.isTrue(web3.eth.abi.decodeParameter('bool', results[2]))
+      })
+    })
+
+    describe('when one of the calls fails', function () {
+      it('reverts with the index and reason of the failing call', async function () {
+        const calls = [
+          this.amp.contract.methods.authorizeOperator(operator).encodeABI(),
+          this.amp.contract.methods
+            .transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              unknown,
+              issuanceAmount + 1,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+            .encodeABI(),
+        ]
+
+        // Revert strings of Amp are stripped at compile time, so only the
+        // index of the failing call is reported.
+        await assertRevertErrCode(
+          this.amp.multicall(calls, { from: tokenHolder }),
+          '1:'
+        )
+        assert.isFalse(await this.amp.isOperator(operator, tokenHolder))
+      })
+    })
+
+    describe('when one of the calls reverts without an error reason', function () {
+      it('reverts with the index of the failing call', async function () {
+        const recipient = await MockRevertingAmpTokensRecipient.new()
+        const calls = [
+          this.amp.contract.methods
+            .transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient.address,
+              100,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+            .encodeABI(),
+        ]
+
+        await assertRevertErrCode(
+          this.amp.multicall(calls, { from: tokenHolder }),
+          '0:'
+        )
+      })
+    })
+
+    describe('when the caller is not permitted to make one of the calls', function () {
+      it('reverts', async function () {
+        const calls = [
+          this.amp.contract.methods
+            .transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              unknown,
+              100,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+            .encodeABI(),
+        ]
+
+        await shouldFail.reverting(this.amp.multicall(calls, { from: unknown }))
+        await this.harness.assertBalanceOf(tokenHolder, issuanceAmount)
+      })
+    })
+
+    describe('when relayed by the trusted forwarder', function () {
+      it('executes each call on behalf of the signer', async function () {
+        const forwarder = await MinimalForwarder.new()
+        await this.harness.setTrustedForwarder(forwarder.address, {
+          from: owner,
+        })
+
+        const signer = web3.eth.accounts.create()
+        await this.amp.transfer(signer.address, issuanceAmount, {
+          from: tokenHolder,
+        })
+
+        const data = this.amp.contract.methods
+          .multicall([
+            this.amp.contract.methods.authorizeOperator(operator).encodeABI(),
+            this.amp.contract.methods
+              .transferByPartition(
+                DEFAULT_PARTITION,
+                signer.address,
+                unknown,
+                100,
+                ZERO_BYTE,
+                ZERO_BYTE
+              )
+              .encodeABI(),
+          ])
+          .encodeABI()
+        const hash = await forwarder.hashRequest(
+          signer.address,
+          this.amp.address,
+          0,
+          GAS,
+          data
+        )
+        const { signature } = web3.eth.accounts.sign(hash, signer.privateKey)
+        await forwarder.execute(
+          signer.address,
+          this.amp.address,
+          0,
+          GAS,
+          data,
+          signature,
+          { from: relayer }
+        )
+
+        assert.isTrue(await this.amp.isOperator(operator, signer.address))
+        await this.harness.assertBalanceOf(unknown, 100)
+      })
+    })
+  })
+})
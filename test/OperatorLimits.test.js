@@ -0,0 +1,476 @@
+import { shouldFail, time } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const {
+  DEFAULT_PARTITION,
+  ALT_PARTITION_1,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+  ZERO_BYTES32,
+  ESC_51_TRANSFER_SUCCESS,
+  ESC_53_INSUFFICIENT_ALLOWANCE,
+} = Constants
+const { assertEscResponse, concatHexData, formatCollateralPartition } = Helpers
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+
+const issuanceAmount = 1000
+const cap = 300
+const PERIOD = 24 * 60 * 60
+
+contract('Amp: Operator Limits', function ([
+  owner,
+  tokenHolder,
+  operator,
+  recipient,
+  cmanager,
+  keeper,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+  })
+
+  describe('authorizeOperatorWithLimits', function () {
+    describe('when the expiry is in the future', function () {
+      beforeEach(async function () {
+        this.expiry = (await time.latest()).addn(PERIOD)
+        const {
+          logs,
+        } = await this.ampExtension.authorizeOperatorWithLimits(
+          operator,
+          this.expiry,
+          cap,
+          { from: tokenHolder }
+        )
+        this.logs = logs
+      })
+
+      it('authorizes the operator with the limits', async function () {
+        assert.isTrue(await this.amp.isOperator(operator, tokenHolder))
+
+        const limit = await this.ampExtension.operatorLimit(
+          operator,
+          tokenHolder
+        )
+        assert.equal(limit.expiry.toString(), this.expiry.toString())
+        assert.isTrue(limit.capped)
+        assert.equal(limit.remaining, cap)
+      })
+
+      it('emits AuthorizedOperator and OperatorLimitUpdate events', async function () {
+        assert.equal(this.logs.length, 2)
+        assert.equal(this.logs[0].event, Events.AuthorizedOperator)
+        assert.equal(this.logs[0].args.operator, operator)
+        assert.equal(this.logs[0].args.tokenHolder, tokenHolder)
+        assert.equal(this.logs[1].event, Events.OperatorLimitUpdate)
+        assert.equal(this.logs[1].args.operator, operator)
+        assert.equal(this.logs[1].args.tokenHolder, tokenHolder)
+        assert.equal(
+          this.logs[1].args.expiry.toString(),
+          this.expiry.toString()
+        )
+        assert.equal(this.logs[1].args.cap, cap)
+      })
+
+      describe('when the operator transfers within the cap', function () {
+        beforeEach(async function () {
+          await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            100,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+        })
+
+        it('transfers the tokens and reduces the remaining cap', async function () {
+          await this.harness.assertBalanceOf(recipient, 100)
+
+          const limit = await this.ampExtension.operatorLimit(
+            operator,
+            tokenHolder
+          )
+          assert.equal(limit.remaining, cap - 100)
+        })
+
+        it('reverts transfers above the remaining cap', async function () {
+          await shouldFail.reverting(
+            this.amp.transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              cap - 99,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: operator }
+            )
+          )
+        })
+      })
+
+      describe('when the operator exhausts the cap', function () {
+        beforeEach(async function () {
+          await this.amp.burnByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            cap,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+        })
+
+        it('is no longer an operator', async function () {
+          assert.isFalse(await this.amp.isOperator(operator, tokenHolder))
+          await shouldFail.reverting(
+            this.amp.transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              1,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: operator }
+            )
+          )
+        })
+      })
+
+      describe('when the authorization has expired', function () {
+        beforeEach(async function () {
+          await time.increase(PERIOD + 1)
+        })
+
+        it('is no longer an operator', async function () {
+          assert.isFalse(await this.amp.isOperator(operator, tokenHolder))
+          await shouldFail.reverting(
+            this.amp.transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              1,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: operator }
+            )
+          )
+        })
+      })
+
+      describe('when the operator is authorized again without limits', function () {
+        beforeEach(async function () {
+          await this.amp.authorizeOperator(operator, { from: tokenHolder })
+        })
+
+        it('removes the limits', async function () {
+          const limit = await this.ampExtension.operatorLimit(
+            operator,
+            tokenHolder
+          )
+          assert.equal(limit.expiry, 0)
+          assert.isFalse(limit.capped)
+
+          await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            cap + 1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+          await this.harness.assertBalanceOf(recipient, cap + 1)
+        })
+      })
+
+      describe('when the operator is revoked', function () {
+        it('removes the limits', async function () {
+          await this.amp.revokeOperator(operator, { from: tokenHolder })
+
+          assert.isFalse(await this.amp.isOperator(operator, tokenHolder))
+          const limit = await this.ampExtension.operatorLimit(
+            operator,
+            tokenHolder
+          )
+          assert.equal(limit.expiry, 0)
+          assert.isFalse(limit.capped)
+          assert.equal(limit.remaining, 0)
+        })
+      })
+    })
+
+    describe('when the expiry and cap are zero', function () {
+      it('authorizes the operator without limits', async function () {
+        await this.ampExtension.authorizeOperatorWithLimits(operator, 0, 0, {
+          from: tokenHolder,
+        })
+
+        await time.increase(PERIOD)
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          issuanceAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await this.harness.assertBalanceOf(recipient, issuanceAmount)
+      })
+    })
+
+    describe('when the expiry is in the past', function () {
+      it('reverts', async function () {
+        const expiry = (await time.latest()).subn(1)
+
+        await shouldFail.reverting(
+          this.ampExtension.authorizeOperatorWithLimits(operator, expiry, cap, {
+            from: tokenHolder,
+          })
+        )
+      })
+    })
+
+    describe('when the operator is the caller', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.authorizeOperatorWithLimits(tokenHolder, 0, cap, {
+            from: tokenHolder,
+          })
+        )
+      })
+    })
+  })
+
+  describe('authorizeOperatorByPartitionWithLimits', function () {
+    beforeEach(async function () {
+      const {
+        logs,
+      } = await this.ampExtension.authorizeOperatorByPartitionWithLimits(
+        DEFAULT_PARTITION,
+        operator,
+        0,
+        cap,
+        { from: tokenHolder }
+      )
+      this.logs = logs
+    })
+
+    it('authorizes the operator for the partition with the limits', async function () {
+      assert.isTrue(
+        await this.amp.isOperatorForPartition(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+      )
+      assert.isFalse(
+        await this.amp.isOperatorForPartition(
+          ALT_PARTITION_1,
+          operator,
+          tokenHolder
+        )
+      )
+
+      const limit = await this.ampExtension.operatorLimitByPartition(
+        DEFAULT_PARTITION,
+        operator,
+        tokenHolder
+      )
+      assert.equal(limit.expiry, 0)
+      assert.isTrue(limit.capped)
+      assert.equal(limit.remaining, cap)
+    })
+
+    it('emits AuthorizedOperatorByPartition and OperatorLimitByPartitionUpdate events', async function () {
+      assert.equal(this.logs.length, 2)
+      assert.equal(this.logs[0].event, Events.AuthorizedOperatorByPartition)
+      assert.equal(this.logs[1].event, Events.OperatorLimitByPartitionUpdate)
+      assert.equal(this.logs[1].args.partition, DEFAULT_PARTITION)
+      assert.equal(this.logs[1].args.operator, operator)
+      assert.equal(this.logs[1].args.tokenHolder, tokenHolder)
+      assert.equal(this.logs[1].args.expiry, 0)
+      assert.equal(this.logs[1].args.cap, cap)
+    })
+
+    it('reports transfers above the cap as not possible', async function () {
+      const withinCap = await this.amp.canTransferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        recipient,
+        cap,
+        ZERO_BYTE,
+        ZERO_BYTE,
+        { from: operator }
+      )
+      await assertEscResponse(
+        withinCap,
+        ESC_51_TRANSFER_SUCCESS,
+        ZERO_BYTES32,
+        DEFAULT_PARTITION
+      )
+
+      const aboveCap = await this.amp.canTransferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        recipient,
+        cap + 1,
+        ZERO_BYTE,
+        ZERO_BYTE,
+        { from: operator }
+      )
+      await assertEscResponse(
+        aboveCap,
+        ESC_53_INSUFFICIENT_ALLOWANCE,
+        ZERO_BYTES32,
+        DEFAULT_PARTITION
+      )
+    })
+
+    it('reduces the remaining cap on transfers', async function () {
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        recipient,
+        cap,
+        ZERO_BYTE,
+        ZERO_BYTE,
+        { from: operator }
+      )
+
+      await this.harness.assertBalanceOf(recipient, cap)
+      assert.isFalse(
+        await this.amp.isOperatorForPartition(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+      )
+    })
+
+    describe('when the operator is revoked for the partition', function () {
+      it('removes the limits', async function () {
+        await this.amp.revokeOperatorByPartition(DEFAULT_PARTITION, operator, {
+          from: tokenHolder,
+        })
+
+        const limit = await this.ampExtension.operatorLimitByPartition(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.isFalse(limit.capped)
+        assert.equal(limit.remaining, 0)
+      })
+    })
+  })
+
+  describe('when a collateral manager authorizes a keeper with limits', function () {
+    beforeEach(async function () {
+      this.validator = await HolderCollateralPartitionValidator.new(
+        this.amp.address
+      )
+      await this.harness.setPartitionStrategy(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        this.validator.address,
+        { from: owner }
+      )
+      await this.amp.registerCollateralManager({ from: cmanager })
+
+      this.collateralPartition = formatCollateralPartition(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        cmanager
+      )
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        tokenHolder,
+        issuanceAmount,
+        concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+        ZERO_BYTE,
+        { from: tokenHolder }
+      )
+
+      await this.ampExtension.authorizeOperatorWithLimits(keeper, 0, cap, {
+        from: cmanager,
+      })
+      this.toDefaultPartition = concatHexData(
+        FLAG_CHANGE_PARTITION,
+        DEFAULT_PARTITION
+      )
+    })
+
+    it('reports keeper transfers above the cap as not possible', async function () {
+      const response = await this.amp.canTransferByPartition(
+        this.collateralPartition,
+        tokenHolder,
+        recipient,
+        cap + 1,
+        this.toDefaultPartition,
+        ZERO_BYTE,
+        { from: keeper }
+      )
+      await assertEscResponse(
+        response,
+        ESC_53_INSUFFICIENT_ALLOWANCE,
+        ZERO_BYTES32,
+        DEFAULT_PARTITION
+      )
+    })
+
+    it('reverts keeper transfers above the cap', async function () {
+      await shouldFail.reverting(
+        this.amp.transferByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          recipient,
+          issuanceAmount,
+          this.toDefaultPartition,
+          ZERO_BYTE,
+          { from: keeper }
+        )
+      )
+    })
+
+    it('reduces the remaining cap of the collateral manager on keeper transfers', async function () {
+      await this.amp.transferByPartition(
+        this.collateralPartition,
+        tokenHolder,
+        recipient,
+        100,
+        this.toDefaultPartition,
+        ZERO_BYTE,
+        { from: keeper }
+      )
+      await this.harness.assertBalanceOf(recipient, 100)
+
+      const limit = await this.ampExtension.operatorLimit(keeper, cmanager)
+      assert.equal(limit.remaining, cap - 100)
+
+      await shouldFail.reverting(
+        this.amp.transferByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          recipient,
+          cap - 99,
+          this.toDefaultPartition,
+          ZERO_BYTE,
+          { from: keeper }
+        )
+      )
+    })
+  })
+})
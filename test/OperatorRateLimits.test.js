@@ -0,0 +1,349 @@
+import { shouldFail, time, constants } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const {
+  DEFAULT_PARTITION,
+  ZERO_BYTE,
+  ZERO_BYTES32,
+  ESC_53_INSUFFICIENT_ALLOWANCE,
+} = Constants
+const { assertEscResponse } = Helpers
+const { MAX_UINT256 } = constants
+
+const issuanceAmount = 1000
+const rateLimit = 300
+const PERIOD = 24 * 60 * 60
+
+contract('Amp: Operator Rate Limits', function ([
+  owner,
+  tokenHolder,
+  operator,
+  spender,
+  recipient,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    await this.amp.authorizeOperator(operator, { from: tokenHolder })
+  })
+
+  describe('setOperatorRateLimit', function () {
+    describe('when the operator is not the caller', function () {
+      beforeEach(async function () {
+        const {
+          logs,
+        } = await this.ampExtension.setOperatorRateLimit(
+          DEFAULT_PARTITION,
+          operator,
+          rateLimit,
+          PERIOD,
+          { from: tokenHolder }
+        )
+        this.logs = logs
+      })
+
+      it('sets the rate limit', async function () {
+        const limit = await this.ampExtension.operatorRateLimit(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.equal(limit.amount, rateLimit)
+        assert.equal(limit.period, PERIOD)
+
+        const quota = await this.ampExtension.operatorRateLimitQuota(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.equal(quota.remaining, rateLimit)
+        assert.equal(quota.periodEnd, 0)
+      })
+
+      it('emits an OperatorRateLimitUpdate event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.OperatorRateLimitUpdate)
+        assert.equal(this.logs[0].args.partition, DEFAULT_PARTITION)
+        assert.equal(this.logs[0].args.operator, operator)
+        assert.equal(this.logs[0].args.tokenHolder, tokenHolder)
+        assert.equal(this.logs[0].args.amount, rateLimit)
+        assert.equal(this.logs[0].args.period, PERIOD)
+      })
+    })
+
+    describe('when the operator is the caller', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.setOperatorRateLimit(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            rateLimit,
+            PERIOD,
+            { from: tokenHolder }
+          )
+        )
+      })
+    })
+  })
+
+  describe('when a rate limit is set', function () {
+    beforeEach(async function () {
+      await this.ampExtension.setOperatorRateLimit(
+        DEFAULT_PARTITION,
+        operator,
+        rateLimit,
+        PERIOD,
+        { from: tokenHolder }
+      )
+    })
+
+    describe('when the operator transfers within the limit', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          100,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        this.logs = logs
+        this.periodEnd = (await time.latest()).addn(PERIOD)
+      })
+
+      it('transfers the tokens and reduces the remaining quota', async function () {
+        await this.harness.assertBalanceOf(recipient, 100)
+
+        const quota = await this.ampExtension.operatorRateLimitQuota(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.equal(quota.remaining, rateLimit - 100)
+        assert.equal(quota.periodEnd.toString(), this.periodEnd.toString())
+      })
+
+      it('does not emit an OperatorRateLimitReached event', async function () {
+        assert.isUndefined(
+          this.logs.find((log) => log.event === Events.OperatorRateLimitReached)
+        )
+      })
+
+      it('reverts transfers above the remaining quota', async function () {
+        await shouldFail.reverting(
+          this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            rateLimit - 99,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+        )
+      })
+
+      it('reports transfers above the remaining quota as not possible', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          rateLimit - 99,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await assertEscResponse(
+          response,
+          ESC_53_INSUFFICIENT_ALLOWANCE,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+
+      describe('when the operator transfers the remaining quota', function () {
+        beforeEach(async function () {
+          const { logs } = await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            rateLimit - 100,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+          this.logs = logs
+        })
+
+        it('emits an OperatorRateLimitReached event', async function () {
+          const event = this.logs.find(
+            (log) => log.event === Events.OperatorRateLimitReached
+          )
+          assert.equal(event.args.partition, DEFAULT_PARTITION)
+          assert.equal(event.args.operator, operator)
+          assert.equal(event.args.tokenHolder, tokenHolder)
+          assert.equal(
+            event.args.periodEnd.toString(),
+            this.periodEnd.toString()
+          )
+        })
+
+        describe('when the period has ended', function () {
+          beforeEach(async function () {
+            await time.increase(PERIOD + 1)
+          })
+
+          it('restores the quota', async function () {
+            const quota = await this.ampExtension.operatorRateLimitQuota(
+              DEFAULT_PARTITION,
+              operator,
+              tokenHolder
+            )
+            assert.equal(quota.remaining, rateLimit)
+            assert.equal(quota.periodEnd, 0)
+
+            await this.amp.transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              recipient,
+              rateLimit,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: operator }
+            )
+            await this.harness.assertBalanceOf(recipient, 2 * rateLimit)
+          })
+        })
+      })
+    })
+
+    describe('when the operator burns tokens', function () {
+      it('applies the limit to the burned tokens', async function () {
+        await this.amp.burnByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          rateLimit,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await this.harness.assertBalanceOf(
+          tokenHolder,
+          issuanceAmount - rateLimit
+        )
+
+        const quota = await this.ampExtension.operatorRateLimitQuota(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.equal(quota.remaining, 0)
+
+        await shouldFail.reverting(
+          this.amp.burnByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: operator }
+          )
+        )
+      })
+    })
+
+    describe('when the holder transfers its own tokens', function () {
+      it('does not apply the limit', async function () {
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          issuanceAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await this.harness.assertBalanceOf(recipient, issuanceAmount)
+      })
+    })
+
+    describe('when the limit is removed', function () {
+      it('lets the operator transfer any amount', async function () {
+        await this.ampExtension.setOperatorRateLimit(
+          DEFAULT_PARTITION,
+          operator,
+          0,
+          0,
+          { from: tokenHolder }
+        )
+
+        const quota = await this.ampExtension.operatorRateLimitQuota(
+          DEFAULT_PARTITION,
+          operator,
+          tokenHolder
+        )
+        assert.equal(quota.remaining.toString(), MAX_UINT256.toString())
+
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          issuanceAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: operator }
+        )
+        await this.harness.assertBalanceOf(recipient, issuanceAmount)
+      })
+    })
+  })
+
+  describe('when a rate limit is set for a spender', function () {
+    beforeEach(async function () {
+      await this.amp.approveByPartition(
+        DEFAULT_PARTITION,
+        spender,
+        issuanceAmount,
+        { from: tokenHolder }
+      )
+      await this.ampExtension.setOperatorRateLimit(
+        DEFAULT_PARTITION,
+        spender,
+        rateLimit,
+        PERIOD,
+        { from: tokenHolder }
+      )
+    })
+
+    it('applies the limit to transfers using the allowance', async function () {
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        recipient,
+        rateLimit,
+        ZERO_BYTE,
+        ZERO_BYTE,
+        { from: spender }
+      )
+
+      await shouldFail.reverting(
+        this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          1,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: spender }
+        )
+      )
+    })
+  })
+})
@@ -0,0 +1,260 @@
+import { TestHarness, Constants, Events } from './utils'
+
+const { DEFAULT_PARTITION, ALT_PARTITION_1 } = Constants
+
+contract('Amp: Operator Sets', function ([
+  owner,
+  tokenHolder,
+  operator1,
+  operator2,
+  operator3,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+  })
+
+  describe('operatorsOf', function () {
+    beforeEach(async function () {
+      await this.amp.authorizeOperator(operator1, { from: tokenHolder })
+      await this.amp.authorizeOperator(operator2, { from: tokenHolder })
+      await this.ampExtension.authorizeOperatorWithLimits(operator3, 0, 100, {
+        from: tokenHolder,
+      })
+    })
+
+    it('returns the operators of the holder', async function () {
+      assert.equal(await this.ampExtension.operatorCountOf(tokenHolder), 3)
+      assert.deepEqual(
+        await this.ampExtension.operatorsOf(tokenHolder, 0, 10),
+        [operator1, operator2, operator3]
+      )
+    })
+
+    it('returns the requested page of operators', async function () {
+      assert.deepEqual(await this.ampExtension.operatorsOf(tokenHolder, 1, 1), [
+        operator2,
+      ])
+      assert.deepEqual(
+        await this.ampExtension.operatorsOf(tokenHolder, 3, 10),
+        []
+      )
+    })
+
+    it('does not list an operator twice', async function () {
+      await this.amp.authorizeOperator(operator1, { from: tokenHolder })
+
+      assert.equal(await this.ampExtension.operatorCountOf(tokenHolder), 3)
+    })
+
+    it('does not list the operators for a partition', async function () {
+      await this.amp.authorizeOperatorByPartition(DEFAULT_PARTITION, owner, {
+        from: tokenHolder,
+      })
+
+      assert.equal(await this.ampExtension.operatorCountOf(tokenHolder), 3)
+    })
+
+    describe('when an operator is revoked', function () {
+      it('removes the operator', async function () {
+        await this.amp.revokeOperator(operator1, { from: tokenHolder })
+
+        assert.deepEqual(
+          await this.ampExtension.operatorsOf(tokenHolder, 0, 10),
+          [operator3, operator2]
+        )
+      })
+    })
+  })
+
+  describe('operatorsOfByPartition', function () {
+    beforeEach(async function () {
+      await this.amp.authorizeOperatorByPartition(
+        DEFAULT_PARTITION,
+        operator1,
+        { from: tokenHolder }
+      )
+      await this.ampExtension.authorizeOperatorByPartitionWithLimits(
+        DEFAULT_PARTITION,
+        operator2,
+        0,
+        100,
+        { from: tokenHolder }
+      )
+      await this.amp.authorizeOperatorByPartition(ALT_PARTITION_1, operator3, {
+        from: tokenHolder,
+      })
+    })
+
+    it('returns the operators of the holder for the partition', async function () {
+      assert.equal(
+        await this.ampExtension.operatorCountOfByPartition(
+          tokenHolder,
+          DEFAULT_PARTITION
+        ),
+        2
+      )
+      assert.deepEqual(
+        await this.ampExtension.operatorsOfByPartition(
+          tokenHolder,
+          DEFAULT_PARTITION,
+          0,
+          10
+        ),
+        [operator1, operator2]
+      )
+      assert.deepEqual(
+        await this.ampExtension.operatorsOfByPartition(
+          tokenHolder,
+          ALT_PARTITION_1,
+          0,
+          10
+        ),
+        [operator3]
+      )
+    })
+
+    it('returns the requested page of operators', async function () {
+      assert.deepEqual(
+        await this.ampExtension.operatorsOfByPartition(
+          tokenHolder,
+          DEFAULT_PARTITION,
+          1,
+          10
+        ),
+        [operator2]
+      )
+    })
+
+    describe('when an operator is revoked for the partition', function () {
+      it('removes the operator', async function () {
+        await this.amp.revokeOperatorByPartition(DEFAULT_PARTITION, operator1, {
+          from: tokenHolder,
+        })
+
+        assert.deepEqual(
+          await this.ampExtension.operatorsOfByPartition(
+            tokenHolder,
+            DEFAULT_PARTITION,
+            0,
+            10
+          ),
+          [operator2]
+        )
+      })
+    })
+  })
+
+  describe('revokeAllOperators', function () {
+    beforeEach(async function () {
+      await this.amp.authorizeOperator(operator1, { from: tokenHolder })
+      await this.amp.authorizeOperator(operator2, { from: tokenHolder })
+      await this.amp.authorizeOperatorByPartition(
+        DEFAULT_PARTITION,
+        operator2,
+        { from: tokenHolder }
+      )
+      await this.ampExtension.authorizeOperatorByPartitionWithLimits(
+        ALT_PARTITION_1,
+        operator3,
+        0,
+        100,
+        { from: tokenHolder }
+      )
+
+      const { logs } = await this.ampExtension.revokeAllOperators({
+        from: tokenHolder,
+      })
+      this.logs = logs
+    })
+
+    it('revokes all the operators of the holder', async function () {
+      assert.isFalse(await this.amp.isOperator(operator1, tokenHolder))
+      assert.isFalse(await this.amp.isOperator(operator2, tokenHolder))
+      assert.isFalse(
+        await this.amp.isOperatorForPartition(
+          DEFAULT_PARTITION,
+          operator2,
+          tokenHolder
+        )
+      )
+      assert.isFalse(
+        await this.amp.isOperatorForPartition(
+          ALT_PARTITION_1,
+          operator3,
+          tokenHolder
+        )
+      )
+    })
+
+    it('clears the operator sets of the holder', async function () {
+      assert.equal(await this.ampExtension.operatorCountOf(tokenHolder), 0)
+      assert.equal(
+        await this.ampExtension.operatorCountOfByPartition(
+          tokenHolder,
+          DEFAULT_PARTITION
+        ),
+        0
+      )
+      assert.equal(
+        await this.ampExtension.operatorCountOfByPartition(
+          tokenHolder,
+          ALT_PARTITION_1
+        ),
+        0
+      )
+
+      const limit = await this.ampExtension.operatorLimitByPartition(
+        ALT_PARTITION_1,
+        operator3,
+        tokenHolder
+      )
+      assert.isFalse(limit.capped)
+    })
+
+    it('emits an event for each revoked operator', async function () {
+      assert.equal(this.logs.length, 4)
+
+      const revoked = this.logs.filter(
+        (log) => log.event === Events.RevokedOperator
+      )
+      assert.sameMembers(
+        revoked.map((log) => log.args.operator),
+        [operator1, operator2]
+      )
+
+      const revokedByPartition = this.logs.filter(
+        (log) => log.event === Events.RevokedOperatorByPartition
+      )
+      assert.sameMembers(
+        revokedByPartition.map((log) => log.args.partition),
+        [DEFAULT_PARTITION, ALT_PARTITION_1]
+      )
+      revokedByPartition.forEach((log) => {
+        assert.equal(log.args.tokenHolder, tokenHolder)
+      })
+    })
+
+    it('lets the holder authorize operators again', async function () {
+      await this.amp.authorizeOperatorByPartition(
+        DEFAULT_PARTITION,
+        operator1,
+        { from: tokenHolder }
+      )
+
+      assert.deepEqual(
+        await this.ampExtension.operatorsOfByPartition(
+          tokenHolder,
+          DEFAULT_PARTITION,
+          0,
+          10
+        ),
+        [operator1]
+      )
+    })
+  })
+})
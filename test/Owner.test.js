@@ -1,12 +1,11 @@
-import { shouldFail } from 'openzeppelin-test-helpers'
-import { Constants } from './utils'
+import { shouldFail, time } from 'openzeppelin-test-helpers'
+import { TestHarness, Constants } from './utils'
 import {
     OwnershipTransferAuthorization,
+    OwnershipTransferCancellation,
     OwnerUpdate,
 } from './utils/events'
 
-const Amp = artifacts.require('Amp')
-const MockFXC = artifacts.require('MockFXC')
 const { ZERO_ADDRESS } = Constants
 
 contract('Amp', function ([
@@ -16,8 +15,9 @@ contract('Amp', function ([
 ]) {
     describe('Owner', () => {
         beforeEach(async function () {
-            const fxc = await MockFXC.new()
-            this.amp = await Amp.new(fxc.address, 'Amp', 'AMP')
+            this.harness = new TestHarness({ owner })
+            this.amp = await this.harness.init()
+            this.deadline = (await time.latest()).add(time.duration.days(7))
         })
 
         it('sets the initial owner to creator', async function () {
@@ -34,8 +34,9 @@ contract('Amp', function ([
 
         describe('when owner authorizes ownership transfer', () => {
             beforeEach(async function () {
-                await this.amp.authorizeOwnershipTransfer(
+                await this.harness.authorizeOwnershipTransfer(
                     newOwner,
+                    this.deadline,
                     { from: owner }
                 )
             })
@@ -46,6 +47,12 @@ contract('Amp', function ([
                 assert.equal(authorizedNewOwner, newOwner)
             })
 
+            it('sets the authorization deadline', async function () {
+                const deadline = await this.amp.authorizedNewOwnerDeadline()
+
+                assert.equal(deadline.toString(), this.deadline.toString())
+            })
+
             it('emits an event', async function () {
                 const logs = await this.amp.getPastEvents()
                 const event = logs[0];
@@ -92,13 +99,180 @@ contract('Amp', function ([
                     )
                 })
             })
+
+            describe('when the authorization has expired', () => {
+                it('reverts', async function () {
+                    await time.increaseTo(this.deadline.addn(1))
+
+                    await shouldFail.reverting(
+                        this.amp.assumeOwnership(
+                            { from: newOwner }
+                        )
+                    )
+                })
+            })
+
+            describe('when owner cancels ownership transfer', () => {
+                beforeEach(async function () {
+                    await this.amp.cancelOwnershipTransfer(
+                        { from: owner }
+                    )
+                })
+
+                it('resets the authorized new owner', async function () {
+                    const currentAuthorizedNewOwner = await this.amp.authorizedNewOwner()
+
+                    assert.equal(currentAuthorizedNewOwner, ZERO_ADDRESS)
+                    assert.equal(await this.amp.authorizedNewOwnerDeadline(), 0)
+                })
+
+                it('emits an event', async function () {
+                    const logs = await this.amp.getPastEvents()
+                    const event = logs[0];
+
+                    assert.equal(event.event, OwnershipTransferCancellation)
+                    assert.equal(event.args.authorizedAddress, newOwner)
+                })
+
+                it('prevents the new owner from assuming ownership', async function () {
+                    await shouldFail.reverting(
+                        this.amp.assumeOwnership(
+                            { from: newOwner }
+                        )
+                    )
+                })
+            })
+
+            describe('when non-owner cancels ownership transfer', () => {
+                it('reverts', async function () {
+                    await shouldFail.reverting(
+                        this.amp.cancelOwnershipTransfer(
+                            { from: unknown }
+                        )
+                    )
+                })
+            })
+        })
+
+        describe('when owner cancels without an authorized new owner', () => {
+            it('reverts', async function () {
+                await shouldFail.reverting(
+                    this.amp.cancelOwnershipTransfer(
+                        { from: owner }
+                    )
+                )
+            })
+        })
+
+        describe('when owner renounces ownership', () => {
+            beforeEach(async function () {
+                await this.harness.authorizeOwnershipTransfer(
+                    newOwner,
+                    this.deadline,
+                    { from: owner }
+                )
+                await this.harness.renounceOwnership(
+                    { from: owner }
+                )
+            })
+
+            it('resets the owner', async function () {
+                const currentOwner = await this.amp.owner()
+
+                assert.equal(currentOwner, ZERO_ADDRESS)
+            })
+
+            it('resets the authorized new owner', async function () {
+                const currentAuthorizedNewOwner = await this.amp.authorizedNewOwner()
+
+                assert.equal(currentAuthorizedNewOwner, ZERO_ADDRESS)
+            })
+
+            it('emits an event', async function () {
+                const logs = await this.amp.getPastEvents()
+                const event = logs[0];
+
+                assert.equal(event.event, OwnerUpdate)
+                assert.equal(event.args.oldValue, owner)
+                assert.equal(event.args.newValue, ZERO_ADDRESS)
+            })
+
+            it('prevents the former owner from calling owner functions', async function () {
+                await shouldFail.reverting(
+                    this.harness.authorizeOwnershipTransfer(
+                        owner,
+                        this.deadline,
+                        { from: owner }
+                    )
+                )
+            })
+        })
+
+        describe('when owner renounces ownership without the timelock', () => {
+            it('reverts', async function () {
+                await shouldFail.reverting(
+                    this.amp.renounceOwnership(
+                        { from: owner }
+                    )
+                )
+            })
+        })
+
+        describe('when non-owner renounces ownership', () => {
+            it('reverts', async function () {
+                await shouldFail.reverting(
+                    this.harness.renounceOwnership(
+                        { from: unknown }
+                    )
+                )
+            })
+        })
+
+        describe('when owner authorizes ownership transfer without a deadline', () => {
+            beforeEach(async function () {
+                await this.harness.executeTimelockedCall(
+                    this.amp.contract.methods
+                        .authorizeOwnershipTransfer(newOwner)
+                        .encodeABI(),
+                    { from: owner }
+                )
+            })
+
+            it('sets authorized new owner', async function () {
+                const authorizedNewOwner = await this.amp.authorizedNewOwner()
+
+                assert.equal(authorizedNewOwner, newOwner)
+            })
+
+            it('sets the authorization deadline to the end of the authorization period', async function () {
+                const deadline = await this.amp.authorizedNewOwnerDeadline()
+                const period = await this.amp.OWNERSHIP_TRANSFER_AUTHORIZATION_PERIOD()
+
+                assert.equal(
+                    deadline.toString(),
+                    (await time.latest()).add(period).toString()
+                )
+            })
+        })
+
+        describe('when owner authorizes ownership transfer with a past deadline', () => {
+            it('reverts', async function () {
+                await shouldFail.reverting(
+                    this.harness.authorizeOwnershipTransfer(
+                        newOwner,
+                        await time.latest(),
+                        { from: owner }
+                    )
+                )
+            })
         })
 
         describe('when non-owner authorizes ownership transfer', () => {
             it('reverts', async function () {
                 await shouldFail.reverting(
-                    this.amp.authorizeOwnershipTransfer(
+                    this.harness.authorizeOwnershipTransfer(
                         newOwner,
+                        this.deadline,
                         { from: unknown }
                     )
                 )
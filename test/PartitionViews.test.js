@@ -0,0 +1,281 @@
+import { TestHarness, Constants, Helpers } from './utils'
+
+const {
+  DEFAULT_PARTITION,
+  ALT_PARTITION_1,
+  ALT_PARTITION_2,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+} = Constants
+const { concatHexData } = Helpers
+
+const MockAmpWithoutHolderIndex = artifacts.require('MockAmpWithoutHolderIndex')
+
+const issuanceAmount = 1000
+const transferAmount = 100
+
+contract('Amp: Partition Views', function ([
+  owner,
+  tokenHolder,
+  tokenHolder2,
+  cmanager,
+  cmanager2,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    await this.harness.mockSwap(tokenHolder2, issuanceAmount)
+
+    for (const partition of [ALT_PARTITION_1, ALT_PARTITION_2]) {
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        tokenHolder,
+        transferAmount,
+        concatHexData(FLAG_CHANGE_PARTITION, partition),
+        ZERO_BYTE,
+        { from: tokenHolder }
+      )
+    }
+  })
+
+  describe('getPartitionsOf', function () {
+    it('returns the partitions of the holder', async function () {
+      assert.equal(await this.ampExtension.partitionCountOf(tokenHolder), 3)
+      assert.deepEqual(
+        await this.ampExtension.getPartitionsOf(tokenHolder, 0, 10),
+        [DEFAULT_PARTITION, ALT_PARTITION_1, ALT_PARTITION_2]
+      )
+      assert.equal(await this.ampExtension.partitionCountOf(tokenHolder2), 1)
+    })
+
+    it('returns the requested page of partitions', async function () {
+      assert.deepEqual(
+        await this.ampExtension.getPartitionsOf(tokenHolder, 1, 1),
+        [ALT_PARTITION_1]
+      )
+      assert.deepEqual(
+        await this.ampExtension.getPartitionsOf(tokenHolder, 3, 10),
+        []
+      )
+    })
+  })
+
+  describe('getTotalPartitions', function () {
+    it('returns the existing partitions', async function () {
+      assert.equal(await this.ampExtension.totalPartitionCount(), 3)
+      assert.deepEqual(await this.ampExtension.getTotalPartitions(0, 10), [
+        DEFAULT_PARTITION,
+        ALT_PARTITION_1,
+        ALT_PARTITION_2,
+      ])
+    })
+
+    it('returns the requested page of partitions', async function () {
+      assert.deepEqual(await this.ampExtension.getTotalPartitions(2, 10), [
+        ALT_PARTITION_2,
+      ])
+    })
+
+    describe('when the last tokens of a partition are moved', function () {
+      it('removes the partition', async function () {
+        await this.amp.transferByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          tokenHolder2,
+          transferAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+
+        assert.equal(await this.ampExtension.totalPartitionCount(), 2)
+        assert.equal(await this.ampExtension.partitionCountOf(tokenHolder), 2)
+      })
+    })
+  })
+
+  describe('holdersOfPartition', function () {
+    it('returns the holders of the partition', async function () {
+      assert.equal(
+        await this.ampExtension.holderCountOfPartition(DEFAULT_PARTITION),
+        2
+      )
+      assert.deepEqual(
+        await this.ampExtension.holdersOfPartition(DEFAULT_PARTITION, 0, 10),
+        [tokenHolder, tokenHolder2]
+      )
+      assert.deepEqual(
+        await this.ampExtension.holdersOfPartition(ALT_PARTITION_1, 0, 10),
+        [tokenHolder]
+      )
+    })
+
+    it('returns the requested page of holders', async function () {
+      assert.deepEqual(
+        await this.ampExtension.holdersOfPartition(DEFAULT_PARTITION, 1, 1),
+        [tokenHolder2]
+      )
+      assert.deepEqual(
+        await this.ampExtension.holdersOfPartition(DEFAULT_PARTITION, 2, 10),
+        []
+      )
+    })
+
+    describe('when tokens of a partition are transferred', function () {
+      beforeEach(async function () {
+        await this.amp.transferByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          tokenHolder2,
+          transferAmount / 2,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+      })
+
+      it('adds the recipient to the holders', async function () {
+        assert.deepEqual(
+          await this.ampExtension.holdersOfPartition(ALT_PARTITION_1, 0, 10),
+          [tokenHolder, tokenHolder2]
+        )
+      })
+
+      describe('when a holder transfers its whole balance', function () {
+        it('removes the holder', async function () {
+          await this.amp.transferByPartition(
+            ALT_PARTITION_1,
+            tokenHolder,
+            tokenHolder2,
+            transferAmount / 2,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+
+          assert.deepEqual(
+            await this.ampExtension.holdersOfPartition(ALT_PARTITION_1, 0, 10),
+            [tokenHolder2]
+          )
+        })
+      })
+    })
+
+    describe('when the last tokens of a partition are moved', function () {
+      it('leaves the partition without holders', async function () {
+        await this.amp.transferByPartition(
+          ALT_PARTITION_2,
+          tokenHolder,
+          tokenHolder,
+          transferAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+
+        assert.equal(
+          await this.ampExtension.holderCountOfPartition(ALT_PARTITION_2),
+          0
+        )
+      })
+    })
+
+    describe('gas usage', function () {
+      beforeEach(async function () {
+        this.ampWithoutIndex = await MockAmpWithoutHolderIndex.new(
+          this.harness.fxc.address,
+          'Amp',
+          'AMP',
+          this.harness.extension.address
+        )
+        for (const holder of [tokenHolder, tokenHolder2]) {
+          await this.harness.fxc.mint(holder, issuanceAmount, { from: owner })
+          await this.harness.fxc.approve(
+            this.ampWithoutIndex.address,
+            issuanceAmount,
+            { from: holder }
+          )
+          await this.ampWithoutIndex.swap(holder, { from: holder })
+        }
+      })
+
+      // Gas used by the index of the holders of each partition in the transfer
+      // made by `send`, measured against Amp without the index.
+      const measureHolderIndexGas = async function (context, send) {
+        const { receipt: indexed } = await send(context.amp)
+        const { receipt: unindexed } = await send(context.ampWithoutIndex)
+        const gas = indexed.gasUsed - unindexed.gasUsed
+
+        context.test.title = `${context.test.title} (${gas} gas)`
+        return gas
+      }
+
+      const transfer = (from, to, value) => (amp) =>
+        amp.transferByPartition(
+          DEFAULT_PARTITION,
+          from,
+          to,
+          value,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from }
+        )
+
+      it('adds gas to a transfer to a new holder', async function () {
+        const gas = await measureHolderIndexGas(
+          this,
+          transfer(tokenHolder, web3.eth.accounts.create().address, 10)
+        )
+
+        assert.isAbove(gas, 0)
+      })
+
+      it('adds no gas to a transfer to an existing holder', async function () {
+        const gas = await measureHolderIndexGas(
+          this,
+          transfer(tokenHolder, tokenHolder2, 10)
+        )
+
+        assert.equal(gas, 0)
+      })
+
+      it('adds gas to a transfer of the whole balance of a holder', async function () {
+        const gas = await measureHolderIndexGas(
+          this,
+          transfer(tokenHolder2, tokenHolder, issuanceAmount)
+        )
+
+        assert.isAbove(gas, 0)
+      })
+    })
+  })
+
+  describe('getCollateralManagers', function () {
+    beforeEach(async function () {
+      await this.amp.registerCollateralManager({ from: cmanager })
+      await this.amp.registerCollateralManager({ from: cmanager2 })
+    })
+
+    it('returns the registered collateral managers', async function () {
+      assert.equal(await this.ampExtension.collateralManagerCount(), 2)
+      assert.deepEqual(await this.ampExtension.getCollateralManagers(0, 10), [
+        cmanager,
+        cmanager2,
+      ])
+    })
+
+    it('returns the requested page of collateral managers', async function () {
+      assert.deepEqual(await this.ampExtension.getCollateralManagers(1, 10), [
+        cmanager2,
+      ])
+      assert.deepEqual(await this.ampExtension.getCollateralManagers(2, 10), [])
+    })
+  })
+})
@@ -0,0 +1,461 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const {
+  ALT_PARTITION_1,
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+  ZERO_BYTES32,
+  ESC_51_TRANSFER_SUCCESS,
+  ESC_52_INSUFFICIENT_BALANCE,
+  ESC_53_INSUFFICIENT_ALLOWANCE,
+  ESC_54_TRANSFERS_HALTED,
+} = Constants
+const { assertEscResponse, concatHexData, formatCollateralPartition } = Helpers
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+const ALT_PARTITION_PREFIX = '0x00000000'
+
+const issuanceAmount = 1000
+const transferAmount = 300
+
+contract('Amp: Pause', function ([
+  owner,
+  tokenHolder,
+  cmanager,
+  recipient,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+  })
+
+  const changeTo = (partition) =>
+    concatHexData(FLAG_CHANGE_PARTITION, partition)
+
+  describe('setTransfersPaused', function () {
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.setTransfersPaused(true, {
+          from: owner,
+        })
+        this.logs = logs
+      })
+
+      it('pauses transfers', async function () {
+        assert.isTrue(await this.amp.transfersPaused())
+        assert.isTrue(
+          await this.amp.isTransferPaused(DEFAULT_PARTITION, DEFAULT_PARTITION)
+        )
+      })
+
+      it('emits a TransfersPauseUpdate event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.TransfersPauseUpdate)
+        assert.isTrue(this.logs[0].args.paused)
+      })
+
+      it('prevents transfers', async function () {
+        await shouldFail.reverting(
+          this.amp.transfer(recipient, transferAmount, { from: tokenHolder })
+        )
+        await shouldFail.reverting(
+          this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            recipient,
+            transferAmount,
+            changeTo(ALT_PARTITION_1),
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+        )
+      })
+
+      it('prevents burns', async function () {
+        await shouldFail.reverting(
+          this.amp.burn(transferAmount, ZERO_BYTE, { from: tokenHolder })
+        )
+      })
+
+      it('reports the transfers as halted', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_54_TRANSFERS_HALTED,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+
+      it('reports the permission and balance checks first, as transfers do', async function () {
+        const withoutAllowance = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: unknown }
+        )
+        await assertEscResponse(
+          withoutAllowance,
+          ESC_53_INSUFFICIENT_ALLOWANCE,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+
+        const aboveBalance = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          issuanceAmount + 1,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          aboveBalance,
+          ESC_52_INSUFFICIENT_BALANCE,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+
+      describe('when transfers are unpaused', function () {
+        it('allows transfers again', async function () {
+          await this.amp.setTransfersPaused(false, { from: owner })
+          await this.amp.transfer(recipient, transferAmount, {
+            from: tokenHolder,
+          })
+
+          await this.harness.assertBalanceOf(recipient, transferAmount)
+        })
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.setTransfersPaused(true, { from: unknown })
+        )
+      })
+    })
+  })
+
+  describe('setSwapsPaused', function () {
+    beforeEach(async function () {
+      await this.harness.fxc.mint(unknown, issuanceAmount, { from: owner })
+      await this.harness.fxc.approve(this.amp.address, issuanceAmount, {
+        from: unknown,
+      })
+    })
+
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.setSwapsPaused(true, { from: owner })
+        this.logs = logs
+      })
+
+      it('emits a SwapsPauseUpdate event', async function () {
+        assert.isTrue(await this.amp.swapsPaused())
+        assert.equal(this.logs[0].event, Events.SwapsPauseUpdate)
+        assert.isTrue(this.logs[0].args.paused)
+      })
+
+      it('prevents swaps', async function () {
+        await shouldFail.reverting(this.amp.swap(unknown, { from: unknown }))
+        await shouldFail.reverting(
+          this.amp.swapAmount(unknown, issuanceAmount, { from: unknown })
+        )
+      })
+
+      it('does not prevent transfers', async function () {
+        await this.amp.transfer(recipient, transferAmount, {
+          from: tokenHolder,
+        })
+
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.setSwapsPaused(true, { from: unknown })
+        )
+      })
+    })
+  })
+
+  describe('setPartitionPrefixPaused', function () {
+    beforeEach(async function () {
+      const validator = await HolderCollateralPartitionValidator.new(
+        this.amp.address
+      )
+      await this.harness.setPartitionStrategy(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        validator.address,
+        { from: owner }
+      )
+      await this.amp.registerCollateralManager({ from: cmanager })
+
+      this.collateralPartition = formatCollateralPartition(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        cmanager,
+        ''
+      )
+    })
+
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const {
+          logs,
+        } = await this.amp.setPartitionPrefixPaused(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          true,
+          { from: owner }
+        )
+        this.logs = logs
+      })
+
+      it('pauses the prefix', async function () {
+        assert.isTrue(
+          await this.amp.isPartitionPrefixPaused(
+            PARTITION_FLAG_HOLDER_COLLATERAL
+          )
+        )
+        assert.isFalse(
+          await this.amp.isPartitionPrefixPaused(ALT_PARTITION_PREFIX)
+        )
+      })
+
+      it('emits a PartitionPrefixPauseUpdate event', async function () {
+        assert.equal(this.logs[0].event, Events.PartitionPrefixPauseUpdate)
+        // Indexed bytes4 values are right padded to 32 bytes in the topics
+        assert.equal(
+          this.logs[0].args.prefix,
+          web3.utils.padRight(
+            PARTITION_FLAG_HOLDER_COLLATERAL.toLowerCase(),
+            64
+          )
+        )
+        assert.isTrue(this.logs[0].args.paused)
+      })
+
+      it('prevents transfers to the partitions with the prefix', async function () {
+        await shouldFail.reverting(
+          this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            tokenHolder,
+            transferAmount,
+            changeTo(this.collateralPartition),
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+        )
+        assert.isTrue(
+          await this.amp.isTransferPaused(
+            DEFAULT_PARTITION,
+            this.collateralPartition
+          )
+        )
+      })
+
+      it('does not prevent other transfers', async function () {
+        await this.amp.transfer(recipient, transferAmount, {
+          from: tokenHolder,
+        })
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          transferAmount,
+          changeTo(ALT_PARTITION_1),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          transferAmount
+        )
+      })
+    })
+
+    describe('when tokens are already in a paused partition', function () {
+      beforeEach(async function () {
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          transferAmount,
+          changeTo(this.collateralPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await this.amp.setPartitionPrefixPaused(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          true,
+          { from: owner }
+        )
+      })
+
+      it('prevents transfers from the partition', async function () {
+        await shouldFail.reverting(
+          this.amp.transferByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: cmanager }
+          )
+        )
+      })
+
+      it('allows transfers from the partition once unpaused', async function () {
+        await this.amp.setPartitionPrefixPaused(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          false,
+          { from: owner }
+        )
+        await this.amp.transferByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: cmanager }
+        )
+
+        await this.harness.assertBalanceOfByPartition(
+          this.collateralPartition,
+          recipient,
+          transferAmount
+        )
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.setPartitionPrefixPaused(
+            PARTITION_FLAG_HOLDER_COLLATERAL,
+            true,
+            { from: unknown }
+          )
+        )
+      })
+    })
+  })
+
+  describe('setDefaultPartitionPaused', function () {
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.setDefaultPartitionPaused(true, {
+          from: owner,
+        })
+        this.logs = logs
+      })
+
+      it('emits a DefaultPartitionPauseUpdate event', async function () {
+        assert.isTrue(await this.amp.defaultPartitionPaused())
+        assert.equal(this.logs[0].event, Events.DefaultPartitionPauseUpdate)
+        assert.isTrue(this.logs[0].args.paused)
+      })
+
+      it('prevents transfers of the default partition', async function () {
+        await shouldFail.reverting(
+          this.amp.transfer(recipient, transferAmount, { from: tokenHolder })
+        )
+      })
+    })
+
+    describe('when the prefix of the default partition is paused', function () {
+      beforeEach(async function () {
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          transferAmount,
+          changeTo(ALT_PARTITION_1),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await this.amp.setPartitionPrefixPaused(ALT_PARTITION_PREFIX, true, {
+          from: owner,
+        })
+      })
+
+      it('keeps ERC-20 transfers live', async function () {
+        await this.amp.transfer(recipient, transferAmount, {
+          from: tokenHolder,
+        })
+
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_51_TRANSFER_SUCCESS,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+
+      it('halts the other partitions with the prefix', async function () {
+        await shouldFail.reverting(
+          this.amp.transferByPartition(
+            ALT_PARTITION_1,
+            tokenHolder,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+        )
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.setDefaultPartitionPaused(true, { from: unknown })
+        )
+      })
+    })
+  })
+})
@@ -0,0 +1,335 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Helpers, Events } from './utils'
+
+const { DEFAULT_PARTITION, ALT_PARTITION_1 } = Constants
+const { hashTypedStruct, signTypedData } = Helpers
+
+const PERMIT_TYPE =
+  'Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)'
+const PERMIT_BY_PARTITION_TYPE =
+  'PermitByPartition(bytes32 partition,address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)'
+
+const MAX_DEADLINE = '1000000000000'
+const SECP256K1_N = web3.utils.toBN(
+  '0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141'
+)
+const issuanceAmount = 1000
+const permitAmount = 400
+
+contract('Amp: Permit', function ([owner, tokenHolder, spender, unknown]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.signer = web3.eth.accounts.create()
+    this.other = web3.eth.accounts.create()
+
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    await this.amp.transfer(this.signer.address, issuanceAmount, {
+      from: tokenHolder,
+    })
+
+    this.domainSeparator = await this.amp.DOMAIN_SEPARATOR()
+  })
+
+  const signPermit = async function (
+    context,
+    privateKey,
+    { value = permitAmount, nonce, deadline = MAX_DEADLINE } = {}
+  ) {
+    const wantNonce =
+      nonce !== undefined
+        ? nonce
+        : await context.amp.nonces(context.signer.address)
+    const structHash = hashTypedStruct(
+      PERMIT_TYPE,
+      ['address', 'address', 'uint256', 'uint256', 'uint256'],
+      [context.signer.address, spender, value, wantNonce, deadline]
+    )
+    return signTypedData(context.domainSeparator, structHash, privateKey)
+  }
+
+  const signPermitByPartition = async function (
+    context,
+    partition,
+    privateKey,
+    { value = permitAmount, deadline = MAX_DEADLINE } = {}
+  ) {
+    const nonce = await context.amp.nonces(context.signer.address)
+    const structHash = hashTypedStruct(
+      PERMIT_BY_PARTITION_TYPE,
+      ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+      [partition, context.signer.address, spender, value, nonce, deadline]
+    )
+    return signTypedData(context.domainSeparator, structHash, privateKey)
+  }
+
+  describe('nonces', function () {
+    it('starts at zero', async function () {
+      assert.equal(await this.amp.nonces(this.signer.address), 0)
+    })
+  })
+
+  describe('permit', function () {
+    describe('when the signature is valid', function () {
+      beforeEach(async function () {
+        const { v, r, s } = await signPermit(this, this.signer.privateKey)
+        const { logs } = await this.amp.permit(
+          this.signer.address,
+          spender,
+          permitAmount,
+          MAX_DEADLINE,
+          v,
+          r,
+          s,
+          { from: unknown }
+        )
+        this.logs = logs
+      })
+
+      it('sets the allowance of the spender', async function () {
+        assert.equal(
+          await this.amp.allowance(this.signer.address, spender),
+          permitAmount
+        )
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            spender
+          ),
+          permitAmount
+        )
+      })
+
+      it('emits the approval events', async function () {
+        assert.equal(this.logs.length, 2)
+
+        assert.equal(this.logs[0].event, Events.ApprovalByPartition)
+        assert.equal(this.logs[0].args.partition, DEFAULT_PARTITION)
+        assert.equal(this.logs[0].args.owner, this.signer.address)
+        assert.equal(this.logs[0].args.spender, spender)
+        assert.equal(this.logs[0].args.value, permitAmount)
+
+        assert.equal(this.logs[1].event, Events.Approval)
+        assert.equal(this.logs[1].args.owner, this.signer.address)
+        assert.equal(this.logs[1].args.spender, spender)
+        assert.equal(this.logs[1].args.value, permitAmount)
+      })
+
+      it('increments the nonce of the owner', async function () {
+        assert.equal(await this.amp.nonces(this.signer.address), 1)
+      })
+
+      it('allows the spender to transfer the tokens', async function () {
+        await this.amp.transferFrom(
+          this.signer.address,
+          unknown,
+          permitAmount,
+          { from: spender }
+        )
+
+        await this.harness.assertBalanceOf(unknown, permitAmount)
+        await this.harness.assertBalanceOf(
+          this.signer.address,
+          issuanceAmount - permitAmount
+        )
+      })
+
+      it('can not be replayed', async function () {
+        const { v, r, s } = await signPermit(this, this.signer.privateKey, {
+          nonce: 0,
+        })
+        await shouldFail.reverting(
+          this.amp.permit(
+            this.signer.address,
+            spender,
+            permitAmount,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the message is not signed by the owner', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermit(this, this.other.privateKey)
+        await shouldFail.reverting(
+          this.amp.permit(
+            this.signer.address,
+            spender,
+            permitAmount,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the value differs from the signed value', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermit(this, this.signer.privateKey)
+        await shouldFail.reverting(
+          this.amp.permit(
+            this.signer.address,
+            spender,
+            permitAmount + 1,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the deadline has passed', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermit(this, this.signer.privateKey, {
+          deadline: 1,
+        })
+        await shouldFail.reverting(
+          this.amp.permit(
+            this.signer.address,
+            spender,
+            permitAmount,
+            1,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the signature is malleated', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermit(this, this.signer.privateKey)
+        const highS = web3.utils.padLeft(
+          web3.utils.toHex(SECP256K1_N.sub(web3.utils.toBN(s))),
+          64
+        )
+        await shouldFail.reverting(
+          this.amp.permit(
+            this.signer.address,
+            spender,
+            permitAmount,
+            MAX_DEADLINE,
+            v === 27 ? 28 : 27,
+            r,
+            highS,
+            { from: unknown }
+          )
+        )
+      })
+    })
+  })
+
+  describe('permitByPartition', function () {
+    describe('when the signature is valid', function () {
+      beforeEach(async function () {
+        const { v, r, s } = await signPermitByPartition(
+          this,
+          ALT_PARTITION_1,
+          this.signer.privateKey
+        )
+        const { logs } = await this.amp.permitByPartition(
+          ALT_PARTITION_1,
+          this.signer.address,
+          spender,
+          permitAmount,
+          MAX_DEADLINE,
+          v,
+          r,
+          s,
+          { from: unknown }
+        )
+        this.logs = logs
+      })
+
+      it('sets the allowance of the spender for the partition', async function () {
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            ALT_PARTITION_1,
+            this.signer.address,
+            spender
+          ),
+          permitAmount
+        )
+        assert.equal(await this.amp.allowance(this.signer.address, spender), 0)
+      })
+
+      it('emits the partition approval event only', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.ApprovalByPartition)
+        assert.equal(this.logs[0].args.partition, ALT_PARTITION_1)
+        assert.equal(this.logs[0].args.owner, this.signer.address)
+        assert.equal(this.logs[0].args.spender, spender)
+        assert.equal(this.logs[0].args.value, permitAmount)
+      })
+
+      it('increments the nonce of the owner', async function () {
+        assert.equal(await this.amp.nonces(this.signer.address), 1)
+      })
+    })
+
+    describe('when the partition differs from the signed partition', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermitByPartition(
+          this,
+          ALT_PARTITION_1,
+          this.signer.privateKey
+        )
+        await shouldFail.reverting(
+          this.amp.permitByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            spender,
+            permitAmount,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+
+    describe('when the deadline has passed', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signPermitByPartition(
+          this,
+          ALT_PARTITION_1,
+          this.signer.privateKey,
+          { deadline: 1 }
+        )
+        await shouldFail.reverting(
+          this.amp.permitByPartition(
+            ALT_PARTITION_1,
+            this.signer.address,
+            spender,
+            permitAmount,
+            1,
+            v,
+            r,
+            s,
+            { from: unknown }
+          )
+        )
+      })
+    })
+  })
+})
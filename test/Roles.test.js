@@ -0,0 +1,281 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Events } from './utils'
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const { ZERO_ADDRESS } = Constants
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+
+contract('Amp: Roles', function ([
+  owner,
+  strategyAdmin,
+  pauser,
+  pauser2,
+  unknown,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+
+    this.strategyAdminRole = await this.amp.STRATEGY_ADMIN_ROLE()
+    this.pauserRole = await this.amp.PAUSER_ROLE()
+  })
+
+  describe('grantRole', function () {
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.ampExtension.grantRole(
+          this.pauserRole,
+          pauser,
+          { from: owner }
+        )
+        this.logs = logs
+      })
+
+      it('grants the role', async function () {
+        assert.isTrue(await this.ampExtension.hasRole(this.pauserRole, pauser))
+        assert.isFalse(
+          await this.ampExtension.hasRole(this.strategyAdminRole, pauser)
+        )
+        assert.equal(
+          await this.ampExtension.roleMemberCount(this.pauserRole),
+          1
+        )
+        assert.deepEqual(
+          await this.ampExtension.getRoleMembers(this.pauserRole, 0, 10),
+          [pauser]
+        )
+      })
+
+      it('emits a RoleGranted event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.RoleGranted)
+        assert.equal(this.logs[0].args.role, this.pauserRole)
+        assert.equal(this.logs[0].args.account, pauser)
+        assert.equal(this.logs[0].args.sender, owner)
+      })
+
+      describe('when the account already holds the role', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.grantRole(this.pauserRole, pauser, {
+              from: owner,
+            })
+          )
+        })
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await this.ampExtension.grantRole(this.pauserRole, pauser, {
+          from: owner,
+        })
+
+        await shouldFail.reverting(
+          this.ampExtension.grantRole(this.pauserRole, pauser2, {
+            from: pauser,
+          })
+        )
+      })
+    })
+  })
+
+  describe('revokeRole', function () {
+    beforeEach(async function () {
+      await this.ampExtension.grantRole(this.pauserRole, pauser, {
+        from: owner,
+      })
+      await this.ampExtension.grantRole(this.pauserRole, pauser2, {
+        from: owner,
+      })
+    })
+
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const { logs } = await this.ampExtension.revokeRole(
+          this.pauserRole,
+          pauser,
+          { from: owner }
+        )
+        this.logs = logs
+      })
+
+      it('revokes the role', async function () {
+        assert.isFalse(await this.ampExtension.hasRole(this.pauserRole, pauser))
+        assert.deepEqual(
+          await this.ampExtension.getRoleMembers(this.pauserRole, 0, 10),
+          [pauser2]
+        )
+      })
+
+      it('emits a RoleRevoked event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.RoleRevoked)
+        assert.equal(this.logs[0].args.role, this.pauserRole)
+        assert.equal(this.logs[0].args.account, pauser)
+        assert.equal(this.logs[0].args.sender, owner)
+      })
+
+      describe('when the account does not hold the role', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.revokeRole(this.pauserRole, pauser, {
+              from: owner,
+            })
+          )
+        })
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.revokeRole(this.pauserRole, pauser2, {
+            from: pauser,
+          })
+        )
+      })
+    })
+  })
+
+  describe('renounceRole', function () {
+    beforeEach(async function () {
+      await this.ampExtension.grantRole(this.pauserRole, pauser, {
+        from: owner,
+      })
+    })
+
+    describe('when the caller holds the role', function () {
+      beforeEach(async function () {
+        const { logs } = await this.ampExtension.renounceRole(this.pauserRole, {
+          from: pauser,
+        })
+        this.logs = logs
+      })
+
+      it('removes the role from the caller', async function () {
+        assert.isFalse(await this.ampExtension.hasRole(this.pauserRole, pauser))
+        assert.equal(
+          await this.ampExtension.roleMemberCount(this.pauserRole),
+          0
+        )
+      })
+
+      it('emits a RoleRevoked event', async function () {
+        assert.equal(this.logs.length, 1)
+        assert.equal(this.logs[0].event, Events.RoleRevoked)
+        assert.equal(this.logs[0].args.account, pauser)
+        assert.equal(this.logs[0].args.sender, pauser)
+      })
+    })
+
+    describe('when the caller does not hold the role', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.renounceRole(this.pauserRole, { from: unknown })
+        )
+      })
+    })
+  })
+
+  describe('hasRole', function () {
+    it('returns true for the contract owner', async function () {
+      assert.isTrue(await this.ampExtension.hasRole(this.pauserRole, owner))
+      assert.equal(await this.ampExtension.roleMemberCount(this.pauserRole), 0)
+    })
+
+    describe('when ownership has been renounced', function () {
+      it('returns false for the zero address', async function () {
+        await this.harness.renounceOwnership({ from: owner })
+
+        assert.isFalse(
+          await this.ampExtension.hasRole(this.pauserRole, ZERO_ADDRESS)
+        )
+      })
+    })
+  })
+
+  describe('getRoleMembers', function () {
+    it('returns the requested page of members', async function () {
+      await this.ampExtension.grantRole(this.pauserRole, pauser, {
+        from: owner,
+      })
+      await this.ampExtension.grantRole(this.pauserRole, pauser2, {
+        from: owner,
+      })
+
+      assert.deepEqual(
+        await this.ampExtension.getRoleMembers(this.pauserRole, 1, 10),
+        [pauser2]
+      )
+      assert.deepEqual(
+        await this.ampExtension.getRoleMembers(this.pauserRole, 2, 10),
+        []
+      )
+    })
+  })
+
+  describe('when the caller holds the STRATEGY_ADMIN_ROLE', function () {
+    beforeEach(async function () {
+      await this.ampExtension.grantRole(this.strategyAdminRole, strategyAdmin, {
+        from: owner,
+      })
+    })
+
+    it('can set partition strategies', async function () {
+      const validator = await HolderCollateralPartitionValidator.new(
+        this.amp.address
+      )
+      await this.harness.setPartitionStrategy(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        validator.address,
+        { from: strategyAdmin }
+      )
+
+      assert.isTrue(
+        await this.amp.isPartitionStrategy(PARTITION_FLAG_HOLDER_COLLATERAL)
+      )
+    })
+
+    it('can not pause transfers', async function () {
+      await shouldFail.reverting(
+        this.amp.setTransfersPaused(true, { from: strategyAdmin })
+      )
+    })
+  })
+
+  describe('when the caller holds the PAUSER_ROLE', function () {
+    beforeEach(async function () {
+      await this.ampExtension.grantRole(this.pauserRole, pauser, {
+        from: owner,
+      })
+    })
+
+    it('can pause transfers and swaps', async function () {
+      await this.amp.setTransfersPaused(true, { from: pauser })
+      await this.amp.setSwapsPaused(true, { from: pauser })
+
+      assert.isTrue(await this.amp.transfersPaused())
+      assert.isTrue(await this.amp.swapsPaused())
+    })
+
+    it('can not set partition strategies', async function () {
+      await shouldFail.reverting(
+        this.harness.setPartitionStrategy(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          unknown,
+          { from: pauser }
+        )
+      )
+    })
+  })
+})
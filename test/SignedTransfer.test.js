@@ -0,0 +1,357 @@
+import { shouldFail } from 'openzeppelin-test-helpers'
+import { sha3Raw, soliditySha3 } from 'web3-utils'
+
+import { TestHarness, Constants, Helpers, INames, Events } from './utils'
+
+const {
+  ALT_PARTITION_1,
+  DEFAULT_PARTITION,
+  FLAG_CHANGE_PARTITION,
+  ZERO_ADDRESS,
+  ZERO_BYTE,
+} = Constants
+const { concatHexData, hashTypedStruct, signTypedData } = Helpers
+const { AMP_TOKENS_RECIPIENT } = INames
+
+const MockAmpTokensRecipient = artifacts.require('MockAmpTokensRecipient')
+
+const TRANSFER_BY_PARTITION_TYPE =
+  'TransferByPartition(bytes32 partition,address to,uint256 value,bytes data,bytes operatorData,uint256 nonce,uint256 deadline)'
+
+const VALID_DATA =
+  '0x1000000000000000000000000000000000000000000000000000000000000000'
+const INVALID_DATA_RECIPIENT =
+  '0x2200000000000000000000000000000000000000000000000000000000000000'
+
+const MAX_DEADLINE = '1000000000000'
+const issuanceAmount = 1000
+const transferAmount = 400
+
+contract('Amp: Transfers with signature', function ([
+  owner,
+  tokenHolder,
+  relayer,
+  recipient,
+]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.signer = web3.eth.accounts.create()
+    this.other = web3.eth.accounts.create()
+
+    await this.harness.mockSwap(tokenHolder, issuanceAmount)
+    await this.amp.transfer(this.signer.address, issuanceAmount, {
+      from: tokenHolder,
+    })
+
+    this.domainSeparator = await this.amp.DOMAIN_SEPARATOR()
+  })
+
+  const signTransfer = async function (
+    context,
+    privateKey,
+    {
+      partition = DEFAULT_PARTITION,
+      to = recipient,
+      value = transferAmount,
+      data = ZERO_BYTE,
+      operatorData = ZERO_BYTE,
+      nonce,
+      deadline = MAX_DEADLINE,
+    } = {}
+  ) {
+    const wantNonce =
+      nonce !== undefined
+        ? nonce
+        : await context.amp.nonces(context.signer.address)
+    const structHash = hashTypedStruct(
+      TRANSFER_BY_PARTITION_TYPE,
+      [
+        'bytes32',
+        'address',
+        'uint256',
+        'bytes32',
+        'bytes32',
+        'uint256',
+        'uint256',
+      ],
+      [
+        partition,
+        to,
+        value,
+        sha3Raw(data),
+        sha3Raw(operatorData),
+        wantNonce,
+        deadline,
+      ]
+    )
+    return signTypedData(context.domainSeparator, structHash, privateKey)
+  }
+
+  describe('transferByPartitionWithSignature', function () {
+    describe('when the signature is valid', function () {
+      beforeEach(async function () {
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey)
+        const {
+          logs,
+        } = await this.amp.transferByPartitionWithSignature(
+          DEFAULT_PARTITION,
+          this.signer.address,
+          recipient,
+          transferAmount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          MAX_DEADLINE,
+          v,
+          r,
+          s,
+          { from: relayer }
+        )
+        this.logs = logs
+      })
+
+      it('transfers the tokens', async function () {
+        await this.harness.assertBalanceOf(
+          this.signer.address,
+          issuanceAmount - transferAmount
+        )
+        await this.harness.assertBalanceOf(recipient, transferAmount)
+      })
+
+      it('reports the relayer as the operator', async function () {
+        const event = this.logs.find(
+          (l) => l.event === Events.TransferByPartition
+        )
+        assert.equal(event.args.operator, relayer)
+        assert.equal(event.args.from, this.signer.address)
+        assert.equal(event.args.to, recipient)
+      })
+
+      it('increments the nonce of the token holder', async function () {
+        assert.equal(await this.amp.nonces(this.signer.address), 1)
+      })
+
+      it('does not require an allowance for the relayer', async function () {
+        assert.equal(
+          await this.amp.allowanceByPartition(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            relayer
+          ),
+          0
+        )
+      })
+
+      it('can not be replayed', async function () {
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+          nonce: 0,
+        })
+        await shouldFail.reverting(
+          this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+        )
+      })
+    })
+
+    describe('when the data changes the partition', function () {
+      it('transfers the tokens to the new partition', async function () {
+        const data = concatHexData(FLAG_CHANGE_PARTITION, ALT_PARTITION_1)
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+          data,
+        })
+        await this.amp.transferByPartitionWithSignature(
+          DEFAULT_PARTITION,
+          this.signer.address,
+          recipient,
+          transferAmount,
+          data,
+          ZERO_BYTE,
+          MAX_DEADLINE,
+          v,
+          r,
+          s,
+          { from: relayer }
+        )
+
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          recipient,
+          transferAmount
+        )
+      })
+    })
+
+    describe('when the recipient has a hook registered', function () {
+      beforeEach(async function () {
+        this.registry = this.harness.registry
+        this.recipientContract = await MockAmpTokensRecipient.new({
+          from: recipient,
+        })
+        await this.registry.setInterfaceImplementer(
+          recipient,
+          soliditySha3(AMP_TOKENS_RECIPIENT),
+          this.recipientContract.address,
+          { from: recipient }
+        )
+      })
+
+      afterEach(async function () {
+        await this.registry.setInterfaceImplementer(
+          recipient,
+          soliditySha3(AMP_TOKENS_RECIPIENT),
+          ZERO_ADDRESS,
+          { from: recipient }
+        )
+      })
+
+      describe('when the hook accepts the transfer', function () {
+        it('transfers the tokens', async function () {
+          const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+            data: VALID_DATA,
+          })
+          await this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            transferAmount,
+            VALID_DATA,
+            ZERO_BYTE,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+
+          await this.harness.assertBalanceOf(recipient, transferAmount)
+        })
+      })
+
+      describe('when the hook refuses the transfer', function () {
+        it('reverts', async function () {
+          const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+            data: INVALID_DATA_RECIPIENT,
+          })
+          await shouldFail.reverting(
+            this.amp.transferByPartitionWithSignature(
+              DEFAULT_PARTITION,
+              this.signer.address,
+              recipient,
+              transferAmount,
+              INVALID_DATA_RECIPIENT,
+              ZERO_BYTE,
+              MAX_DEADLINE,
+              v,
+              r,
+              s,
+              { from: relayer }
+            )
+          )
+        })
+      })
+    })
+
+    describe('when the message is not signed by the token holder', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signTransfer(this, this.other.privateKey)
+        await shouldFail.reverting(
+          this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+        )
+      })
+    })
+
+    describe('when the recipient differs from the signed recipient', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey)
+        await shouldFail.reverting(
+          this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            relayer,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+        )
+      })
+    })
+
+    describe('when the deadline has passed', function () {
+      it('reverts', async function () {
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+          deadline: 1,
+        })
+        await shouldFail.reverting(
+          this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            transferAmount,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            1,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+        )
+      })
+    })
+
+    describe('when the token holder has insufficient balance', function () {
+      it('reverts', async function () {
+        const value = issuanceAmount + 1
+        const { v, r, s } = await signTransfer(this, this.signer.privateKey, {
+          value,
+        })
+        await shouldFail.reverting(
+          this.amp.transferByPartitionWithSignature(
+            DEFAULT_PARTITION,
+            this.signer.address,
+            recipient,
+            value,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            MAX_DEADLINE,
+            v,
+            r,
+            s,
+            { from: relayer }
+          )
+        )
+      })
+    })
+  })
+})
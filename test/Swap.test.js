@@ -1,7 +1,20 @@
 import { shouldFail } from 'openzeppelin-test-helpers'
-import { TestHarness, Constants, Events } from './utils'
+import { TestHarness, Constants, Helpers, Events } from './utils'
 
-const { FXC_GRAVEYARD, ZERO_ADDRESS, DEFAULT_PARTITION } = Constants
+const {
+  ALT_PARTITION_1,
+  FXC_GRAVEYARD,
+  ZERO_ADDRESS,
+  ZERO_BYTE,
+  DEFAULT_PARTITION,
+} = Constants
+const { formatCollateralPartition } = Helpers
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
 const emptyBalance = 0
 const fxcBalanceMock = 1000
 
@@ -12,6 +25,7 @@ contract('Amp: Swapping', function ([owner, controller, tokenHolder, unknown]) {
 
   beforeEach(async function () {
     this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
     this.fxc = this.harness.fxc
   })
 
@@ -97,6 +111,351 @@ contract('Amp: Swapping', function ([owner, controller, tokenHolder, unknown]) {
     })
   })
 
+  describe('swapAmount', function () {
+    const swapAmount = 400
+
+    beforeEach(async function () {
+      await this.fxc.mint(tokenHolder, fxcBalanceMock, { from: owner })
+      await this.fxc.approve(this.amp.address, fxcBalanceMock, {
+        from: tokenHolder,
+      })
+    })
+
+    describe('when the amount is within the allowance', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.swapAmount(tokenHolder, swapAmount, {
+          from: unknown,
+        })
+        this.logs = logs
+      })
+
+      it('swaps the amount', async function () {
+        assert.equal(
+          (await this.fxc.balanceOf.call(tokenHolder)).toNumber(),
+          fxcBalanceMock - swapAmount
+        )
+        assert.equal(
+          (await this.fxc.balanceOf.call(FXC_GRAVEYARD)).toNumber(),
+          swapAmount
+        )
+        assert.equal(
+          (await this.amp.balanceOf.call(tokenHolder)).toNumber(),
+          swapAmount
+        )
+      })
+
+      it('leaves the rest of the allowance in place', async function () {
+        assert.equal(
+          (
+            await this.fxc.allowance.call(tokenHolder, this.amp.address)
+          ).toNumber(),
+          fxcBalanceMock - swapAmount
+        )
+      })
+
+      it('emits the same events as swap', async function () {
+        assert.equal(this.logs[2].event, Events.Minted)
+        assert.equal(this.logs[3].event, Events.Transfer)
+        assert.equal(this.logs[4].event, Events.TransferByPartition)
+        assert.equal(this.logs[5].event, Events.Swap)
+        assert.equal(this.logs[5].args.operator, unknown)
+        assert.equal(this.logs[5].args.from, tokenHolder)
+        assert.equal(this.logs[5].args.value, swapAmount)
+      })
+
+      it('swaps the remainder in a later tranche', async function () {
+        await this.amp.swapAmount(tokenHolder, fxcBalanceMock - swapAmount, {
+          from: tokenHolder,
+        })
+
+        assert.equal(
+          (await this.amp.balanceOf.call(tokenHolder)).toNumber(),
+          fxcBalanceMock
+        )
+      })
+    })
+
+    describe('when the amount exceeds the allowance', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.swapAmount(tokenHolder, fxcBalanceMock + 1, {
+            from: tokenHolder,
+          })
+        )
+      })
+    })
+
+    describe('when the amount is 0', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.swapAmount(tokenHolder, 0, { from: tokenHolder })
+        )
+      })
+    })
+  })
+
+  describe('swapToPartition', function () {
+    beforeEach(async function () {
+      await this.fxc.mint(tokenHolder, fxcBalanceMock, { from: owner })
+      await this.fxc.approve(this.amp.address, fxcBalanceMock, {
+        from: tokenHolder,
+      })
+    })
+
+    describe('when the holder swaps into a partition', function () {
+      beforeEach(async function () {
+        const { logs } = await this.amp.swapToPartition(
+          tokenHolder,
+          ALT_PARTITION_1,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        this.logs = logs
+      })
+
+      it('credits the swapped tokens to the partition', async function () {
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          fxcBalanceMock
+        )
+        await this.harness.assertBalanceOfByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          0
+        )
+        assert.equal(
+          (await this.fxc.balanceOf.call(FXC_GRAVEYARD)).toNumber(),
+          fxcBalanceMock
+        )
+      })
+
+      it('emits the swap and partition change events', async function () {
+        const events = this.logs.map((l) => l.event)
+        assert.includeMembers(events, [
+          Events.Minted,
+          Events.Swap,
+          Events.ChangedPartition,
+        ])
+
+        const changedPartition = this.logs.find(
+          (l) => l.event === Events.ChangedPartition
+        )
+        assert.equal(changedPartition.args.fromPartition, DEFAULT_PARTITION)
+        assert.equal(changedPartition.args.toPartition, ALT_PARTITION_1)
+        assert.equal(changedPartition.args.value, fxcBalanceMock)
+      })
+    })
+
+    describe('when the partition is managed by a partition strategy', function () {
+      beforeEach(async function () {
+        const validator = await HolderCollateralPartitionValidator.new(
+          this.amp.address
+        )
+        await this.harness.setPartitionStrategy(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          validator.address,
+          { from: owner }
+        )
+
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          controller,
+          ''
+        )
+      })
+
+      describe('when the strategy accepts the tokens', function () {
+        it('credits the swapped tokens to the partition', async function () {
+          await this.amp.registerCollateralManager({ from: controller })
+          await this.amp.swapToPartition(
+            tokenHolder,
+            this.collateralPartition,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+
+          await this.harness.assertBalanceOfByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            fxcBalanceMock
+          )
+        })
+      })
+
+      describe('when the strategy refuses the tokens', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.amp.swapToPartition(
+              tokenHolder,
+              this.collateralPartition,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+          )
+          await this.harness.assertBalanceOf(tokenHolder, 0)
+        })
+      })
+    })
+
+    describe('when the caller is an operator of the holder', function () {
+      it('swaps into the partition', async function () {
+        await this.amp.authorizeOperator(unknown, { from: tokenHolder })
+        await this.amp.swapToPartition(
+          tokenHolder,
+          ALT_PARTITION_1,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: unknown }
+        )
+
+        await this.harness.assertBalanceOfByPartition(
+          ALT_PARTITION_1,
+          tokenHolder,
+          fxcBalanceMock
+        )
+      })
+
+      describe('when the authorization is capped', function () {
+        it('deducts the swapped tokens from the cap', async function () {
+          await this.ampExtension.authorizeOperatorWithLimits(
+            unknown,
+            0,
+            fxcBalanceMock + 1,
+            { from: tokenHolder }
+          )
+          await this.amp.swapToPartition(
+            tokenHolder,
+            ALT_PARTITION_1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: unknown }
+          )
+
+          const limit = await this.ampExtension.operatorLimit(
+            unknown,
+            tokenHolder
+          )
+          assert.equal(limit.remaining, 1)
+        })
+
+        it('reverts when the swapped tokens exceed the cap', async function () {
+          await this.ampExtension.authorizeOperatorWithLimits(
+            unknown,
+            0,
+            fxcBalanceMock - 1,
+            { from: tokenHolder }
+          )
+          await shouldFail.reverting(
+            this.amp.swapToPartition(
+              tokenHolder,
+              ALT_PARTITION_1,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: unknown }
+            )
+          )
+        })
+      })
+
+      describe('when the operator is rate limited', function () {
+        it('reverts when the swapped tokens exceed the limit', async function () {
+          await this.amp.authorizeOperator(unknown, { from: tokenHolder })
+          await this.ampExtension.setOperatorRateLimit(
+            DEFAULT_PARTITION,
+            unknown,
+            fxcBalanceMock - 1,
+            24 * 60 * 60,
+            { from: tokenHolder }
+          )
+          await shouldFail.reverting(
+            this.amp.swapToPartition(
+              tokenHolder,
+              ALT_PARTITION_1,
+              ZERO_BYTE,
+              ZERO_BYTE,
+              { from: unknown }
+            )
+          )
+        })
+      })
+    })
+
+    describe('when the caller is not an operator of the holder', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.amp.swapToPartition(
+            tokenHolder,
+            ALT_PARTITION_1,
+            ZERO_BYTE,
+            ZERO_BYTE,
+            { from: unknown }
+          )
+        )
+      })
+    })
+  })
+
+  describe('swap accounting', function () {
+    beforeEach(async function () {
+      await this.fxc.mint(tokenHolder, fxcBalanceMock, { from: owner })
+      await this.fxc.mint(controller, fxcBalanceMock, { from: owner })
+      await this.fxc.approve(this.amp.address, fxcBalanceMock, {
+        from: tokenHolder,
+      })
+      await this.fxc.approve(this.amp.address, fxcBalanceMock, {
+        from: controller,
+      })
+    })
+
+    describe('when no swap has been executed', function () {
+      it('reports no swapped tokens', async function () {
+        assert.equal(await this.amp.totalSwapped(), 0)
+        assert.equal(await this.amp.swappedBy(tokenHolder), 0)
+        assert.equal(await this.amp.swapCount(), 0)
+      })
+    })
+
+    describe('when several swaps have been executed', function () {
+      beforeEach(async function () {
+        await this.amp.swapAmount(tokenHolder, 300, { from: tokenHolder })
+        await this.amp.swap(tokenHolder, { from: unknown })
+        await this.amp.swapToPartition(
+          controller,
+          ALT_PARTITION_1,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: controller }
+        )
+      })
+
+      it('tracks the total amount swapped', async function () {
+        assert.equal(await this.amp.totalSwapped(), 2 * fxcBalanceMock)
+        assert.equal(
+          (await this.amp.totalSupply()).toNumber(),
+          (await this.amp.totalSwapped()).toNumber()
+        )
+        assert.equal(
+          (await this.fxc.balanceOf.call(FXC_GRAVEYARD)).toNumber(),
+          (await this.amp.totalSwapped()).toNumber()
+        )
+      })
+
+      it('tracks the amount swapped for each holder', async function () {
+        assert.equal(await this.amp.swappedBy(tokenHolder), fxcBalanceMock)
+        assert.equal(await this.amp.swappedBy(controller), fxcBalanceMock)
+        assert.equal(await this.amp.swappedBy(unknown), 0)
+      })
+
+      it('tracks the number of swaps', async function () {
+        assert.equal(await this.amp.swapCount(), 3)
+      })
+    })
+  })
+
   describe('when holder has tokens but transfer is not approved', function () {
     beforeEach(async function () {
       await this.fxc.mint(tokenHolder, fxcBalanceMock, { from: owner })
@@ -0,0 +1,319 @@
+import { shouldFail, time } from 'openzeppelin-test-helpers'
+
+import { TestHarness, Constants, Events } from './utils'
+
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+
+const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+
+const DELAY = Constants.TIMELOCK_DELAY
+const MAX_DELAY = 30 * 24 * 60 * 60
+const MAX_DEADLINE = '1000000000000'
+
+contract('Amp: Timelock', function ([owner, strategyAdmin, newOwner, unknown]) {
+  before(async function () {
+    this.harness = new TestHarness({ owner })
+  })
+
+  beforeEach(async function () {
+    this.amp = await this.harness.init()
+    this.ampExtension = this.harness.ampExtension
+
+    const role = await this.amp.STRATEGY_ADMIN_ROLE()
+    await this.ampExtension.grantRole(role, strategyAdmin, { from: owner })
+
+    this.validator = await HolderCollateralPartitionValidator.new(
+      this.amp.address
+    )
+    this.setStrategyData = this.amp.contract.methods
+      .setPartitionStrategy(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        this.validator.address
+      )
+      .encodeABI()
+  })
+
+  describe('timelockDelay', function () {
+    it('starts at the minimum delay', async function () {
+      assert.equal(await this.amp.timelockDelay(), DELAY)
+    })
+  })
+
+  describe('setTimelockDelay', function () {
+    describe('when the caller is the contract owner', function () {
+      beforeEach(async function () {
+        const data = this.ampExtension.contract.methods
+          .setTimelockDelay(2 * DELAY)
+          .encodeABI()
+        const { logs } = await this.harness.executeTimelockedCall(data, {
+          from: owner,
+        })
+        this.logs = logs
+      })
+
+      it('sets the delay', async function () {
+        assert.equal(await this.amp.timelockDelay(), 2 * DELAY)
+      })
+
+      it('emits a TimelockDelayUpdate event', async function () {
+        const event = this.logs.find(
+          (log) => log.event === Events.TimelockDelayUpdate
+        )
+        assert.equal(event.args.oldValue, DELAY)
+        assert.equal(event.args.newValue, 2 * DELAY)
+      })
+    })
+
+    describe('when the delay is below the minimum', function () {
+      it('reverts', async function () {
+        const data = this.ampExtension.contract.methods
+          .setTimelockDelay(DELAY - 1)
+          .encodeABI()
+
+        await shouldFail.reverting(
+          this.harness.executeTimelockedCall(data, { from: owner })
+        )
+      })
+    })
+
+    describe('when the delay is above the maximum', function () {
+      it('reverts', async function () {
+        const data = this.ampExtension.contract.methods
+          .setTimelockDelay(MAX_DELAY + 1)
+          .encodeABI()
+
+        await shouldFail.reverting(
+          this.harness.executeTimelockedCall(data, { from: owner })
+        )
+      })
+    })
+
+    describe('when the call is not timelocked', function () {
+      it('reverts', async function () {
+        await shouldFail.reverting(
+          this.ampExtension.setTimelockDelay(2 * DELAY, { from: owner })
+        )
+      })
+    })
+
+    describe('when the caller is not the contract owner', function () {
+      it('reverts', async function () {
+        const data = this.ampExtension.contract.methods
+          .setTimelockDelay(2 * DELAY)
+          .encodeABI()
+
+        await shouldFail.reverting(
+          this.harness.executeTimelockedCall(data, { from: unknown })
+        )
+      })
+    })
+  })
+
+  describe('timelocked functions', function () {
+    it('reverts direct partition strategy changes', async function () {
+      await shouldFail.reverting(
+        this.amp.setPartitionStrategy(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          this.validator.address,
+          { from: strategyAdmin }
+        )
+      )
+    })
+
+    it('reverts direct ownership transfer authorizations', async function () {
+      await shouldFail.reverting(
+        this.amp.authorizeOwnershipTransfer(newOwner, MAX_DEADLINE, {
+          from: owner,
+        })
+      )
+    })
+
+    it('reverts direct trusted forwarder changes', async function () {
+      await shouldFail.reverting(
+        this.amp.setTrustedForwarder(unknown, { from: owner })
+      )
+    })
+
+    describe('queueTimelockedCall', function () {
+      describe('when the caller can make the call', function () {
+        beforeEach(async function () {
+          const { logs } = await this.ampExtension.queueTimelockedCall(
+            this.setStrategyData,
+            { from: strategyAdmin }
+          )
+          this.logs = logs
+          this.id = web3.utils.keccak256(this.setStrategyData)
+        })
+
+        it('queues the call', async function () {
+          const eta = (await time.latest()).addn(DELAY)
+
+          assert.equal(
+            (await this.amp.timelockedCallEta(this.id)).toString(),
+            eta.toString()
+          )
+        })
+
+        it('emits a TimelockedCallQueued event', async function () {
+          assert.equal(this.logs.length, 1)
+          assert.equal(this.logs[0].event, Events.TimelockedCallQueued)
+          assert.equal(this.logs[0].args.id, this.id)
+          assert.equal(this.logs[0].args.data, this.setStrategyData)
+        })
+
+        describe('when the call is already queued', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.ampExtension.queueTimelockedCall(this.setStrategyData, {
+                from: strategyAdmin,
+              })
+            )
+          })
+        })
+
+        describe('executeTimelockedCall', function () {
+          describe('before the delay has elapsed', function () {
+            it('reverts', async function () {
+              await shouldFail.reverting(
+                this.ampExtension.executeTimelockedCall(this.setStrategyData, {
+                  from: strategyAdmin,
+                })
+              )
+            })
+          })
+
+          describe('after the delay has elapsed', function () {
+            beforeEach(async function () {
+              await time.increase(DELAY + 1)
+            })
+
+            it('executes the call', async function () {
+              const {
+                logs,
+              } = await this.ampExtension.executeTimelockedCall(
+                this.setStrategyData,
+                { from: strategyAdmin }
+              )
+
+              assert.isTrue(
+                await this.amp.isPartitionStrategy(
+                  PARTITION_FLAG_HOLDER_COLLATERAL
+                )
+              )
+              assert.equal(await this.amp.timelockedCallEta(this.id), 0)
+
+              const event = logs.find(
+                (log) => log.event === Events.TimelockedCallExecuted
+              )
+              assert.equal(event.args.id, this.id)
+            })
+
+            it('keeps timelocking direct calls', async function () {
+              await this.ampExtension.executeTimelockedCall(
+                this.setStrategyData,
+                { from: strategyAdmin }
+              )
+
+              await shouldFail.reverting(
+                this.amp.disablePartitionStrategy(
+                  PARTITION_FLAG_HOLDER_COLLATERAL,
+                  { from: strategyAdmin }
+                )
+              )
+            })
+
+            describe('when the caller can not make the call', function () {
+              it('reverts', async function () {
+                await shouldFail.reverting(
+                  this.ampExtension.executeTimelockedCall(
+                    this.setStrategyData,
+                    { from: unknown }
+                  )
+                )
+              })
+            })
+          })
+        })
+
+        describe('cancelTimelockedCall', function () {
+          beforeEach(async function () {
+            const { logs } = await this.ampExtension.cancelTimelockedCall(
+              this.setStrategyData,
+              { from: strategyAdmin }
+            )
+            this.logs = logs
+          })
+
+          it('cancels the call', async function () {
+            assert.equal(await this.amp.timelockedCallEta(this.id), 0)
+
+            await time.increase(DELAY + 1)
+            await shouldFail.reverting(
+              this.ampExtension.executeTimelockedCall(this.setStrategyData, {
+                from: strategyAdmin,
+              })
+            )
+          })
+
+          it('emits a TimelockedCallCancelled event', async function () {
+            assert.equal(this.logs.length, 1)
+            assert.equal(this.logs[0].event, Events.TimelockedCallCancelled)
+            assert.equal(this.logs[0].args.id, this.id)
+          })
+        })
+      })
+
+      describe('when the caller can not make the call', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.ampExtension.queueTimelockedCall(this.setStrategyData, {
+              from: unknown,
+            })
+          )
+        })
+      })
+
+      describe('when the function is not timelocked', function () {
+        it('reverts', async function () {
+          const data = this.amp.contract.methods
+            .setTransfersPaused(true)
+            .encodeABI()
+
+          await shouldFail.reverting(
+            this.ampExtension.queueTimelockedCall(data, { from: owner })
+          )
+        })
+      })
+    })
+
+    describe('when authorizing an ownership transfer', function () {
+      it('authorizes the transfer once the delay has elapsed', async function () {
+        const data = this.amp.contract.methods
+          .authorizeOwnershipTransfer(newOwner, MAX_DEADLINE)
+          .encodeABI()
+
+        await this.ampExtension.queueTimelockedCall(data, { from: owner })
+        await time.increase(DELAY + 1)
+        await this.ampExtension.executeTimelockedCall(data, { from: owner })
+
+        assert.equal(await this.amp.authorizedNewOwner(), newOwner)
+      })
+    })
+
+    describe('when updating the delay', function () {
+      it('updates the delay once the delay has elapsed', async function () {
+        const data = this.ampExtension.contract.methods
+          .setTimelockDelay(2 * DELAY)
+          .encodeABI()
+
+        await this.ampExtension.queueTimelockedCall(data, { from: owner })
+        await time.increase(DELAY + 1)
+        await this.ampExtension.executeTimelockedCall(data, { from: owner })
+
+        assert.equal(await this.amp.timelockDelay(), 2 * DELAY)
+      })
+    })
+  })
+})
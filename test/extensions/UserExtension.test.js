@@ -1,10 +1,17 @@
 import { shouldFail } from 'openzeppelin-test-helpers'
 import { soliditySha3 } from 'web3-utils'
 
-import { TestHarness, Constants, INames } from '../utils'
+import { TestHarness, Constants, Helpers, INames } from '../utils'
 import { DEFAULT_PARTITION, ZERO_BYTE } from '../utils/constants'
 
-const { ZERO_ADDRESS } = Constants
+const {
+  ZERO_ADDRESS,
+  ZERO_BYTES32,
+  ESC_51_TRANSFER_SUCCESS,
+  ESC_56_INVALID_SENDER,
+  ESC_57_INVALID_RECEIVER,
+} = Constants
+const { assertEscResponse } = Helpers
 const { AMP_TOKENS_SENDER, AMP_TOKENS_RECIPIENT } = INames
 
 const MockAmpTokensSender = artifacts.require('MockAmpTokensSender')
@@ -130,4 +137,82 @@ contract('Amp with sender and recipient hooks', function ([
       )
     })
   })
+  describe('canTransferByPartition', function () {
+    describe('when both hooks accept the transfer', function () {
+      it('returns the success code', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          to,
+          amount,
+          VALID_DATA,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_51_TRANSFER_SUCCESS,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+    })
+    describe('when the sender hook refuses the transfer', function () {
+      it('returns the invalid sender code', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          to,
+          amount,
+          INVALID_DATA_SENDER,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_56_INVALID_SENDER,
+          soliditySha3(AMP_TOKENS_SENDER),
+          DEFAULT_PARTITION
+        )
+      })
+    })
+    describe('when the recipient hook refuses the transfer', function () {
+      it('returns the invalid receiver code', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          to,
+          amount,
+          INVALID_DATA_RECIPIENT,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_57_INVALID_RECEIVER,
+          soliditySha3(AMP_TOKENS_RECIPIENT),
+          DEFAULT_PARTITION
+        )
+      })
+    })
+    describe('when the sender hook reverts', function () {
+      it('returns the invalid sender code', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          to,
+          amount,
+          ZERO_BYTE,
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_56_INVALID_SENDER,
+          soliditySha3(AMP_TOKENS_SENDER),
+          DEFAULT_PARTITION
+        )
+      })
+    })
+  })
 })
@@ -1,11 +1,31 @@
 import { shouldFail } from 'openzeppelin-test-helpers'
 
-import { TestHarness, Constants } from '../utils'
+import { TestHarness, Constants, Helpers } from '../utils'
+
+const { DEFAULT_PARTITION, FLAG_CHANGE_PARTITION, ZERO_BYTE } = Constants
+const { concatHexData, formatCollateralPartition } = Helpers
 
 const MockPartitionBase = artifacts.require('MockPartitionBase')
 const CollateralPoolPartitionValidator = artifacts.require(
   'CollateralPoolPartitionValidator'
 )
+const HolderCollateralPartitionValidator = artifacts.require(
+  'HolderCollateralPartitionValidator'
+)
+const MockCollateralPool = artifacts.require('MockCollateralPool')
+
+const issuanceAmount = 1000
+const supplyAmount = 400
+
+// The interface name in strategy events is not valid UTF-8, so the events are
+// not decoded by truffle and their indexed arguments are read from the topics.
+const PARTITION_STRATEGY_UPDATE_TOPIC = web3.utils.sha3(
+  'PartitionStrategyUpdate(bytes4,string,address,address)'
+)
+const findStrategyUpdate = (receipt) =>
+  receipt.rawLogs.filter((l) => l.topics[0] === PARTITION_STRATEGY_UPDATE_TOPIC)
+const topicToAddress = (topic) =>
+  web3.utils.toChecksumAddress(`0x${topic.slice(26)}`)
 
 contract('AmpPartitions', function ([
   owner,
@@ -37,7 +57,7 @@ contract('AmpPartitions', function ([
           )
           assert.equal(hookImplementer, Constants.ZERO_ADDRESS)
 
-          await this.amp.setPartitionStrategy(
+          await this.harness.setPartitionStrategy(
             this.partitionPrefix,
             this.strategyValidator.address,
             { from: owner }
@@ -56,7 +76,7 @@ contract('AmpPartitions', function ([
 
         describe('when the same prefix is tried to be set again', function () {
           it('reverts as strategies are append only', async function () {
-            await this.amp.setPartitionStrategy(
+            await this.harness.setPartitionStrategy(
               this.partitionPrefix,
               this.strategyValidator.address,
               { from: owner }
@@ -67,9 +87,13 @@ contract('AmpPartitions', function ([
             )
 
             shouldFail.reverting(
-              this.amp.setPartitionStrategy(this.partitionPrefix, randomAddy, {
-                from: owner,
-              })
+              this.harness.setPartitionStrategy(
+                this.partitionPrefix,
+                randomAddy,
+                {
+                  from: owner,
+                }
+              )
             )
           })
         })
@@ -77,7 +101,7 @@ contract('AmpPartitions', function ([
       describe('when the caller is not the contract owner', function () {
         it('reverts', async function () {
           await shouldFail.reverting(
-            this.amp.setPartitionStrategy(
+            this.harness.setPartitionStrategy(
               this.partitionPrefix,
               this.strategyValidator.address,
               { from: unknown }
@@ -88,7 +112,7 @@ contract('AmpPartitions', function ([
       describe('when the partition has the zero prefix', function () {
         it('reverts', async function () {
           await shouldFail.reverting(
-            this.amp.setPartitionStrategy(
+            this.harness.setPartitionStrategy(
               Constants.ZERO_PREFIX,
               this.strategyValidator.address,
               { from: owner }
@@ -98,6 +122,288 @@ contract('AmpPartitions', function ([
       })
     })
 
+    describe('updatePartitionStrategy', function () {
+      beforeEach(async function () {
+        this.strategyValidator = await CollateralPoolPartitionValidator.new(
+          this.amp.address
+        )
+        this.newStrategyValidator = await CollateralPoolPartitionValidator.new(
+          this.amp.address
+        )
+        this.partitionPrefix = await this.strategyValidator.partitionPrefix.call()
+      })
+
+      describe('when the strategy is registered', function () {
+        beforeEach(async function () {
+          await this.harness.setPartitionStrategy(
+            this.partitionPrefix,
+            this.strategyValidator.address,
+            { from: owner }
+          )
+        })
+
+        describe('when the caller is the contract owner', function () {
+          beforeEach(async function () {
+            const { receipt } = await this.harness.updatePartitionStrategy(
+              this.partitionPrefix,
+              this.newStrategyValidator.address,
+              { from: owner }
+            )
+            this.receipt = receipt
+          })
+
+          it('replaces the partition strategy validator', async function () {
+            const hookImplementer = await this.partitionsBase.getAmpPartitionStrategyImplementer(
+              this.partitionPrefix,
+              this.amp.address
+            )
+            assert.equal(hookImplementer, this.newStrategyValidator.address)
+            assert.isTrue(
+              await this.amp.isPartitionStrategy(this.partitionPrefix)
+            )
+          })
+
+          it('emits a PartitionStrategyUpdate event', async function () {
+            const logs = findStrategyUpdate(this.receipt)
+            assert.equal(logs.length, 1)
+            assert.equal(
+              topicToAddress(logs[0].topics[1]),
+              this.strategyValidator.address
+            )
+            assert.equal(
+              topicToAddress(logs[0].topics[2]),
+              this.newStrategyValidator.address
+            )
+          })
+
+          it('does not register the prefix again', async function () {
+            assert.equal(
+              await this.amp.partitionStrategies(0),
+              this.partitionPrefix
+            )
+            await shouldFail(this.amp.partitionStrategies(1))
+          })
+        })
+
+        describe('when the caller is not the contract owner', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.harness.updatePartitionStrategy(
+                this.partitionPrefix,
+                this.newStrategyValidator.address,
+                { from: unknown }
+              )
+            )
+          })
+        })
+      })
+
+      describe('when the strategy is not registered', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.harness.updatePartitionStrategy(
+              this.partitionPrefix,
+              this.newStrategyValidator.address,
+              { from: owner }
+            )
+          )
+        })
+      })
+    })
+
+    describe('disablePartitionStrategy', function () {
+      beforeEach(async function () {
+        this.strategyValidator = await HolderCollateralPartitionValidator.new(
+          this.amp.address
+        )
+        this.partitionPrefix = await this.strategyValidator.partitionPrefix.call()
+        await this.harness.setPartitionStrategy(
+          this.partitionPrefix,
+          this.strategyValidator.address,
+          { from: owner }
+        )
+
+        await this.harness.mockSwap(tokenHolder, issuanceAmount)
+        this.manager = await MockCollateralPool.new(this.amp.address, true)
+        this.collateralPartition = formatCollateralPartition(
+          this.partitionPrefix,
+          this.manager.address,
+          ''
+        )
+        await this.amp.transferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+      })
+
+      describe('when the caller is the contract owner', function () {
+        beforeEach(async function () {
+          const {
+            receipt,
+            logs,
+          } = await this.harness.disablePartitionStrategy(
+            this.partitionPrefix,
+            { from: owner }
+          )
+          this.receipt = receipt
+          this.logs = logs
+        })
+
+        it('disables the partition strategy', async function () {
+          assert.isFalse(
+            await this.amp.isPartitionStrategy(this.partitionPrefix)
+          )
+        })
+
+        it('keeps the partition strategy validator registered', async function () {
+          const hookImplementer = await this.partitionsBase.getAmpPartitionStrategyImplementer(
+            this.partitionPrefix,
+            this.amp.address
+          )
+          assert.equal(hookImplementer, this.strategyValidator.address)
+        })
+
+        it('emits a PartitionStrategyDisabled event', async function () {
+          assert.equal(findStrategyUpdate(this.receipt).length, 0)
+
+          const event = this.logs.find(
+            (log) => log.event === 'PartitionStrategyDisabled'
+          )
+          assert.equal(event.args.flag, this.partitionPrefix)
+          assert.equal(
+            event.args.implementation,
+            this.strategyValidator.address
+          )
+        })
+
+        it('prevents transfers into the partitions of the strategy', async function () {
+          await shouldFail.reverting(
+            this.amp.transferByPartition(
+              DEFAULT_PARTITION,
+              tokenHolder,
+              tokenHolder,
+              supplyAmount,
+              concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+          )
+        })
+
+        it('keeps validating transfers out of the partitions', async function () {
+          await shouldFail.reverting(
+            this.amp.transferByPartition(
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              supplyAmount,
+              concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+              ZERO_BYTE,
+              { from: tokenHolder }
+            )
+          )
+
+          await this.amp.transferByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+            web3.eth.abi.encodeParameters(['bytes2'], ['0x1111']),
+            { from: tokenHolder }
+          )
+
+          await this.harness.assertBalanceOfByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            issuanceAmount
+          )
+        })
+
+        it('keeps the operator rights given by the strategy', async function () {
+          assert.isTrue(
+            await this.amp.isOperatorForPartition(
+              this.collateralPartition,
+              this.manager.address,
+              tokenHolder
+            )
+          )
+
+          await this.amp.transferByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            this.manager.address,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+            ZERO_BYTE,
+            { from: owner }
+          )
+
+          await this.harness.assertBalanceOfByPartition(
+            DEFAULT_PARTITION,
+            this.manager.address,
+            supplyAmount
+          )
+        })
+
+        it('can not be set again', async function () {
+          await shouldFail.reverting(
+            this.harness.setPartitionStrategy(
+              this.partitionPrefix,
+              this.strategyValidator.address,
+              { from: owner }
+            )
+          )
+        })
+
+        it('can be enabled again with an update', async function () {
+          await this.harness.updatePartitionStrategy(
+            this.partitionPrefix,
+            this.strategyValidator.address,
+            { from: owner }
+          )
+
+          assert.isTrue(
+            await this.amp.isPartitionStrategy(this.partitionPrefix)
+          )
+          await this.amp.transferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+        })
+
+        describe('when the strategy is already disabled', function () {
+          it('reverts', async function () {
+            await shouldFail.reverting(
+              this.harness.disablePartitionStrategy(this.partitionPrefix, {
+                from: owner,
+              })
+            )
+          })
+        })
+      })
+
+      describe('when the caller is not the contract owner', function () {
+        it('reverts', async function () {
+          await shouldFail.reverting(
+            this.harness.disablePartitionStrategy(this.partitionPrefix, {
+              from: unknown,
+            })
+          )
+        })
+      })
+    })
+
     describe('isPartitionStrategy', function () {
       beforeEach(async function () {
         this.strategyValidator = await CollateralPoolPartitionValidator.new(
@@ -111,7 +417,7 @@ contract('AmpPartitions', function ([
         )
       })
       it('returns true when set', async function () {
-        await this.amp.setPartitionStrategy(
+        await this.harness.setPartitionStrategy(
           this.partitionPrefix,
           this.strategyValidator.address,
           {
@@ -121,5 +427,79 @@ contract('AmpPartitions', function ([
         assert.isTrue(await this.amp.isPartitionStrategy(this.partitionPrefix))
       })
     })
+
+    describe('getPartitionStrategies', function () {
+      beforeEach(async function () {
+        this.poolValidator = await CollateralPoolPartitionValidator.new(
+          this.amp.address
+        )
+        this.holderValidator = await HolderCollateralPartitionValidator.new(
+          this.amp.address
+        )
+        this.poolPrefix = await this.poolValidator.partitionPrefix.call()
+        this.holderPrefix = await this.holderValidator.partitionPrefix.call()
+
+        await this.harness.setPartitionStrategy(
+          this.poolPrefix,
+          this.poolValidator.address,
+          { from: owner }
+        )
+        await this.harness.setPartitionStrategy(
+          this.holderPrefix,
+          this.holderValidator.address,
+          { from: owner }
+        )
+        await this.harness.disablePartitionStrategy(this.holderPrefix, {
+          from: owner,
+        })
+      })
+
+      it('returns the number of registered strategies', async function () {
+        assert.equal(await this.amp.partitionStrategyCount(), 2)
+      })
+
+      it('returns the registered strategies', async function () {
+        const {
+          0: prefixes,
+          1: implementations,
+          2: inames,
+          3: enabled,
+        } = await this.amp.getPartitionStrategies(0, 10)
+
+        assert.deepEqual(prefixes, [this.poolPrefix, this.holderPrefix])
+        assert.deepEqual(implementations, [
+          this.poolValidator.address,
+          this.holderValidator.address,
+        ])
+        assert.deepEqual(inames, [
+          web3.utils.utf8ToHex('AmpPartitionStrategyValidator') +
+            this.poolPrefix.slice(2),
+          web3.utils.utf8ToHex('AmpPartitionStrategyValidator') +
+            this.holderPrefix.slice(2),
+        ])
+        assert.deepEqual(enabled, [true, false])
+      })
+
+      it('returns a page of the registered strategies', async function () {
+        const {
+          0: prefixes,
+          3: enabled,
+        } = await this.amp.getPartitionStrategies(1, 1)
+
+        assert.deepEqual(prefixes, [this.holderPrefix])
+        assert.deepEqual(enabled, [false])
+      })
+
+      describe('when the offset is past the last strategy', function () {
+        it('returns empty arrays', async function () {
+          const result = await this.amp.getPartitionStrategies(2, 10)
+
+          assert.deepEqual(result[0], [])
+          assert.deepEqual(result[1], [])
+          assert.deepEqual(result[2], [])
+          assert.deepEqual(result[3], [])
+        })
+      })
+    })
   })
 })
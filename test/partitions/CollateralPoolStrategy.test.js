@@ -1,9 +1,17 @@
 import { shouldFail } from 'openzeppelin-test-helpers'
+import { soliditySha3 } from 'web3-utils'
 
 import { Constants, Helpers, TestHarness } from '../utils'
 
-const { FLAG_CHANGE_PARTITION, ZERO_BYTE, DEFAULT_PARTITION } = Constants
-const { concatHexData, formatCollateralPartition } = Helpers
+const {
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+  ZERO_BYTES32,
+  DEFAULT_PARTITION,
+  ESC_50_TRANSFER_FAILURE,
+  ESC_51_TRANSFER_SUCCESS,
+} = Constants
+const { assertEscResponse, concatHexData, formatCollateralPartition } = Helpers
 
 const CollateralPoolStrategyValidator = artifacts.require(
   'CollateralPoolPartitionValidator'
@@ -12,6 +20,10 @@ const CollateralPoolStrategyValidator = artifacts.require(
 const MockCollateralPool = artifacts.require('MockCollateralPool')
 
 const PARTITION_PREFIX_COLLATERAL_POOL = '0xCCCCCCCC'
+const VALIDATOR_INTERFACE_HASH = soliditySha3(
+  { t: 'string', v: 'AmpPartitionStrategyValidator' },
+  { t: 'bytes4', v: PARTITION_PREFIX_COLLATERAL_POOL }
+)
 
 // A dummy issuance and supply amount
 const issuanceAmount = 1000
@@ -35,13 +47,11 @@ contract('CollateralPoolStrategyValidator', function ([
     await this.harness.mockSwap(tokenHolder, issuanceAmount)
     await this.harness.assertBalanceOf(tokenHolder, issuanceAmount)
 
-    const strategyValidator = await CollateralPoolStrategyValidator.new(
-      this.amp.address
-    )
+    this.validator = await CollateralPoolStrategyValidator.new(this.amp.address)
 
-    await this.amp.setPartitionStrategy(
+    await this.harness.setPartitionStrategy(
       PARTITION_PREFIX_COLLATERAL_POOL,
-      strategyValidator.address,
+      this.validator.address,
       { from: owner }
     )
   })
@@ -301,6 +311,115 @@ contract('CollateralPoolStrategyValidator', function ([
     })
   })
 
+  describe('canTransferToPartition', function () {
+    describe('when manager is not a registered collateral manager', function () {
+      beforeEach(async function () {
+        this.manager = await MockCollateralPool.new(this.amp.address, false)
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_PREFIX_COLLATERAL_POOL,
+          this.manager.address,
+          ''
+        )
+      })
+
+      it('returns false', async function () {
+        assert.isFalse(
+          await this.validator.canTransferToPartition(
+            '0x00000000',
+            this.collateralPartition,
+            tokenHolder,
+            tokenHolder,
+            this.manager.address,
+            supplyAmount,
+            ZERO_BYTE,
+            ZERO_BYTE
+          )
+        )
+      })
+
+      it('is reported by canTransferByPartition', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          this.manager.address,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_50_TRANSFER_FAILURE,
+          VALIDATOR_INTERFACE_HASH,
+          this.collateralPartition
+        )
+      })
+    })
+
+    describe('when manager is registered as a collateral manager', function () {
+      beforeEach(async function () {
+        this.manager = await MockCollateralPool.new(this.amp.address, true)
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_PREFIX_COLLATERAL_POOL,
+          this.manager.address,
+          ''
+        )
+      })
+
+      describe('to the manager address', function () {
+        it('returns true', async function () {
+          assert.isTrue(
+            await this.validator.canTransferToPartition(
+              '0x00000000',
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              this.manager.address,
+              supplyAmount,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+          )
+        })
+
+        it('is reported by canTransferByPartition', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            this.manager.address,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_51_TRANSFER_SUCCESS,
+            ZERO_BYTES32,
+            this.collateralPartition
+          )
+        })
+      })
+
+      describe('to a different address', function () {
+        it('returns false', async function () {
+          assert.isFalse(
+            await this.validator.canTransferToPartition(
+              '0x00000000',
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              randomAddy,
+              supplyAmount,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+          )
+        })
+      })
+    })
+  })
+
   describe(`isOperatorForPartition`, function () {
     describe('when checking against a random address', function () {
       it('returns false', async function () {
@@ -1,9 +1,17 @@
 import { shouldFail } from 'openzeppelin-test-helpers'
+import { soliditySha3 } from 'web3-utils'
 
 import { Constants, Helpers, TestHarness } from '../utils'
 
-const { FLAG_CHANGE_PARTITION, ZERO_BYTE, DEFAULT_PARTITION } = Constants
-const { concatHexData, formatCollateralPartition } = Helpers
+const {
+  FLAG_CHANGE_PARTITION,
+  ZERO_BYTE,
+  ZERO_BYTES32,
+  DEFAULT_PARTITION,
+  ESC_50_TRANSFER_FAILURE,
+  ESC_51_TRANSFER_SUCCESS,
+} = Constants
+const { assertEscResponse, concatHexData, formatCollateralPartition } = Helpers
 
 const HolderCollateralPartitionValidator = artifacts.require(
   'HolderCollateralPartitionValidator'
@@ -11,6 +19,10 @@ const HolderCollateralPartitionValidator = artifacts.require(
 const MockCollateralPool = artifacts.require('MockCollateralPool')
 
 const PARTITION_FLAG_HOLDER_COLLATERAL = '0xAAAAAAAA'
+const VALIDATOR_INTERFACE_HASH = soliditySha3(
+  { t: 'string', v: 'AmpPartitionStrategyValidator' },
+  { t: 'bytes4', v: PARTITION_FLAG_HOLDER_COLLATERAL }
+)
 
 // A dummy issuance and supply amount
 const issuanceAmount = 1000
@@ -34,13 +46,13 @@ contract('HolderCollateralPartitionValidator', function ([
     await this.harness.mockSwap(tokenHolder, issuanceAmount)
     await this.harness.assertBalanceOf(tokenHolder, issuanceAmount)
 
-    const validator = await HolderCollateralPartitionValidator.new(
+    this.validator = await HolderCollateralPartitionValidator.new(
       this.amp.address
     )
 
-    await this.amp.setPartitionStrategy(
+    await this.harness.setPartitionStrategy(
       PARTITION_FLAG_HOLDER_COLLATERAL,
-      validator.address,
+      this.validator.address,
       { from: owner }
     )
   })
@@ -448,6 +460,230 @@ contract('HolderCollateralPartitionValidator', function ([
     })
   })
 
+  describe('canTransferToPartition', function () {
+    describe('when manager is not a registered collateral manager', function () {
+      beforeEach(async function () {
+        this.manager = await MockCollateralPool.new(this.amp.address, false)
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          this.manager.address,
+          ''
+        )
+      })
+
+      it('returns false', async function () {
+        assert.isFalse(
+          await this.validator.canTransferToPartition(
+            '0x00000000',
+            this.collateralPartition,
+            tokenHolder,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            ZERO_BYTE,
+            ZERO_BYTE
+          )
+        )
+      })
+
+      it('is reported by canTransferByPartition', async function () {
+        const response = await this.amp.canTransferByPartition(
+          DEFAULT_PARTITION,
+          tokenHolder,
+          tokenHolder,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+          ZERO_BYTE,
+          { from: tokenHolder }
+        )
+        await assertEscResponse(
+          response,
+          ESC_50_TRANSFER_FAILURE,
+          VALIDATOR_INTERFACE_HASH,
+          this.collateralPartition
+        )
+      })
+    })
+
+    describe('when manager is registered as a collateral manager', function () {
+      beforeEach(async function () {
+        this.manager = await MockCollateralPool.new(this.amp.address, true)
+        this.collateralPartition = formatCollateralPartition(
+          PARTITION_FLAG_HOLDER_COLLATERAL,
+          this.manager.address,
+          ''
+        )
+      })
+
+      describe('to the token holder address', function () {
+        it('returns true', async function () {
+          assert.isTrue(
+            await this.validator.canTransferToPartition(
+              '0x00000000',
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              tokenHolder,
+              supplyAmount,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+          )
+        })
+
+        it('is reported by canTransferByPartition', async function () {
+          const response = await this.amp.canTransferByPartition(
+            DEFAULT_PARTITION,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+            ZERO_BYTE,
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_51_TRANSFER_SUCCESS,
+            ZERO_BYTES32,
+            this.collateralPartition
+          )
+        })
+      })
+
+      describe('to the manager address', function () {
+        it('returns false', async function () {
+          assert.isFalse(
+            await this.validator.canTransferToPartition(
+              '0x00000000',
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              this.manager.address,
+              supplyAmount,
+              ZERO_BYTE,
+              ZERO_BYTE
+            )
+          )
+        })
+      })
+    })
+  })
+
+  describe('canTransferFromPartition', function () {
+    const VALID_DATA = web3.eth.abi.encodeParameters(['bytes2'], ['0x1111'])
+
+    beforeEach(async function () {
+      this.manager = await MockCollateralPool.new(this.amp.address, true)
+      this.collateralPartition = formatCollateralPartition(
+        PARTITION_FLAG_HOLDER_COLLATERAL,
+        this.manager.address,
+        ''
+      )
+
+      await this.amp.transferByPartition(
+        DEFAULT_PARTITION,
+        tokenHolder,
+        tokenHolder,
+        supplyAmount,
+        concatHexData(FLAG_CHANGE_PARTITION, this.collateralPartition),
+        ZERO_BYTE,
+        { from: tokenHolder }
+      )
+    })
+
+    describe(`when the manager's operator transfers`, function () {
+      it('returns true', async function () {
+        assert.isTrue(
+          await this.validator.canTransferFromPartition(
+            '0x00000000',
+            this.collateralPartition,
+            owner,
+            tokenHolder,
+            this.manager.address,
+            supplyAmount,
+            ZERO_BYTE,
+            ZERO_BYTE
+          )
+        )
+      })
+
+      it('is reported by canTransferByPartition', async function () {
+        const response = await this.amp.canTransferByPartition(
+          this.collateralPartition,
+          tokenHolder,
+          this.manager.address,
+          supplyAmount,
+          concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+          ZERO_BYTE,
+          { from: owner }
+        )
+        await assertEscResponse(
+          response,
+          ESC_51_TRANSFER_SUCCESS,
+          ZERO_BYTES32,
+          DEFAULT_PARTITION
+        )
+      })
+    })
+
+    describe('when the holder transfers', function () {
+      describe('with data the manager accepts', function () {
+        it('returns true', async function () {
+          assert.isTrue(
+            await this.validator.canTransferFromPartition(
+              '0x00000000',
+              this.collateralPartition,
+              tokenHolder,
+              tokenHolder,
+              tokenHolder,
+              supplyAmount,
+              ZERO_BYTE,
+              VALID_DATA
+            )
+          )
+        })
+
+        it('is reported by canTransferByPartition', async function () {
+          const response = await this.amp.canTransferByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+            VALID_DATA,
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_51_TRANSFER_SUCCESS,
+            ZERO_BYTES32,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+
+      describe('with data the manager refuses', function () {
+        it('is reported by canTransferByPartition', async function () {
+          const response = await this.amp.canTransferByPartition(
+            this.collateralPartition,
+            tokenHolder,
+            tokenHolder,
+            supplyAmount,
+            concatHexData(FLAG_CHANGE_PARTITION, DEFAULT_PARTITION),
+            web3.eth.abi.encodeParameters(['bytes2'], ['0xFFFF']),
+            { from: tokenHolder }
+          )
+          await assertEscResponse(
+            response,
+            ESC_50_TRANSFER_FAILURE,
+            VALIDATOR_INTERFACE_HASH,
+            DEFAULT_PARTITION
+          )
+        })
+      })
+    })
+  })
+
   describe(`isOperatorForPartition`, function () {
     describe('when checking against a random address', function () {
       it('returns false', async function () {
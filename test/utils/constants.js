@@ -26,6 +26,19 @@ export const ALT_PARTITION_2 = '0x0000000000000000000000000000000000000000000000
 export const RESERVED_PARTITION = '0xFF00000000000000000000000000000000000000000000000000000000000000'
 export const ZERO_PREFIX = '0x00000000'
 
+// ERC-1066 status codes
+export const ESC_50_TRANSFER_FAILURE = '0x50'
+export const ESC_51_TRANSFER_SUCCESS = '0x51'
+export const ESC_52_INSUFFICIENT_BALANCE = '0x52'
+export const ESC_53_INSUFFICIENT_ALLOWANCE = '0x53'
+export const ESC_54_TRANSFERS_HALTED = '0x54'
+export const ESC_56_INVALID_SENDER = '0x56'
+export const ESC_57_INVALID_RECEIVER = '0x57'
+export const ESC_5D_PARTITION_RESERVED = '0x5d'
+
 export const NAME = 'Amp'
 export const SYMBOL = 'AMP'
 export const GRANULARITY = 1
+
+// Minimum and initial delay of timelocked calls, in seconds
+export const TIMELOCK_DELAY = 48 * 60 * 60
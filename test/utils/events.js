@@ -1,5 +1,6 @@
 export const Swap = 'Swap'
 export const Minted = 'Minted'
+export const Burned = 'Burned'
 
 export const Transfer = 'Transfer'
 export const TransferByPartition = 'TransferByPartition'
@@ -11,6 +12,10 @@ export const AuthorizedOperator = 'AuthorizedOperator'
 export const RevokedOperator = 'RevokedOperator'
 export const AuthorizedOperatorByPartition = 'AuthorizedOperatorByPartition'
 export const RevokedOperatorByPartition = 'RevokedOperatorByPartition'
+export const OperatorLimitUpdate = 'OperatorLimitUpdate'
+export const OperatorLimitByPartitionUpdate = 'OperatorLimitByPartitionUpdate'
+export const OperatorRateLimitUpdate = 'OperatorRateLimitUpdate'
+export const OperatorRateLimitReached = 'OperatorRateLimitReached'
 
 export const WithdrawalLimitPublisherUpdate = 'WithdrawalLimitPublisherUpdate'
 export const WithdrawalLimitUpdate = 'WithdrawalLimitUpdate'
@@ -22,7 +27,34 @@ export const FallbackRootHashSet = 'FallbackRootHashSet'
 export const FallbackMechanismDateReset = 'FallbackMechanismDateReset'
 
 export const OwnershipTransferAuthorization = 'OwnershipTransferAuthorization'
+export const OwnershipTransferCancellation = 'OwnershipTransferCancellation'
 export const OwnerUpdate = 'OwnerUpdate'
+export const TrustedForwarderUpdate = 'TrustedForwarderUpdate'
+export const RoleGranted = 'RoleGranted'
+export const RoleRevoked = 'RoleRevoked'
+export const TimelockDelayUpdate = 'TimelockDelayUpdate'
+export const TimelockedCallQueued = 'TimelockedCallQueued'
+export const TimelockedCallExecuted = 'TimelockedCallExecuted'
+export const TimelockedCallCancelled = 'TimelockedCallCancelled'
+
+export const CollateralManagerRegistered = 'CollateralManagerRegistered'
+export const CollateralManagerDeregistered = 'CollateralManagerDeregistered'
+export const CollateralManagerSuspended = 'CollateralManagerSuspended'
+export const CollateralManagerReinstated = 'CollateralManagerReinstated'
+export const CollateralManagerMetadataUpdate = 'CollateralManagerMetadataUpdate'
+export const CollateralManagerApprovalRequiredUpdate =
+  'CollateralManagerApprovalRequiredUpdate'
+export const CollateralManagerRegistrationRequested =
+  'CollateralManagerRegistrationRequested'
+export const CollateralManagerRegistrationApproved =
+  'CollateralManagerRegistrationApproved'
+export const CollateralManagerRegistrationRejected =
+  'CollateralManagerRegistrationRejected'
+
+export const TransfersPauseUpdate = 'TransfersPauseUpdate'
+export const SwapsPauseUpdate = 'SwapsPauseUpdate'
+export const DefaultPartitionPauseUpdate = 'DefaultPartitionPauseUpdate'
+export const PartitionPrefixPauseUpdate = 'PartitionPrefixPauseUpdate'
 
 export const Deposit = 'Deposit'
 export const Consumption = 'Consumption'
@@ -1,11 +1,15 @@
+import { time } from 'openzeppelin-test-helpers'
+
 import {
   DEFAULT_PARTITION,
   FLAG_CHANGE_PARTITION,
+  TIMELOCK_DELAY,
   ZERO_BYTE,
 } from './constants'
 import { concatHexData, toPartition } from './helpers'
 
 const AmpContract = artifacts.require('Amp')
+const AmpExtensionContract = artifacts.require('AmpExtension')
 const MockFXCContract = artifacts.require('MockFXC')
 const ERC1820Registry = artifacts.require('ERC1820Registry')
 
@@ -23,7 +27,14 @@ export default class TestHarness {
 
   async _createContracts() {
     this.fxc = await MockFXCContract.new({ from: this._owner })
-    this.amp = await AmpContract.new(this.fxc.address, this._name, this._symbol)
+    this.extension = await AmpExtensionContract.new({ from: this._owner })
+    this.amp = await AmpContract.new(
+      this.fxc.address,
+      this._name,
+      this._symbol,
+      this.extension.address
+    )
+    this.ampExtension = await AmpExtensionContract.at(this.amp.address)
     this.registry = await ERC1820Registry.at(
       '0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24'
     )
@@ -64,6 +75,60 @@ export default class TestHarness {
     }
   }
 
+  async executeTimelockedCall(data, options) {
+    await this.ampExtension.queueTimelockedCall(data, options)
+    await time.increase(TIMELOCK_DELAY + 1)
+    return this.ampExtension.executeTimelockedCall(data, options)
+  }
+
+  async setPartitionStrategy(prefix, implementation, options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods
+        .setPartitionStrategy(prefix, implementation)
+        .encodeABI(),
+      options
+    )
+  }
+
+  async updatePartitionStrategy(prefix, implementation, options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods
+        .updatePartitionStrategy(prefix, implementation)
+        .encodeABI(),
+      options
+    )
+  }
+
+  async disablePartitionStrategy(prefix, options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods.disablePartitionStrategy(prefix).encodeABI(),
+      options
+    )
+  }
+
+  async setTrustedForwarder(forwarder, options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods.setTrustedForwarder(forwarder).encodeABI(),
+      options
+    )
+  }
+
+  async authorizeOwnershipTransfer(authorizedAddress, deadline, options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods
+        .authorizeOwnershipTransfer(authorizedAddress, deadline)
+        .encodeABI(),
+      options
+    )
+  }
+
+  async renounceOwnership(options) {
+    return this.executeTimelockedCall(
+      this.amp.contract.methods.renounceOwnership().encodeABI(),
+      options
+    )
+  }
+
   async assertBalanceOf(tokenHolder, amount) {
     const balance = await this.amp.balanceOf(tokenHolder)
     assert.equal(balance, amount)
@@ -1,4 +1,13 @@
-import { padRight, hexToBytes, bytesToHex, isAddress, toHex } from 'web3-utils'
+import { ecsign, toBuffer, bufferToHex } from 'ethereumjs-util'
+import {
+  padRight,
+  hexToBytes,
+  bytesToHex,
+  isAddress,
+  toHex,
+  keccak256,
+  soliditySha3,
+} from 'web3-utils'
 
 export const assertTransferEvent = (
   _logs,
@@ -154,3 +163,22 @@ export const formatCollateralPartition = (flag, address, sub = '') => {
   }
   return partition
 }
+
+export const hashTypedStruct = (typeString, types, values) => {
+  return keccak256(
+    web3.eth.abi.encodeParameters(
+      ['bytes32', ...types],
+      [keccak256(typeString), ...values]
+    )
+  )
+}
+
+export const signTypedData = (domainSeparator, structHash, privateKey) => {
+  const digest = soliditySha3(
+    { t: 'bytes2', v: '0x1901' },
+    { t: 'bytes32', v: domainSeparator },
+    { t: 'bytes32', v: structHash }
+  )
+  const { v, r, s } = ecsign(toBuffer(digest), toBuffer(privateKey))
+  return { v, r: bufferToHex(r), s: bufferToHex(s) }
+}
@@ -59,9 +59,12 @@ module.exports = {
     solc: {
       version: '0.6.10',
       settings: {
+        // The optimizer is required: without it Amp exceeds the EIP-170 contract
+        // size limit of 24576 bytes and hits "Stack too deep" in codegen.
+        // Changing these settings changes the deployed bytecode.
         optimizer: {
-          enabled: false, // Default: false
-          runs: 0, // Default: 200
+          enabled: true, // Default: false
+          runs: 200, // Default: 200
         },
         evmVersion: 'istanbul',
         debug: {